@@ -0,0 +1,26 @@
+-- Migration: multiple named lists per space
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- Existing spaces need no data changes: their top-level items become the
+-- space's default list, and picks recorded before this migration are
+-- attributed to it.
+
+SET search_path TO youpick, public;
+
+ALTER TABLE youpick.picks
+    ADD COLUMN IF NOT EXISTS list_id VARCHAR(36) NOT NULL DEFAULT 'default';
+
+ALTER TABLE youpick.spaces
+    DROP CONSTRAINT IF EXISTS valid_lists_structure,
+    ADD CONSTRAINT valid_lists_structure CHECK (
+        NOT data ? 'lists' OR jsonb_typeof(data->'lists') = 'array'
+    );
+
+ALTER TABLE youpick.spaces
+    DROP CONSTRAINT IF EXISTS max_lists_limit,
+    ADD CONSTRAINT max_lists_limit CHECK (
+        NOT data ? 'lists' OR jsonb_array_length(data->'lists') <= 20
+    );
+
+COMMENT ON COLUMN youpick.picks.list_id IS 'List the pick was drawn from';
+COMMENT ON COLUMN youpick.spaces.item_count IS 'Generated column: count of items in the default list';
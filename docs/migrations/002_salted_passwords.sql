@@ -0,0 +1,33 @@
+-- Migration: random public space IDs with bcrypt-verified passwords
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- Existing rows keep their legacy SHA-256 space_id and get NULL credentials.
+-- The API claims each legacy row the first time someone opens it with its
+-- password: the row moves to a random space_id (pick history follows through
+-- ON UPDATE CASCADE) and stores its lookup key and bcrypt hash. Rows nobody
+-- opens stay in the legacy form.
+
+SET search_path TO youpick, public;
+
+ALTER TABLE youpick.spaces
+    ADD COLUMN IF NOT EXISTS lookup_key CHAR(64) UNIQUE,
+    ADD COLUMN IF NOT EXISTS password_hash VARCHAR(60);
+
+ALTER TABLE youpick.spaces
+    DROP CONSTRAINT IF EXISTS credentials_set_together,
+    ADD CONSTRAINT credentials_set_together CHECK (
+        (lookup_key IS NULL) = (password_hash IS NULL)
+    );
+
+-- Make sure pick history follows a space when it moves to its new ID
+ALTER TABLE youpick.picks
+    DROP CONSTRAINT IF EXISTS picks_space_id_fkey,
+    ADD CONSTRAINT picks_space_id_fkey FOREIGN KEY (space_id)
+        REFERENCES youpick.spaces(space_id) ON DELETE CASCADE ON UPDATE CASCADE;
+
+COMMENT ON COLUMN youpick.spaces.space_id IS 'Random public space ID (legacy rows: first 16 characters of SHA-256 hash of the password)';
+COMMENT ON COLUMN youpick.spaces.lookup_key IS 'HMAC-SHA256 of the password keyed with SPACE_LOOKUP_SECRET, used to find the space';
+COMMENT ON COLUMN youpick.spaces.password_hash IS 'bcrypt hash of the password';
+
+-- Legacy rows still waiting to be claimed:
+-- SELECT space_id, last_modified FROM youpick.spaces WHERE password_hash IS NULL;
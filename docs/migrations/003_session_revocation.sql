@@ -0,0 +1,19 @@
+-- Migration: revocable session tokens
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- Clients now exchange the space password for a signed session token
+-- (POST /api/session). Tokens ended early by DELETE /api/session are listed
+-- here until they expire.
+
+SET search_path TO youpick, public;
+
+CREATE TABLE IF NOT EXISTS youpick.revoked_sessions (
+    session_id VARCHAR(32) PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_sessions_expires_at
+    ON youpick.revoked_sessions(expires_at);
+
+COMMENT ON TABLE youpick.revoked_sessions IS 'Session tokens revoked before their expiry';
+COMMENT ON COLUMN youpick.revoked_sessions.session_id IS 'jti claim of the revoked token';
@@ -0,0 +1,14 @@
+-- Migration: stable item IDs
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- Items are now stored as {"id", "name", "weight"} objects and addressed by
+-- ID instead of by their index in the list. Space data in the old format (an
+-- array of strings plus a "weights" map) is upgraded by the API the first
+-- time each space is read; run `npm run migrate:item-ids` in product/api to
+-- upgrade every space up front. This script only adds the history column.
+
+SET search_path TO youpick, public;
+
+ALTER TABLE youpick.picks ADD COLUMN IF NOT EXISTS item_id VARCHAR(36);
+
+COMMENT ON COLUMN youpick.picks.item_id IS 'Stable ID of the picked item; NULL for picks made before items had IDs';
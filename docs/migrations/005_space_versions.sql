@@ -0,0 +1,12 @@
+-- Migration: space versions
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- Each saved change to a space now increments its version, which the API
+-- sends as an ETag so clients can make changes conditional with If-Match.
+-- Existing spaces start at version 1.
+
+SET search_path TO youpick, public;
+
+ALTER TABLE youpick.spaces ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN youpick.spaces.version IS 'Number of saved changes to data, starting at 1; used for optimistic concurrency';
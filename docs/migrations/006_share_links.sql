@@ -0,0 +1,32 @@
+-- Migration: read-only share links
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- A share link (POST /api/shares) lets anyone with its token view a space's
+-- items and pick history (GET /api/shared/:token) without the password.
+-- Only a hash of each token is stored.
+
+SET search_path TO youpick, public;
+
+CREATE TABLE IF NOT EXISTS youpick.share_links (
+    -- Random public ID (UUID), used to list and revoke the link
+    share_id VARCHAR(36) PRIMARY KEY,
+
+    -- Space the link shows; links follow the space and are removed with it
+    space_id VARCHAR(16) NOT NULL
+        REFERENCES youpick.spaces(space_id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+    -- SHA-256 of the link's token (64 hex chars); the token itself is only
+    -- shown once, when the link is created
+    token_hash CHAR(64) NOT NULL UNIQUE,
+
+    -- Optional note on where the link is used, e.g. "Kitchen display"
+    label VARCHAR(100),
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_space_id
+    ON youpick.share_links(space_id);
+
+COMMENT ON TABLE youpick.share_links IS 'Revocable read-only links to a space';
+COMMENT ON COLUMN youpick.share_links.token_hash IS 'SHA-256 of the share token';
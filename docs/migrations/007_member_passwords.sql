@@ -0,0 +1,22 @@
+-- Migration: member passwords
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- A space's original password becomes its admin password. An admin can add
+-- a member password (PUT /api/space/member-password) that opens the same
+-- space with the member role: add items and pick, but not remove items or
+-- change settings. Existing spaces have no member password.
+
+SET search_path TO youpick, public;
+
+ALTER TABLE youpick.spaces
+    ADD COLUMN IF NOT EXISTS member_lookup_key CHAR(64) UNIQUE,
+    ADD COLUMN IF NOT EXISTS member_password_hash VARCHAR(60);
+
+ALTER TABLE youpick.spaces
+    DROP CONSTRAINT IF EXISTS member_credentials_set_together,
+    ADD CONSTRAINT member_credentials_set_together CHECK (
+        (member_lookup_key IS NULL) = (member_password_hash IS NULL)
+    );
+
+COMMENT ON COLUMN youpick.spaces.member_lookup_key IS 'HMAC-SHA256 of the optional member password, used to find the space';
+COMMENT ON COLUMN youpick.spaces.member_password_hash IS 'bcrypt hash of the optional member password';
@@ -0,0 +1,20 @@
+-- Migration: shared rate limit counts
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- With RATE_LIMIT_STORE=postgres, the password-attempt and per-space write
+-- limits are counted here so every server instance shares them.
+
+SET search_path TO youpick, public;
+
+CREATE TABLE IF NOT EXISTS youpick.rate_limits (
+    -- Limiter and what it counts, e.g. 'password:203.0.113.7'
+    key VARCHAR(200) PRIMARY KEY,
+
+    -- Requests so far in the current window
+    count INTEGER NOT NULL,
+
+    -- When the current window ends; ended rows are deleted from time to time
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+COMMENT ON TABLE youpick.rate_limits IS 'Fixed-window request counts for rate limiting';
@@ -0,0 +1,26 @@
+-- Migration: archived spaces
+-- Apply to databases created from an earlier schema.sql. Safe to run more than once.
+--
+-- The retention job (RETENTION_SPACE_ACTION=archive) moves spaces nobody has
+-- changed for RETENTION_SPACE_MAX_AGE_DAYS here, together with their pick
+-- history, and deletes them from youpick.spaces.
+
+SET search_path TO youpick, public;
+
+CREATE TABLE IF NOT EXISTS youpick.archived_spaces (
+    -- Public ID the space had; no longer opened by any password
+    space_id VARCHAR(16) PRIMARY KEY,
+
+    -- The space's data, as in youpick.spaces.data
+    data JSONB NOT NULL,
+
+    -- Its pick history, oldest first:
+    -- [{"listId", "itemId", "item", "index", "pickedBy", "draw", "timestamp"}]
+    picks JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_modified TIMESTAMP WITH TIME ZONE NOT NULL,
+    archived_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE youpick.archived_spaces IS 'Spaces removed by the retention job, kept with their pick history';
@@ -13,37 +13,86 @@ SET search_path TO youpick, public;
 
 -- Create the spaces table
 CREATE TABLE IF NOT EXISTS youpick.spaces (
-    -- Primary key: space_id (hashed password, first 16 chars of SHA-256)
+    -- Primary key: space_id (random public ID, 16 hex chars)
+    -- Legacy rows still use the first 16 chars of an unsalted SHA-256 of the
+    -- password until their first login moves them to a random ID
     space_id VARCHAR(16) PRIMARY KEY,
 
+    -- HMAC-SHA256 of the password keyed with SPACE_LOOKUP_SECRET (64 hex chars)
+    -- Finds the space for a password; NULL for unclaimed legacy rows
+    lookup_key CHAR(64) UNIQUE,
+
+    -- bcrypt hash of the password, verified on every request
+    password_hash VARCHAR(60),
+
+    -- Optional member password, stored like the admin password above. It
+    -- opens the space with the member role: add items and pick, but not
+    -- remove items or change settings. A lookup key is unique across both
+    -- columns; the API checks this before saving either one.
+    member_lookup_key CHAR(64) UNIQUE,
+    member_password_hash VARCHAR(60),
+
     -- JSON column storing all space data
+    -- The top-level items/noRepeat/remaining fields are the space's default
+    -- list; additional named lists live in "lists"
     -- Structure: {
-    --   "items": ["item1", "item2", ...],
+    --   "spaceName": "string",       -- optional, display name of the space
+    --   "listName": "string",        -- optional, name of the default list
+    --   "items": [{ "id": "uuid", "name": "string", "weight": number }, ...],
+    --   "noRepeat": boolean,         -- optional, draw each item once per round
+    --   "remaining": ["uuid", ...],  -- IDs of items not yet picked this round
+    --   "lists": [
+    --     {
+    --       "id": "uuid",
+    --       "name": "string",
+    --       "items": [...], "noRepeat": boolean, "remaining": [...]
+    --     }
+    --   ],
     --   "lastPicked": {
     --     "item": "string",
+    --     "itemId": "uuid",
     --     "index": number,
+    --     "listId": "default" | "uuid",
     --     "timestamp": "ISO8601",
-    --     "space": "partial_space_id"
+    --     "space": "partial_space_id",
+    --     "pickedBy": "string" | null,
+    --     "draw": { "roll": number, "totalWeight": number, "itemCount": number, "noRepeat": boolean }
     --   } | null
     -- }
     data JSONB NOT NULL DEFAULT '{"items": [], "lastPicked": null}'::jsonb,
 
+    -- Counts saved changes to data, starting at 1; sent to clients as an
+    -- ETag so stale edits can be rejected (If-Match)
+    version INTEGER NOT NULL DEFAULT 1,
+
     -- Metadata fields
     created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
     last_modified TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
 
     -- Additional indexing for performance
-    -- Number of items (extracted from JSON for faster queries)
+    -- Number of items in the default list (extracted from JSON for faster queries)
     item_count INTEGER GENERATED ALWAYS AS (jsonb_array_length(data->'items')) STORED,
 
     -- Constraints
     CONSTRAINT valid_space_id CHECK (LENGTH(space_id) = 16),
+    CONSTRAINT credentials_set_together CHECK (
+        (lookup_key IS NULL) = (password_hash IS NULL)
+    ),
+    CONSTRAINT member_credentials_set_together CHECK (
+        (member_lookup_key IS NULL) = (member_password_hash IS NULL)
+    ),
     CONSTRAINT valid_json_structure CHECK (
         data ? 'items' AND
         jsonb_typeof(data->'items') = 'array'
     ),
     CONSTRAINT max_items_limit CHECK (
         jsonb_array_length(data->'items') <= 1000
+    ),
+    CONSTRAINT valid_lists_structure CHECK (
+        NOT data ? 'lists' OR jsonb_typeof(data->'lists') = 'array'
+    ),
+    CONSTRAINT max_lists_limit CHECK (
+        NOT data ? 'lists' OR jsonb_array_length(data->'lists') <= 20
     )
 );
 
@@ -80,39 +129,163 @@ CREATE TRIGGER update_spaces_last_modified
     FOR EACH ROW
     EXECUTE FUNCTION youpick.update_last_modified();
 
+-- Create the pick history table
+-- Every pick is appended here; spaces.data.lastPicked only holds the latest one
+CREATE TABLE IF NOT EXISTS youpick.picks (
+    pick_id BIGSERIAL PRIMARY KEY,
+
+    -- Owning space; history is removed together with its space
+    space_id VARCHAR(16) NOT NULL
+        REFERENCES youpick.spaces(space_id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+    -- List the pick was drawn from ('default' or a named list's id)
+    list_id VARCHAR(36) NOT NULL DEFAULT 'default',
+
+    -- What was picked; item_id is NULL for picks made before items had IDs
+    item_id VARCHAR(36),
+    item TEXT NOT NULL,
+    item_index INTEGER NOT NULL,
+
+    -- Optional name of whoever made the pick
+    picked_by VARCHAR(50),
+
+    -- Server-side draw details: {"roll": number, "totalWeight": number, "itemCount": number}
+    draw JSONB,
+
+    picked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- History is always read per space, newest first
+CREATE INDEX IF NOT EXISTS idx_picks_space_picked_at
+    ON youpick.picks(space_id, picked_at DESC);
+
+-- Create the revoked session table
+-- Session tokens are stateless; a token ended early (e.g. "Switch Space") is
+-- listed here until it would have expired anyway
+CREATE TABLE IF NOT EXISTS youpick.revoked_sessions (
+    -- The token's jti claim
+    session_id VARCHAR(32) PRIMARY KEY,
+
+    -- When the token expires; the row can be deleted after this
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_sessions_expires_at
+    ON youpick.revoked_sessions(expires_at);
+
+-- Create the share link table
+-- A share link opens a read-only view of a space without its password
+CREATE TABLE IF NOT EXISTS youpick.share_links (
+    -- Random public ID (UUID), used to list and revoke the link
+    share_id VARCHAR(36) PRIMARY KEY,
+
+    -- Space the link shows; links follow the space and are removed with it
+    space_id VARCHAR(16) NOT NULL
+        REFERENCES youpick.spaces(space_id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+    -- SHA-256 of the link's token (64 hex chars); the token itself is only
+    -- shown once, when the link is created
+    token_hash CHAR(64) NOT NULL UNIQUE,
+
+    -- Optional note on where the link is used, e.g. "Kitchen display"
+    label VARCHAR(100),
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_space_id
+    ON youpick.share_links(space_id);
+
+-- Create the rate limit table
+-- Counts for the password and per-space write limits when RATE_LIMIT_STORE
+-- is postgres, shared by every server instance
+CREATE TABLE IF NOT EXISTS youpick.rate_limits (
+    -- Limiter and what it counts, e.g. 'password:203.0.113.7'
+    key VARCHAR(200) PRIMARY KEY,
+
+    -- Requests so far in the current window
+    count INTEGER NOT NULL,
+
+    -- When the current window ends; ended rows are deleted from time to time
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create the archived space table
+-- The retention job moves spaces nobody has changed for a while here when
+-- RETENTION_SPACE_ACTION is archive; credentials and share links are not kept
+CREATE TABLE IF NOT EXISTS youpick.archived_spaces (
+    -- Public ID the space had; no longer opened by any password
+    space_id VARCHAR(16) PRIMARY KEY,
+
+    -- The space's data, as in spaces.data
+    data JSONB NOT NULL,
+
+    -- Its pick history, oldest first:
+    -- [{"listId", "itemId", "item", "index", "pickedBy", "draw", "timestamp"}]
+    picks JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_modified TIMESTAMP WITH TIME ZONE NOT NULL,
+    archived_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
 -- Comments for documentation
 COMMENT ON TABLE youpick.spaces IS 'Stores each space as a row with JSON data containing items and last picked information';
-COMMENT ON COLUMN youpick.spaces.space_id IS 'First 16 characters of SHA-256 hash of the password';
-COMMENT ON COLUMN youpick.spaces.data IS 'JSON object containing items array and lastPicked object';
-COMMENT ON COLUMN youpick.spaces.item_count IS 'Generated column: count of items in the items array';
+COMMENT ON COLUMN youpick.spaces.space_id IS 'Random public space ID (legacy rows: first 16 characters of SHA-256 hash of the password)';
+COMMENT ON COLUMN youpick.spaces.lookup_key IS 'HMAC-SHA256 of the password keyed with SPACE_LOOKUP_SECRET, used to find the space';
+COMMENT ON COLUMN youpick.spaces.password_hash IS 'bcrypt hash of the password';
+COMMENT ON COLUMN youpick.spaces.member_lookup_key IS 'HMAC-SHA256 of the optional member password, used to find the space';
+COMMENT ON COLUMN youpick.spaces.member_password_hash IS 'bcrypt hash of the optional member password';
+COMMENT ON COLUMN youpick.spaces.data IS 'JSON object containing the default list (items with IDs and weights, no-repeat pool), named lists and lastPicked object';
+COMMENT ON COLUMN youpick.spaces.version IS 'Number of saved changes to data, starting at 1; used for optimistic concurrency';
+COMMENT ON COLUMN youpick.spaces.item_count IS 'Generated column: count of items in the default list';
 COMMENT ON COLUMN youpick.spaces.created_at IS 'Timestamp when the space was first created';
 COMMENT ON COLUMN youpick.spaces.last_modified IS 'Timestamp of the last modification (automatically updated)';
+COMMENT ON TABLE youpick.picks IS 'Append-only history of every pick made in a space';
+COMMENT ON COLUMN youpick.picks.list_id IS 'List the pick was drawn from';
+COMMENT ON COLUMN youpick.picks.item_id IS 'Stable ID of the picked item; NULL for picks made before items had IDs';
+COMMENT ON COLUMN youpick.picks.item_index IS 'Index of the picked item at the time of the pick';
+COMMENT ON COLUMN youpick.picks.picked_by IS 'Optional name supplied by whoever made the pick';
+COMMENT ON COLUMN youpick.picks.draw IS 'Server-side draw details used to audit the pick';
+COMMENT ON TABLE youpick.revoked_sessions IS 'Session tokens revoked before their expiry';
+COMMENT ON COLUMN youpick.revoked_sessions.session_id IS 'jti claim of the revoked token';
+COMMENT ON TABLE youpick.share_links IS 'Revocable read-only links to a space';
+COMMENT ON COLUMN youpick.share_links.token_hash IS 'SHA-256 of the share token';
+COMMENT ON TABLE youpick.rate_limits IS 'Fixed-window request counts for rate limiting';
+COMMENT ON TABLE youpick.archived_spaces IS 'Spaces removed by the retention job, kept with their pick history';
 
 -- Sample queries for reference:
 /*
 -- Insert a new space
 INSERT INTO youpick.spaces (space_id, data)
-VALUES ('2cf24dba5fb0a30e', '{"items": ["Item 1", "Item 2"], "lastPicked": null}'::jsonb);
+VALUES ('2cf24dba5fb0a30e', '{"items": [{"id": "8c7e4a0e-5d1b-4f6a-9b1e-0f3c2d4e5a6b", "name": "Item 1", "weight": 1}], "lastPicked": null}'::jsonb);
 
 -- Get a space
 SELECT * FROM youpick.spaces WHERE space_id = '2cf24dba5fb0a30e';
 
 -- Update items in a space
 UPDATE youpick.spaces
-SET data = jsonb_set(data, '{items}', '["New Item 1", "New Item 2"]'::jsonb)
+SET data = jsonb_set(data, '{items}', '[{"id": "8c7e4a0e-5d1b-4f6a-9b1e-0f3c2d4e5a6b", "name": "New Item 1", "weight": 1}]'::jsonb)
 WHERE space_id = '2cf24dba5fb0a30e';
 
 -- Update lastPicked
 UPDATE youpick.spaces
 SET data = jsonb_set(data, '{lastPicked}',
-    '{"item": "Item 1", "index": 0, "timestamp": "2025-11-23T12:00:00Z", "space": "2cf24dba"}'::jsonb)
+    '{"item": "Item 1", "itemId": "8c7e4a0e-5d1b-4f6a-9b1e-0f3c2d4e5a6b", "index": 0, "timestamp": "2025-11-23T12:00:00Z", "space": "2cf24dba"}'::jsonb)
 WHERE space_id = '2cf24dba5fb0a30e';
 
+-- Get last week's picks for a space
+SELECT item, picked_by, picked_at
+FROM youpick.picks
+WHERE space_id = '2cf24dba5fb0a30e'
+  AND picked_at >= NOW() - INTERVAL '7 days'
+ORDER BY picked_at DESC;
+
 -- Get all spaces with more than 5 items
 SELECT space_id, item_count, created_at
 FROM youpick.spaces
 WHERE item_count > 5;
 
--- Delete a space
+-- Delete a space (the API does this through DELETE /api/space; its picks go with it)
 DELETE FROM youpick.spaces WHERE space_id = '2cf24dba5fb0a30e';
 */
\ No newline at end of file
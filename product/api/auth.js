@@ -0,0 +1,353 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+import {
+  findSpaceByLookupKey,
+  claimLegacySpace,
+  createSpace,
+  moveSpace,
+  getCredentials,
+  setMemberPassword,
+  revokeSession,
+  isSessionRevoked,
+  createShareLink,
+  findShareLink,
+  spaceExists
+} from './datastore.js';
+
+/**
+ * Password-to-space resolution and session tokens.
+ *
+ * Every space has a random public ID (`space_id`) and a bcrypt hash of its
+ * password. Because salted hashes can't be searched, each space also stores
+ * a lookup key: an HMAC of the password keyed with SPACE_LOOKUP_SECRET. The
+ * lookup key finds the candidate space; the bcrypt hash then verifies the
+ * password in constant time.
+ *
+ * The password is only exchanged once, for a session token of the form
+ * `<payload>.<signature>`: base64url JSON claims signed with HMAC-SHA256
+ * under SESSION_SECRET. Tokens expire after SESSION_TTL_SECONDS and can be
+ * revoked before then.
+ *
+ * Changing a space's password moves the space to a new public ID. Tokens
+ * name the space they were issued for, so every session opened with the old
+ * password stops working at once.
+ *
+ * A space can also have a member password. It opens the same space with the
+ * `member` role: members can add items and pick, while removing items and
+ * changing settings is left to the `admin` role of the main password. A
+ * member session carries a tag of the member password's hash, so changing
+ * or removing the member password ends every member session.
+ *
+ * Share links give read-only access without the password. Each carries a
+ * random token of its own; only a SHA-256 of it is stored, which is enough
+ * for a value with 192 bits of randomness.
+ */
+
+dotenv.config();
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '10');
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS || '43200'); // 12 hours
+// Whether opening a session with a password no space uses creates a space
+// for it, as clients from before POST /api/spaces expect. Off by default.
+const AUTO_CREATE_SPACES = process.env.AUTO_CREATE_SPACES === 'true';
+
+// Read a required secret; development falls back to a fixed, insecure value
+function requireSecret(name) {
+  const value = process.env[name];
+  if (value) {
+    return value;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    console.error(`${name} environment variable is not set!`);
+    console.error(`Please set ${name} to a long random string in your .env file`);
+    process.exit(1);
+  }
+  console.warn(`${name} is not set; using an insecure development secret`);
+  return `youpick-development-${name.toLowerCase()}`;
+}
+
+const LOOKUP_SECRET = requireSecret('SPACE_LOOKUP_SECRET');
+const SESSION_SECRET = requireSecret('SESSION_SECRET');
+
+// Generate a random public space ID (16 hex characters)
+function generateSpaceId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Derive the keyed lookup key used to find a password's space
+function deriveLookupKey(password) {
+  return crypto.createHmac('sha256', LOOKUP_SECRET).update(password).digest('hex');
+}
+
+// Space ID used before salted hashing: first 16 hex chars of an unsalted SHA-256
+function legacySpaceId(password) {
+  return crypto.createHash('sha256').update(password).digest('hex').substring(0, 16);
+}
+
+// Hash a password for storage
+async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Check a password against a stored bcrypt hash (constant-time comparison)
+async function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+// Tag identifying the member password a member session was opened with
+function memberCredential(memberPasswordHash) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(memberPasswordHash).digest('base64url').slice(0, 16);
+}
+
+// What a verified password gives access to: { spaceId, role, credential }
+function accessFor(found) {
+  if (found.role === 'member') {
+    return { spaceId: found.spaceId, role: 'member', credential: memberCredential(found.passwordHash) };
+  }
+  return { spaceId: found.spaceId, role: 'admin', credential: null };
+}
+
+// Find the space a password opens. Returns the access it grants ({ spaceId,
+// role, credential }, see issueSession), or null if the password opens no
+// space (or fails verification).
+async function findSpace(password) {
+  const lookupKey = deriveLookupKey(password);
+
+  const existing = await findSpaceByLookupKey(lookupKey);
+  if (existing) {
+    return (await verifyPassword(password, existing.passwordHash)) ? accessFor(existing) : null;
+  }
+
+  // Spaces created before salted hashing are keyed by the legacy ID. The first
+  // login claims the row: it gets a random public ID and proper credentials.
+  // The password is only hashed when there is such a row, so an unknown
+  // password costs no bcrypt hash.
+  const legacyId = legacySpaceId(password);
+  if (!(await spaceExists(legacyId))) {
+    return null;
+  }
+
+  const claimed = await claimLegacySpace(legacyId, generateSpaceId(), lookupKey, await hashPassword(password));
+  return claimed ? accessFor({ spaceId: claimed, role: 'admin' }) : null;
+}
+
+// Whether a password already opens a space, as an admin or member password
+// or as the key of an unclaimed legacy space. Nothing is hashed or claimed.
+async function isPasswordInUse(password) {
+  return Boolean(await findSpaceByLookupKey(deriveLookupKey(password))) ||
+    spaceExists(legacySpaceId(password));
+}
+
+// Create a space whose admin password is `password`. Returns the access it
+// grants, like findSpace. Throws 'Password already in use' if the password
+// already opens a space.
+async function createSpaceWithPassword(password) {
+  if (await isPasswordInUse(password)) {
+    throw new Error('Password already in use');
+  }
+
+  const created = await createSpace(generateSpaceId(), deriveLookupKey(password), await hashPassword(password));
+  if (!created) {
+    // Another request created a space with this password first
+    throw new Error('Password already in use');
+  }
+  return accessFor({ spaceId: created, role: 'admin' });
+}
+
+// Resolve the space a password opens for a new session. Returns the access
+// it grants, or null if the password opens no space. With
+// AUTO_CREATE_SPACES, a space is created for an unknown password instead.
+async function resolveSpace(password) {
+  const access = await findSpace(password);
+  if (access || !AUTO_CREATE_SPACES) {
+    return access;
+  }
+
+  try {
+    return await createSpaceWithPassword(password);
+  } catch (error) {
+    // Another request created the space first
+    if (error.message === 'Password already in use') {
+      return findSpace(password);
+    }
+    throw error;
+  }
+}
+
+// Check a password against a space's own admin password
+async function checkSpacePassword(spaceId, password) {
+  if (typeof password !== 'string' || password === '') {
+    return false;
+  }
+
+  const existing = await findSpaceByLookupKey(deriveLookupKey(password));
+  return Boolean(existing) && existing.spaceId === spaceId && existing.role === 'admin' &&
+    (await verifyPassword(password, existing.passwordHash));
+}
+
+// Give a space a new admin password. The space moves to a new public ID,
+// ending every session opened under the old one. Returns the new ID. Throws
+// 'Invalid password' if `currentPassword` isn't the space's admin password
+// and 'Password already in use' if `newPassword` opens a space, this one's
+// member password and unclaimed legacy spaces included.
+async function changeSpacePassword(spaceId, currentPassword, newPassword) {
+  if (!(await checkSpacePassword(spaceId, currentPassword))) {
+    throw new Error('Invalid password');
+  }
+
+  if (await isPasswordInUse(newPassword)) {
+    throw new Error('Password already in use');
+  }
+
+  const lookupKey = deriveLookupKey(newPassword);
+
+  const moved = await moveSpace(spaceId, generateSpaceId(), lookupKey, await hashPassword(newPassword));
+  if (!moved) {
+    throw new Error('Password already in use');
+  }
+  return moved;
+}
+
+// Set the space's member password, or remove it with null. Either way,
+// every member session opened with the previous one ends. Throws 'Password
+// already in use' if `memberPassword` opens a space, this one's admin
+// password and unclaimed legacy spaces included; this space's own member
+// password may be set again.
+async function setSpaceMemberPassword(spaceId, memberPassword) {
+  if (memberPassword === null) {
+    await setMemberPassword(spaceId, null, null);
+    return;
+  }
+
+  // Setting the space's current member password again is fine
+  const lookupKey = deriveLookupKey(memberPassword);
+  const owner = await findSpaceByLookupKey(lookupKey);
+  if (owner && !(owner.spaceId === spaceId && owner.role === 'member')) {
+    throw new Error('Password already in use');
+  }
+  if (await spaceExists(legacySpaceId(memberPassword))) {
+    throw new Error('Password already in use');
+  }
+
+  if (!(await setMemberPassword(spaceId, lookupKey, await hashPassword(memberPassword)))) {
+    throw new Error('Password already in use');
+  }
+}
+
+// Hash a share token for storage and lookup
+function hashShareToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a read-only share link for a space. Returns the stored link
+// ({ id, label, created }) and its token, which is not kept anywhere.
+async function issueShareLink(spaceId, label) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const share = await createShareLink(spaceId, crypto.randomUUID(), hashShareToken(token), label);
+  return { share, token };
+}
+
+// Find the share link a token belongs to, or null if there is none (or it
+// has been revoked)
+async function resolveShareLink(token) {
+  if (typeof token !== 'string' || !/^[A-Za-z0-9_-]{32}$/.test(token)) {
+    return null;
+  }
+  return findShareLink(hashShareToken(token));
+}
+
+// Sign a token payload
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// Issue a session token for the access a password grants (see
+// resolveSpace). Returns the token and its claims.
+function issueSession({ spaceId, role = 'admin', credential = null }) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    sid: spaceId,
+    role,
+    jti: crypto.randomBytes(16).toString('hex'),
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS
+  };
+  if (role === 'member') {
+    claims.cred = credential;
+  }
+
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, claims };
+}
+
+// Verify a session token's signature, expiry and revocation and, for a
+// member session, that the member password is unchanged. Returns its claims,
+// or null if the token is not valid. Throws 'Space not found' for an
+// otherwise valid token whose space no longer exists under the ID it was
+// issued for (deleted, or moved by a password change). Tokens issued before
+// roles existed are admin sessions.
+async function verifySession(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  if (await isSessionRevoked(claims.jti)) {
+    return null;
+  }
+
+  const credentials = await getCredentials(claims.sid);
+  if (!credentials) {
+    throw new Error('Space not found');
+  }
+
+  const role = claims.role || 'admin';
+  if (role === 'member' && !(credentials.memberPasswordHash &&
+      claims.cred === memberCredential(credentials.memberPasswordHash))) {
+    return null;
+  }
+
+  return { ...claims, role };
+}
+
+// Revoke a session so its token is rejected until it would have expired anyway
+async function endSession(claims) {
+  await revokeSession(claims.jti, new Date(claims.exp * 1000).toISOString());
+}
+
+export {
+  resolveSpace,
+  createSpaceWithPassword,
+  checkSpacePassword,
+  changeSpacePassword,
+  setSpaceMemberPassword,
+  issueSession,
+  verifySession,
+  endSession,
+  issueShareLink,
+  resolveShareLink
+};
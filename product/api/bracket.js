@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { shuffleItems } from './picker.js';
+
+/**
+ * Head-to-head elimination brackets
+ *
+ * A bracket seeds some of a list's items in random order and pairs them off.
+ * Everyone in the space votes on the pairings of the current round; closing
+ * the round sends each pairing's winner on to the next one, until a single
+ * item is left. An odd item out gets a bye into the next round.
+ *
+ * Entrants are a snapshot of the items ({ id, name }) when the bracket
+ * started, so renaming or removing items later doesn't disturb it.
+ *
+ * Bracket shape:
+ *   { id, entrants: [{ id, name }], rounds: [[match]], winner, created, finished }
+ *   match: { id, a, b, votes: { [voterId]: 'a' | 'b' }, winner, tiebreak }
+ * `a`, `b` and `winner` are entrant IDs; `b` is null for a bye. The last
+ * round is the current one, and the bracket is finished once it has a winner.
+ */
+
+const MIN_BRACKET_ENTRANTS = 2;
+const MAX_BRACKET_ENTRANTS = 64;
+const BRACKET_CHOICES = ['a', 'b'];
+
+// Pair entrants off for a round, in order. An odd one out is paired with
+// nobody and wins its match straight away.
+function pairUp(entrantIds) {
+  const matches = [];
+  for (let i = 0; i < entrantIds.length; i += 2) {
+    const b = entrantIds[i + 1] ?? null;
+    matches.push({
+      id: crypto.randomUUID(),
+      a: entrantIds[i],
+      b,
+      votes: {},
+      winner: b === null ? entrantIds[i] : null,
+      tiebreak: false
+    });
+  }
+  return matches;
+}
+
+// Number of rounds a bracket of `entrantCount` entrants takes
+function countRounds(entrantCount) {
+  return Math.ceil(Math.log2(entrantCount));
+}
+
+// The round being voted on (or, once finished, the final)
+function currentRound(bracket) {
+  return bracket.rounds[bracket.rounds.length - 1];
+}
+
+// Votes for each side of a match: { a, b }
+function tallyVotes(match) {
+  const counts = { a: 0, b: 0 };
+  for (const choice of Object.values(match.votes)) {
+    counts[choice]++;
+  }
+  return counts;
+}
+
+// Start a bracket with `items` ({ id, name }) as its entrants
+function createBracket(items) {
+  if (items.length < MIN_BRACKET_ENTRANTS) {
+    throw new Error('Not enough items for a bracket');
+  }
+  if (items.length > MAX_BRACKET_ENTRANTS) {
+    throw new Error('Too many items for a bracket');
+  }
+
+  const entrants = shuffleItems(items).map(({ id, name }) => ({ id, name }));
+  return {
+    id: crypto.randomUUID(),
+    entrants,
+    rounds: [pairUp(entrants.map(entrant => entrant.id))],
+    winner: null,
+    created: new Date().toISOString(),
+    finished: null
+  };
+}
+
+// Record `voterId`'s vote for one side ('a' or 'b') of a match in the
+// current round, replacing their earlier vote on it
+function castVote(bracket, matchId, voterId, choice) {
+  if (bracket.winner) {
+    throw new Error('Bracket is finished');
+  }
+
+  const match = currentRound(bracket).find(candidate => candidate.id === matchId);
+  if (!match) {
+    throw new Error('Match not found');
+  }
+  if (match.b === null) {
+    throw new Error('Match is a bye');
+  }
+
+  match.votes[voterId] = choice;
+}
+
+// Decide every match of the current round by its votes, then pair the
+// winners off for the next round; the last one left wins the bracket. Ties,
+// including matches nobody voted on, are broken at random and marked as such.
+function closeRound(bracket) {
+  if (bracket.winner) {
+    throw new Error('Bracket is finished');
+  }
+
+  const round = currentRound(bracket);
+  for (const match of round) {
+    if (match.winner) {
+      continue;
+    }
+
+    const { a, b } = tallyVotes(match);
+    if (a === b) {
+      match.tiebreak = true;
+      match.winner = crypto.randomInt(2) === 0 ? match.a : match.b;
+    } else {
+      match.winner = a > b ? match.a : match.b;
+    }
+  }
+
+  const winners = round.map(match => match.winner);
+  if (winners.length === 1) {
+    bracket.winner = winners[0];
+    bracket.finished = new Date().toISOString();
+  } else {
+    bracket.rounds.push(pairUp(winners));
+  }
+}
+
+export {
+  MIN_BRACKET_ENTRANTS,
+  MAX_BRACKET_ENTRANTS,
+  BRACKET_CHOICES,
+  countRounds,
+  tallyVotes,
+  createBracket,
+  castVote,
+  closeRound
+};
@@ -0,0 +1,224 @@
+/**
+ * Parsing for bulk item imports and formatting for space exports
+ *
+ * Imports turn pasted or uploaded text into entries of `{ line, name, weight }`
+ * where `line` is the 1-based line, row or array position the entry came
+ * from, so rejections can be reported against what the user supplied.
+ * Entries are not validated here; the routes run them through the same
+ * checks as single items.
+ */
+
+const IMPORT_FORMATS = ['text', 'csv', 'json'];
+const EXPORT_FORMATS = ['csv', 'json', 'txt'];
+
+// Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+// commas, newlines and "" for a literal quote). Each row records the line it
+// started on.
+function parseCsvRows(content) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// Read a weight cell: blank means the default, a whole number is taken as
+// is, and anything else is passed through for validation to reject
+function parseWeightCell(value) {
+  const trimmed = (value || '').trim();
+  if (trimmed === '') {
+    return undefined;
+  }
+  return /^-?\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+}
+
+// CSV with a `name` (or `item`) column and an optional `weight` column. The
+// header row is optional; without one the first column is the name and the
+// second the weight. A `type` column, as in exports, limits the import to
+// rows of type `item`.
+function parseCsv(content) {
+  const rows = parseCsvRows(content);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].fields.map(field => field.trim().toLowerCase());
+  let nameColumn = header.findIndex(field => field === 'name' || field === 'item');
+  let weightColumn = -1;
+  let typeColumn = -1;
+  let dataRows = rows;
+
+  if (nameColumn !== -1) {
+    weightColumn = header.indexOf('weight');
+    typeColumn = header.indexOf('type');
+    dataRows = rows.slice(1);
+  } else {
+    nameColumn = 0;
+    weightColumn = 1;
+  }
+
+  return dataRows
+    .filter(row => typeColumn === -1 || (row.fields[typeColumn] || '').trim() === 'item')
+    .map(row => ({
+      line: row.line,
+      name: row.fields[nameColumn],
+      weight: weightColumn === -1 ? undefined : parseWeightCell(row.fields[weightColumn])
+    }));
+}
+
+// A JSON array of names or `{ name, weight }` objects, or an export's
+// `{ lists: [{ items }] }` / `{ items }` object
+function parseJson(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    throw new Error('Invalid JSON');
+  }
+
+  let entries = parsed;
+  if (parsed && !Array.isArray(parsed) && typeof parsed === 'object') {
+    entries = Array.isArray(parsed.lists)
+      ? parsed.lists.flatMap(list => (Array.isArray(list?.items) ? list.items : []))
+      : parsed.items;
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON must be an array of items');
+  }
+
+  return entries.map((entry, index) => {
+    const isObject = entry !== null && typeof entry === 'object';
+    return {
+      line: index + 1,
+      name: isObject ? entry.name : entry,
+      weight: isObject ? entry.weight : undefined
+    };
+  });
+}
+
+// One item per non-blank line
+function parseText(content) {
+  return content.split(/\r\n|\r|\n/)
+    .map((name, index) => ({ line: index + 1, name, weight: undefined }))
+    .filter(entry => entry.name.trim() !== '');
+}
+
+// Parse import content in one of IMPORT_FORMATS. Throws when the content as
+// a whole can't be read; individual bad entries are left to validation.
+function parseImport(format, content) {
+  switch (format) {
+    case 'csv':
+      return parseCsv(content);
+    case 'json':
+      return parseJson(content);
+    default:
+      return parseText(content);
+  }
+}
+
+// Quote a CSV field when it needs it
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Items first, one row each, then the pick history, newest first
+function formatCsv({ lists, picks }) {
+  const listNames = new Map(lists.map(list => [list.id, list.name]));
+  const rows = [['type', 'list', 'name', 'weight', 'picked_by', 'picked_at']];
+
+  for (const list of lists) {
+    for (const item of list.items) {
+      rows.push(['item', list.name, item.name, item.weight, '', '']);
+    }
+  }
+  for (const pick of picks) {
+    rows.push(['pick', listNames.get(pick.listId) || pick.listId, pick.item, '', pick.pickedBy, pick.timestamp]);
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Readable summary: each list's items, then the pick history
+function formatText({ lists, picks }) {
+  const listNames = new Map(lists.map(list => [list.id, list.name]));
+  const sections = lists.map(list => [
+    `# ${list.name}`,
+    ...list.items.map(item => (item.weight === 1 ? item.name : `${item.name} (weight ${item.weight})`))
+  ].join('\n'));
+
+  sections.push([
+    '# Pick history',
+    ...picks.map(pick => {
+      const by = pick.pickedBy ? ` by ${pick.pickedBy}` : '';
+      return `${pick.timestamp}  ${pick.item} (${listNames.get(pick.listId) || pick.listId})${by}`;
+    })
+  ].join('\n'));
+
+  return sections.join('\n\n') + '\n';
+}
+
+// Format a space export in one of EXPORT_FORMATS. `space` holds the
+// space's `spaceId`, `lists` (with their items) and `picks`, newest first.
+function formatExport(format, space) {
+  switch (format) {
+    case 'csv':
+      return formatCsv(space);
+    case 'txt':
+      return formatText(space);
+    default:
+      return JSON.stringify(space, null, 2);
+  }
+}
+
+export { IMPORT_FORMATS, EXPORT_FORMATS, parseImport, formatExport };
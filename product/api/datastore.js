@@ -1,193 +1,1058 @@
-import { query, getClient } from './db.js';
+import crypto from 'crypto';
+import storage, { STORAGE_BACKEND } from './storage/index.js';
+import { createBracket, castVote, closeRound } from './bracket.js';
+import { createPoll, castBallot, closePoll } from './poll.js';
+import { createVeto, strikeItem, unstrikeItem, finishVeto } from './veto.js';
+import { drawWeighted } from './picker.js';
 
 /**
- * PostgreSQL-based data storage for spaces
+ * Space and list operations, shared by every storage backend
+ *
+ * The backend (see storage/index.js) only stores space data and pick
+ * history; every rule about items, weights, pools and lists lives here.
+ *
+ * A space holds one or more named lists. The default list lives at the top
+ * level of the space data (`items`, `noRepeat`, `remaining`) so spaces
+ * created before named lists existed keep working unchanged; any additional
+ * lists are stored in the `lists` array with the same fields.
+ *
+ * A space may also have a display name (`spaceName`); spaces are otherwise
+ * known only by their random public ID.
+ *
+ * Items are `{ id, name, weight }` objects, addressed by their ID so that
+ * concurrent edits never hit the wrong item. The no-repeat pool
+ * (`remaining`) holds item IDs. Items added since nicknames existed also
+ * record who added them and when (`addedBy`, `addedAt`), and each list
+ * keeps its most recent removals (`removed`) with who removed them. A list's
+ * latest multi-item draw (several picks, a shuffle or teams) is kept as
+ * `lastDraw`.
+ *
+ * Each list can also hold one elimination bracket (`bracket`, see
+ * bracket.js) and one poll (`poll`, see poll.js) over a snapshot of its
+ * items. Poll ballots are kept with the poll in the space data. A list's
+ * veto round (`veto`, see veto.js) records who struck which of its items.
+ *
+ * Every saved change raises the space's version by one. Each operation that
+ * changes a space accepts `{ expectedVersion }` as its last argument and
+ * fails with 'Space has changed' if the space is at any other version, so a
+ * client editing an outdated copy can't overwrite someone else's change.
  */
 
-const SCHEMA_NAME = 'youpick';
+const DEFAULT_WEIGHT = 1;
+const DEFAULT_LIST_ID = 'default';
+const DEFAULT_LIST_NAME = 'Default';
+const MAX_ITEMS_PER_LIST = 1000;
+const MAX_REMOVALS_KEPT = 20; // recent removals remembered per list
 
-// Get or create a space
-async function getSpace(spaceId) {
-  try {
-    const result = await query(
-      `SELECT * FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1`,
-      [spaceId]
-    );
+// Data for a space that has just been created
+function emptySpaceData() {
+  return {
+    items: [],
+    noRepeat: false,
+    remaining: [],
+    lists: [],
+    lastPicked: null
+  };
+}
 
-    if (result.rows.length > 0) {
-      const space = result.rows[0];
-      return {
-        items: space.data.items || [],
-        lastPicked: space.data.lastPicked || null,
-        created: space.created_at,
-        lastModified: space.last_modified
-      };
+// Whether space data still has items stored as plain strings
+function hasLegacyItems(data) {
+  return [data, ...(data.lists || [])].some(list =>
+    (list.items || []).some(item => typeof item === 'string')
+  );
+}
+
+// Spaces saved before items had IDs store them as plain strings, with weights
+// in a separate name -> weight map and the no-repeat pool as names. Convert
+// such data in place to items with IDs.
+function upgradeItems(data) {
+  if (!hasLegacyItems(data)) {
+    return;
+  }
+
+  for (const list of [data, ...(data.lists || [])]) {
+    const weights = list.weights || {};
+    list.items = (list.items || []).map(item => (typeof item === 'string'
+      ? { id: crypto.randomUUID(), name: item, weight: weights[item] || DEFAULT_WEIGHT }
+      : item));
+    delete list.weights;
+
+    const idsByName = new Map(list.items.map(item => [item.name, item.id]));
+    list.remaining = (list.remaining || [])
+      .map(entry => idsByName.get(entry) || entry)
+      .filter(id => list.items.some(item => item.id === id));
+  }
+
+  // Point the last pick at its item, or drop it if the item is gone
+  const lastPicked = data.lastPicked;
+  if (lastPicked && !lastPicked.itemId) {
+    const list = findList(data, lastPicked.listId || DEFAULT_LIST_ID);
+    const item = list && list.items.find(candidate => candidate.name === lastPicked.item);
+    if (item) {
+      lastPicked.itemId = item.id;
+    } else {
+      data.lastPicked = null;
     }
+  }
+}
 
-    // Create new space if it doesn't exist
-    const newSpace = {
-      items: [],
-      lastPicked: null
-    };
+// Find the object holding a list's fields within the space data
+function findList(data, listId) {
+  if (listId === DEFAULT_LIST_ID) {
+    return data;
+  }
+  return (data.lists || []).find(list => list.id === listId) || null;
+}
+
+// Shape a list's stored fields into a list object
+function toList(source, id, name) {
+  return {
+    id,
+    name,
+    items: source.items || [],
+    noRepeat: source.noRepeat || false,
+    remaining: source.remaining || [],
+    bracket: source.bracket || null,
+    poll: source.poll || null,
+    veto: source.veto || null,
+    removed: source.removed || [],
+    lastDraw: source.lastDraw || null
+  };
+}
 
-    await query(
-      `INSERT INTO ${SCHEMA_NAME}.spaces (space_id, data) VALUES ($1, $2)`,
-      [spaceId, JSON.stringify(newSpace)]
-    );
+// All lists in the space data, default list first
+function listsOf(data) {
+  return [
+    toList(data, DEFAULT_LIST_ID, data.listName || DEFAULT_LIST_NAME),
+    ...(data.lists || []).map(list => toList(list, list.id, list.name))
+  ];
+}
 
-    return {
-      items: [],
-      lastPicked: null,
-      created: new Date().toISOString(),
-      lastModified: new Date().toISOString()
-    };
+// Shape a stored space into a space object
+function toSpace(stored) {
+  return {
+    name: stored.data.spaceName || null,
+    items: stored.data.items || [],
+    noRepeat: stored.data.noRepeat || false,
+    remaining: stored.data.remaining || [],
+    lists: listsOf(stored.data),
+    lastPicked: stored.data.lastPicked || null,
+    version: stored.version,
+    created: stored.created,
+    lastModified: stored.lastModified
+  };
+}
+
+// Run `mutate` against a space's data atomically (see storage/index.js).
+// `mutate` changes the data in place; its return value is passed through.
+// Legacy string items are upgraded first, so `mutate` always sees item objects.
+// With `expectedVersion`, the change is refused with 'Space has changed' if
+// the space is at any other version. Spaces are never created here; a
+// missing one fails with 'Space not found'.
+function mutateSpace(spaceId, mutate, { expectedVersion = null } = {}) {
+  return storage.mutateSpace(spaceId, (data, transaction) => {
+    if (expectedVersion !== null && transaction.version !== expectedVersion) {
+      throw new Error('Space has changed');
+    }
+    upgradeItems(data);
+    return mutate(data, transaction);
+  });
+}
+
+// Find an item in a list or fail the surrounding transaction
+function requireItem(list, itemId) {
+  const item = list.items.find(candidate => candidate.id === itemId);
+  if (!item) {
+    throw new Error('Item not found');
+  }
+  return item;
+}
+
+// Find a list in the space data or fail the surrounding transaction
+function requireList(data, listId) {
+  const list = findList(data, listId);
+  if (!list) {
+    throw new Error('List not found');
+  }
+  if (!list.items) list.items = [];
+  return list;
+}
+
+// Find a space by the keyed lookup key derived from its admin or member
+// password. Returns { spaceId, passwordHash, role } or null.
+async function findSpaceByLookupKey(lookupKey) {
+  try {
+    return await storage.findSpaceByLookupKey(lookupKey);
+  } catch (error) {
+    console.error('Error finding space:', error);
+    throw error;
+  }
+}
+
+// Upgrade a space still stored under its legacy SHA-256 ID: move it to a new
+// public ID and store its credentials. Its pick history moves with it.
+// Returns the new ID, or null if there is no unclaimed legacy space.
+async function claimLegacySpace(legacyId, spaceId, lookupKey, passwordHash) {
+  try {
+    return await storage.claimLegacySpace(legacyId, spaceId, lookupKey, passwordHash);
+  } catch (error) {
+    console.error('Error claiming legacy space:', error);
+    throw error;
+  }
+}
+
+// Create a space with its credentials. Returns the new ID, or null if a space
+// with the same lookup key already exists.
+async function createSpace(spaceId, lookupKey, passwordHash) {
+  try {
+    return await storage.createSpace(spaceId, lookupKey, passwordHash, emptySpaceData());
+  } catch (error) {
+    console.error('Error creating space:', error);
+    throw error;
+  }
+}
+
+// Move a space and its pick history to a new public ID with new credentials,
+// e.g. after a password change. Returns the new ID, or null if another space
+// already uses the new password's lookup key.
+async function moveSpace(spaceId, newSpaceId, lookupKey, passwordHash) {
+  try {
+    return await storage.moveSpace(spaceId, newSpaceId, lookupKey, passwordHash);
+  } catch (error) {
+    console.error('Error moving space:', error);
+    throw error;
+  }
+}
+
+// Get a space's password hashes: { passwordHash, memberPasswordHash }, or
+// null if the space doesn't exist
+async function getCredentials(spaceId) {
+  try {
+    return await storage.getCredentials(spaceId);
+  } catch (error) {
+    console.error('Error reading space credentials:', error);
+    throw error;
+  }
+}
+
+// Set a space's member password, or remove it by passing nulls. Returns
+// false if any space already uses the lookup key.
+async function setMemberPassword(spaceId, lookupKey, passwordHash) {
+  try {
+    return await storage.setMemberPassword(spaceId, lookupKey, passwordHash);
+  } catch (error) {
+    console.error('Error setting member password:', error);
+    throw error;
+  }
+}
+
+// Delete a space and its pick history. Returns whether the space existed.
+async function deleteSpace(spaceId) {
+  try {
+    return await storage.deleteSpace(spaceId);
+  } catch (error) {
+    console.error('Error deleting space:', error);
+    throw error;
+  }
+}
+
+// Get a space, or null if there is no such space. Spaces are only created
+// through createSpace, never by reading them.
+async function getSpace(spaceId) {
+  try {
+    const stored = await storage.readSpace(spaceId);
+    if (!stored) {
+      return null;
+    }
+    if (!hasLegacyItems(stored.data)) {
+      return toSpace(stored);
+    }
+
+    // Save the upgraded items so their IDs stay the same from now on
+    await mutateSpace(spaceId, () => true);
+    return toSpace(await storage.readSpace(spaceId));
   } catch (error) {
     console.error('Error getting space:', error);
     throw error;
   }
 }
 
-// Update a space's data
-async function updateSpace(spaceId, data) {
+// Get one list of a space, or null if there is no such space or list. The
+// list carries the space's `version`.
+async function getList(spaceId, listId = DEFAULT_LIST_ID) {
+  const space = await getSpace(spaceId);
+  if (!space) {
+    return null;
+  }
+  const list = space.lists.find(candidate => candidate.id === listId);
+  return list ? { ...list, version: space.version } : null;
+}
+
+// Replace a space's data. With `expectedVersion`, the write is refused if
+// anyone else has saved a change since that version.
+async function updateSpace(spaceId, data, { expectedVersion = null } = {}) {
   try {
     const jsonData = {
       items: data.items || [],
+      noRepeat: data.noRepeat || false,
+      remaining: data.remaining || [],
+      lists: data.lists || [],
       lastPicked: data.lastPicked || null
     };
 
-    const result = await query(
-      `UPDATE ${SCHEMA_NAME}.spaces
-       SET data = $2
-       WHERE space_id = $1
-       RETURNING *`,
-      [spaceId, JSON.stringify(jsonData)]
-    );
-
-    if (result.rows.length === 0) {
-      // If space doesn't exist, create it
-      await query(
-        `INSERT INTO ${SCHEMA_NAME}.spaces (space_id, data) VALUES ($1, $2)`,
-        [spaceId, JSON.stringify(jsonData)]
-      );
+    if (data.spaceName) {
+      jsonData.spaceName = data.spaceName;
     }
 
-    return true;
+    if (data.listName) {
+      jsonData.listName = data.listName;
+    }
+
+    // Data in the pre-ID format is upgraded below
+    if (data.weights) {
+      jsonData.weights = data.weights;
+    }
+
+    return await mutateSpace(spaceId, (stored) => {
+      for (const key of Object.keys(stored)) {
+        delete stored[key];
+      }
+      Object.assign(stored, jsonData);
+      upgradeItems(stored);
+      return true;
+    }, { expectedVersion });
   } catch (error) {
     console.error('Error updating space:', error);
     throw error;
   }
 }
 
-// Add an item to a space
-async function addItem(spaceId, item) {
-  const client = await getClient();
+// Add an item to a list, optionally with a pick weight (defaults to 1).
+// Returns the new item.
+async function addItem(spaceId, name, weight = DEFAULT_WEIGHT, listId = DEFAULT_LIST_ID, { expectedVersion = null, by = null } = {}) {
   try {
-    await client.query('BEGIN');
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
 
-    // Get current space data
-    const result = await client.query(
-      `SELECT data FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1 FOR UPDATE`,
-      [spaceId]
-    );
+      // Add the new item
+      const item = { id: crypto.randomUUID(), name, weight, addedBy: by, addedAt: new Date().toISOString() };
+      list.items.push(item);
 
-    let data;
-    if (result.rows.length === 0) {
-      // Create new space if it doesn't exist
-      data = { items: [], lastPicked: null };
-      await client.query(
-        `INSERT INTO ${SCHEMA_NAME}.spaces (space_id, data) VALUES ($1, $2)`,
-        [spaceId, JSON.stringify(data)]
-      );
-    } else {
-      data = result.rows[0].data;
-    }
+      // New items join the current round in no-repeat mode
+      if (list.noRepeat) {
+        if (!list.remaining) list.remaining = [];
+        list.remaining.push(item.id);
+      }
+
+      return item;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error adding item:', error);
+    throw error;
+  }
+}
 
-    // Add the new item
-    if (!data.items) data.items = [];
-    data.items.push(item);
+// Add several items to a list in one transaction. `entries` are
+// `{ name, weight }`; names already in the list, or repeated within
+// `entries`, are skipped. Fails without adding anything if the list would
+// exceed MAX_ITEMS_PER_LIST. Returns `{ added, duplicates }`, the new items
+// and the skipped entries.
+async function addItems(spaceId, entries, listId = DEFAULT_LIST_ID, { expectedVersion = null, by = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      const names = new Set(list.items.map(item => item.name));
+      const addedAt = new Date().toISOString();
+      const added = [];
+      const duplicates = [];
 
-    // Update the space
-    await client.query(
-      `UPDATE ${SCHEMA_NAME}.spaces SET data = $2 WHERE space_id = $1`,
-      [spaceId, JSON.stringify(data)]
-    );
+      for (const entry of entries) {
+        if (names.has(entry.name)) {
+          duplicates.push(entry);
+          continue;
+        }
+        names.add(entry.name);
+        added.push({ id: crypto.randomUUID(), name: entry.name, weight: entry.weight || DEFAULT_WEIGHT, addedBy: by, addedAt });
+      }
 
-    await client.query('COMMIT');
-    return true;
+      if (list.items.length + added.length > MAX_ITEMS_PER_LIST) {
+        throw new Error(`Maximum number of items (${MAX_ITEMS_PER_LIST}) reached`);
+      }
+
+      list.items.push(...added);
+
+      // New items join the current round in no-repeat mode
+      if (list.noRepeat) {
+        if (!list.remaining) list.remaining = [];
+        list.remaining.push(...added.map(item => item.id));
+      }
+
+      return { added, duplicates };
+    }, { expectedVersion });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error adding item:', error);
+    console.error('Error adding items:', error);
     throw error;
-  } finally {
-    client.release();
   }
 }
 
-// Remove an item from a space
-async function removeItem(spaceId, index) {
-  const client = await getClient();
+// Remove an item from a list and note it, with `by`, among the list's
+// recent removals. Returns the removed item.
+async function removeItem(spaceId, itemId, listId = DEFAULT_LIST_ID, { expectedVersion = null, by = null } = {}) {
   try {
-    await client.query('BEGIN');
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      const removed = requireItem(list, itemId);
 
-    // Get current space data
-    const result = await client.query(
-      `SELECT data FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1 FOR UPDATE`,
-      [spaceId]
-    );
+      list.items = list.items.filter(item => item.id !== itemId);
+      list.removed = [
+        { id: removed.id, name: removed.name, removedBy: by, removedAt: new Date().toISOString() },
+        ...(list.removed || [])
+      ].slice(0, MAX_REMOVALS_KEPT);
 
-    if (result.rows.length === 0) {
-      throw new Error('Space not found');
-    }
+      if (list.remaining) {
+        list.remaining = list.remaining.filter(id => id !== itemId);
+      }
+
+      // Clear lastPicked if it was this item
+      if (data.lastPicked && data.lastPicked.itemId === itemId) {
+        data.lastPicked = null;
+      }
+
+      return removed;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error removing item:', error);
+    throw error;
+  }
+}
+
+// Rename an item and/or set its pick weight. `changes` may hold `name` and
+// `weight`; fields left out are kept. Returns the updated item.
+async function updateItem(spaceId, itemId, changes, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      const item = requireItem(list, itemId);
+
+      if (changes.name !== undefined) {
+        // Checked again here in case another rename or add got there first
+        if (list.items.some(other => other.id !== itemId && other.name === changes.name)) {
+          throw new Error('Item already exists');
+        }
+        item.name = changes.name;
+      }
+
+      if (changes.weight !== undefined) {
+        item.weight = changes.weight;
+      }
+
+      return item;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error updating item:', error);
+    throw error;
+  }
+}
+
+// Put a list's items in a new order. `itemIds` must name every item in the
+// list exactly once, so an ordering made from an outdated copy of the list is
+// rejected rather than silently dropping or resurrecting items.
+async function reorderItems(spaceId, itemIds, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      const itemsById = new Map(list.items.map(item => [item.id, item]));
+
+      if (itemIds.length !== itemsById.size ||
+          new Set(itemIds).size !== itemIds.length ||
+          !itemIds.every(id => itemsById.has(id))) {
+        throw new Error('Item order does not match the list');
+      }
+
+      list.items = itemIds.map(id => itemsById.get(id));
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error reordering items:', error);
+    throw error;
+  }
+}
+
+// Draw and record a pick atomically.
+// `choose` receives the list and returns `{ lastPicked, remaining }` (or null
+// when there is nothing to pick). The pick becomes the space's lastPicked, is
+// appended to its history, and in no-repeat mode `remaining` replaces the
+// pool of items not yet picked this round.
+async function pickItem(spaceId, choose, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    // When `choose` returns null the space is left as it was
+    return await mutateSpace(spaceId, (data, { recordPick }) => {
+      const list = requireList(data, listId);
+
+      const outcome = choose(toList(list, listId, list.name));
+      if (!outcome) {
+        return null;
+      }
+
+      const { lastPicked, remaining } = outcome;
+      data.lastPicked = lastPicked;
+      if (remaining) {
+        list.remaining = remaining;
+      }
+
+      recordPick({ ...lastPicked, listId });
+      return lastPicked;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error picking item:', error);
+    throw error;
+  }
+}
 
-    const data = result.rows[0].data;
+// Draw several items from a list at once and keep the result, given an
+// `id`, as the list's `lastDraw`. `choose` gets the list and returns the
+// draw to keep, or null to leave the list as it is. Multi-item draws neither
+// use nor change the no-repeat pool and are not added to the pick history.
+// Returns the kept draw.
+async function drawItems(spaceId, choose, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
 
-    // Remove the item at the specified index
-    if (data.items && index >= 0 && index < data.items.length) {
-      data.items.splice(index, 1);
+      const draw = choose(toList(list, listId, list.name));
+      if (!draw) {
+        return null;
+      }
 
-      // Clear lastPicked if it references the deleted item or a higher index
-      if (data.lastPicked && data.lastPicked.index >= index) {
+      list.lastDraw = { id: crypto.randomUUID(), ...draw };
+      return list.lastDraw;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error drawing items:', error);
+    throw error;
+  }
+}
+
+// Turn no-repeat mode on or off for a list. Enabling it (or refilling)
+// starts a fresh round with every item in the pool.
+async function setNoRepeat(spaceId, enabled, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      list.noRepeat = enabled;
+      list.remaining = enabled ? list.items.map(item => item.id) : [];
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error setting no-repeat mode:', error);
+    throw error;
+  }
+}
+
+// Refill a list's no-repeat pool with every item
+async function resetPool(spaceId, listId = DEFAULT_LIST_ID, options = {}) {
+  return setNoRepeat(spaceId, true, listId, options);
+}
+
+// Find a list's bracket or fail the surrounding transaction
+function requireBracket(list) {
+  if (!list.bracket) {
+    throw new Error('Bracket not found');
+  }
+  return list.bracket;
+}
+
+// Start an elimination bracket on a list with the items in `itemIds`, or
+// every item without them. A finished bracket is replaced; one still being
+// voted on fails with 'Bracket in progress'. Returns the bracket.
+async function startBracket(spaceId, itemIds = null, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+
+      if (list.bracket && !list.bracket.winner) {
+        throw new Error('Bracket in progress');
+      }
+
+      const items = itemIds ? itemIds.map(id => requireItem(list, id)) : list.items;
+      list.bracket = createBracket(items);
+      return list.bracket;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error starting bracket:', error);
+    throw error;
+  }
+}
+
+// Record a vote for side `choice` ('a' or 'b') of a match in the current
+// round of a list's bracket. Each voter has one vote per match; voting again
+// changes it. Returns the bracket.
+async function voteInBracket(spaceId, matchId, voterId, choice, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const bracket = requireBracket(requireList(data, listId));
+      castVote(bracket, matchId, voterId, choice);
+      return bracket;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error voting in bracket:', error);
+    throw error;
+  }
+}
+
+// Close the current round of a list's bracket and start the next. When that
+// leaves a winner still in the list, it becomes the space's last pick and is
+// added to the pick history. Returns { bracket, lastPicked }, with
+// lastPicked null unless the bracket just finished with a pick.
+async function advanceBracket(spaceId, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data, { recordPick }) => {
+      const list = requireList(data, listId);
+      const bracket = requireBracket(list);
+      closeRound(bracket);
+
+      const index = bracket.winner ? list.items.findIndex(item => item.id === bracket.winner) : -1;
+      if (index === -1) {
+        return { bracket, lastPicked: null };
+      }
+
+      const lastPicked = {
+        itemId: list.items[index].id,
+        item: list.items[index].name,
+        index,
+        listId,
+        timestamp: bracket.finished,
+        space: spaceId.substring(0, 8),
+        pickedBy: null,
+        draw: { bracket: bracket.id, rounds: bracket.rounds.length }
+      };
+      data.lastPicked = lastPicked;
+      recordPick(lastPicked);
+
+      return { bracket, lastPicked };
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error advancing bracket:', error);
+    throw error;
+  }
+}
+
+// Remove a list's bracket, finished or not
+async function cancelBracket(spaceId, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      requireBracket(list);
+      delete list.bracket;
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error cancelling bracket:', error);
+    throw error;
+  }
+}
+
+// Find a list's poll or fail the surrounding transaction
+function requirePoll(list) {
+  if (!list.poll) {
+    throw new Error('Poll not found');
+  }
+  return list.poll;
+}
+
+// Open a poll on a list over the items in `itemIds`, or every item without
+// them, counted by `method` ('approval' or 'ranked'). A closed poll is
+// replaced; an open one fails with 'Poll in progress'. Returns the poll.
+async function openPoll(spaceId, method, itemIds = null, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+
+      if (list.poll && !list.poll.closed) {
+        throw new Error('Poll in progress');
+      }
+
+      const items = itemIds ? itemIds.map(id => requireItem(list, id)) : list.items;
+      list.poll = createPoll(items, method);
+      return list.poll;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error opening poll:', error);
+    throw error;
+  }
+}
+
+// Record a ballot in a list's poll under `nickname`. Each voter has one
+// ballot; casting another replaces it. Returns the poll.
+async function voteInPoll(spaceId, nickname, voterId, choices, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const poll = requirePoll(requireList(data, listId));
+      castBallot(poll, nickname, voterId, choices);
+      return poll;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error voting in poll:', error);
+    throw error;
+  }
+}
+
+// Close a list's poll. When it has a single winner still in the list, that
+// becomes the space's last pick and is added to the pick history. Returns
+// { poll, lastPicked }, with lastPicked null on a tie or without votes.
+async function endPoll(spaceId, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data, { recordPick }) => {
+      const list = requireList(data, listId);
+      const poll = requirePoll(list);
+      const { winners } = closePoll(poll);
+
+      const index = winners.length === 1 ? list.items.findIndex(item => item.id === winners[0]) : -1;
+      if (index === -1) {
+        return { poll, lastPicked: null };
+      }
+
+      const lastPicked = {
+        itemId: list.items[index].id,
+        item: list.items[index].name,
+        index,
+        listId,
+        timestamp: poll.closed,
+        space: spaceId.substring(0, 8),
+        pickedBy: null,
+        draw: { poll: poll.id, method: poll.method, ballots: Object.keys(poll.ballots).length }
+      };
+      data.lastPicked = lastPicked;
+      recordPick(lastPicked);
+
+      return { poll, lastPicked };
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error closing poll:', error);
+    throw error;
+  }
+}
+
+// Remove a list's poll and its ballots, open or closed
+async function cancelPoll(spaceId, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      requirePoll(list);
+      delete list.poll;
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error cancelling poll:', error);
+    throw error;
+  }
+}
+
+// Find a list's veto round or fail the surrounding transaction
+function requireVeto(list) {
+  if (!list.veto) {
+    throw new Error('Veto round not found');
+  }
+  return list.veto;
+}
+
+// Start a veto round on a list allowing `maxVetoes` strikes per
+// participant. A finished round is replaced; an open one fails with
+// 'Veto round in progress'. Returns the round.
+async function startVeto(spaceId, maxVetoes, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+
+      if (list.veto && !list.veto.finished) {
+        throw new Error('Veto round in progress');
+      }
+
+      list.veto = createVeto(maxVetoes);
+      return list.veto;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error starting veto round:', error);
+    throw error;
+  }
+}
+
+// Strike an item in a list's veto round on behalf of `voterId`, who may
+// give a name (`vetoedBy`) to show with the strike. Returns the round.
+async function vetoItem(spaceId, itemId, voterId, vetoedBy = null, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      const veto = requireVeto(list);
+      requireItem(list, itemId);
+      strikeItem(veto, list.items, itemId, voterId, vetoedBy);
+      return veto;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error vetoing item:', error);
+    throw error;
+  }
+}
+
+// Take back `voterId`'s strike on an item. Returns the round.
+async function unvetoItem(spaceId, itemId, voterId, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const veto = requireVeto(requireList(data, listId));
+      unstrikeItem(veto, itemId, voterId);
+      return veto;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error taking back veto:', error);
+    throw error;
+  }
+}
+
+// Finish a list's veto round by drawing the pick from the items nobody
+// struck, honoring their weights. The no-repeat pool is left as it is.
+// Returns { veto, lastPicked }.
+async function finalizeVeto(spaceId, pickedBy = null, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data, { recordPick }) => {
+      const list = requireList(data, listId);
+      const veto = requireVeto(list);
+      const remaining = finishVeto(veto, list.items);
+      const { index, roll, totalWeight } = drawWeighted(remaining);
+      const item = remaining[index];
+
+      const lastPicked = {
+        itemId: item.id,
+        item: item.name,
+        index: list.items.indexOf(item),
+        listId,
+        timestamp: veto.finished,
+        space: spaceId.substring(0, 8),
+        pickedBy,
+        draw: {
+          roll,
+          totalWeight,
+          itemCount: remaining.length,
+          veto: veto.id,
+          vetoed: list.items.length - remaining.length
+        }
+      };
+      data.lastPicked = lastPicked;
+      recordPick(lastPicked);
+
+      return { veto, lastPicked };
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error finishing veto round:', error);
+    throw error;
+  }
+}
+
+// Remove a list's veto round, open or finished
+async function cancelVeto(spaceId, listId = DEFAULT_LIST_ID, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = requireList(data, listId);
+      requireVeto(list);
+      delete list.veto;
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error cancelling veto round:', error);
+    throw error;
+  }
+}
+
+// Create a new, empty named list and return it
+async function createList(spaceId, name, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      const list = {
+        id: crypto.randomUUID(),
+        name,
+        items: [],
+        noRepeat: false,
+        remaining: []
+      };
+
+      if (!data.lists) data.lists = [];
+      data.lists.push(list);
+
+      return toList(list, list.id, list.name);
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error creating list:', error);
+    throw error;
+  }
+}
+
+// Rename a list
+async function renameList(spaceId, listId, name, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      if (listId === DEFAULT_LIST_ID) {
+        data.listName = name;
+      } else {
+        requireList(data, listId).name = name;
+      }
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error renaming list:', error);
+    throw error;
+  }
+}
+
+// Delete a named list and its items. The default list cannot be deleted.
+async function deleteList(spaceId, listId, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      if (listId === DEFAULT_LIST_ID) {
+        throw new Error('Cannot delete the default list');
+      }
+
+      requireList(data, listId);
+      data.lists = data.lists.filter(list => list.id !== listId);
+
+      if (data.lastPicked && data.lastPicked.listId === listId) {
         data.lastPicked = null;
       }
-    } else {
-      throw new Error('Invalid item index');
-    }
 
-    // Update the space
-    await client.query(
-      `UPDATE ${SCHEMA_NAME}.spaces SET data = $2 WHERE space_id = $1`,
-      [spaceId, JSON.stringify(data)]
-    );
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    throw error;
+  }
+}
 
-    await client.query('COMMIT');
-    return true;
+// Set the space's display name, or remove it with null
+async function renameSpace(spaceId, name, { expectedVersion = null } = {}) {
+  try {
+    return await mutateSpace(spaceId, (data) => {
+      if (name) {
+        data.spaceName = name;
+      } else {
+        delete data.spaceName;
+      }
+      return true;
+    }, { expectedVersion });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error removing item:', error);
+    console.error('Error renaming space:', error);
     throw error;
-  } finally {
-    client.release();
   }
 }
 
-// Update lastPicked for a space
-async function updateLastPicked(spaceId, pickedData) {
+// Empty every list: drop its items, no-repeat bag, bracket, poll, veto
+// round, recent removals and latest draw, and forget the space's last pick.
+// The lists themselves, their no-repeat settings and the pick history are
+// kept.
+async function clearSpace(spaceId, { expectedVersion = null } = {}) {
   try {
-    const result = await query(
-      `UPDATE ${SCHEMA_NAME}.spaces
-       SET data = jsonb_set(data, '{lastPicked}', $2::jsonb)
-       WHERE space_id = $1
-       RETURNING *`,
-      [spaceId, JSON.stringify(pickedData)]
-    );
+    return await mutateSpace(spaceId, (data) => {
+      for (const list of [data, ...(data.lists || [])]) {
+        list.items = [];
+        list.remaining = [];
+        delete list.bracket;
+        delete list.poll;
+        delete list.veto;
+        delete list.removed;
+        delete list.lastDraw;
+      }
+      data.lastPicked = null;
+      return true;
+    }, { expectedVersion });
+  } catch (error) {
+    console.error('Error clearing space:', error);
+    throw error;
+  }
+}
+
+// Get a page of a space's pick history, newest first.
+// `from` and `to` are optional inclusive bounds on the pick time, and
+// `listId` optionally restricts the history to one list.
+async function getPicks(spaceId, { limit = 20, offset = 0, from = null, to = null, listId = null } = {}) {
+  try {
+    return await storage.getPicks(spaceId, { limit, offset, from, to, listId });
+  } catch (error) {
+    console.error('Error getting picks:', error);
+    throw error;
+  }
+}
 
-    if (result.rows.length === 0) {
-      throw new Error('Space not found');
+// Get a space's entire pick history, newest first
+async function getAllPicks(spaceId) {
+  try {
+    const { total } = await storage.getPicks(spaceId, { limit: 1, offset: 0 });
+    if (total === 0) {
+      return [];
     }
+    const { picks } = await storage.getPicks(spaceId, { limit: total, offset: 0 });
+    return picks;
+  } catch (error) {
+    console.error('Error getting all picks:', error);
+    throw error;
+  }
+}
 
+// Record a revoked session until its token expires
+async function revokeSession(sessionId, expiresAt) {
+  try {
+    await storage.revokeSession(sessionId, expiresAt);
     return true;
   } catch (error) {
-    console.error('Error updating lastPicked:', error);
+    console.error('Error revoking session:', error);
+    throw error;
+  }
+}
+
+// Check whether a session has been revoked
+async function isSessionRevoked(sessionId) {
+  try {
+    return await storage.isSessionRevoked(sessionId);
+  } catch (error) {
+    console.error('Error checking session revocation:', error);
+    throw error;
+  }
+}
+
+// Store a read-only share link for a space under the hash of its token.
+// Returns { id, label, created }.
+async function createShareLink(spaceId, shareId, tokenHash, label = null) {
+  try {
+    return await storage.createShareLink(spaceId, shareId, tokenHash, label);
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    throw error;
+  }
+}
+
+// Find a share link by the hash of its token.
+// Returns { id, spaceId, label, created } or null.
+async function findShareLink(tokenHash) {
+  try {
+    return await storage.findShareLink(tokenHash);
+  } catch (error) {
+    console.error('Error finding share link:', error);
+    throw error;
+  }
+}
+
+// Get a space's share links, oldest first
+async function getShareLinks(spaceId) {
+  try {
+    return await storage.listShareLinks(spaceId);
+  } catch (error) {
+    console.error('Error getting share links:', error);
+    throw error;
+  }
+}
+
+// Revoke one of a space's share links. Returns whether it existed.
+async function deleteShareLink(spaceId, shareId) {
+  try {
+    return await storage.deleteShareLink(spaceId, shareId);
+  } catch (error) {
+    console.error('Error deleting share link:', error);
     throw error;
   }
 }
@@ -195,11 +1060,7 @@ async function updateLastPicked(spaceId, pickedData) {
 // Check if a space exists
 async function spaceExists(spaceId) {
   try {
-    const result = await query(
-      `SELECT 1 FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1`,
-      [spaceId]
-    );
-    return result.rows.length > 0;
+    return (await storage.readSpace(spaceId)) !== null;
   } catch (error) {
     console.error('Error checking space existence:', error);
     throw error;
@@ -209,31 +1070,154 @@ async function spaceExists(spaceId) {
 // Get all spaces (for migration or admin purposes)
 async function getAllSpaces() {
   try {
-    const result = await query(
-      `SELECT space_id, data, created_at, last_modified
-       FROM ${SCHEMA_NAME}.spaces
-       ORDER BY last_modified DESC`
-    );
-
-    return result.rows.map(row => ({
-      spaceId: row.space_id,
-      items: row.data.items || [],
-      lastPicked: row.data.lastPicked || null,
-      created: row.created_at,
-      lastModified: row.last_modified
-    }));
+    const spaces = await storage.listSpaces();
+    return spaces.map(stored => {
+      // Legacy items get IDs for this listing only; they are saved on next use
+      upgradeItems(stored.data);
+      return {
+        spaceId: stored.spaceId,
+        ...toSpace(stored)
+      };
+    });
   } catch (error) {
     console.error('Error getting all spaces:', error);
     throw error;
   }
 }
 
+// Save IDs for every space still storing items as plain strings.
+// Returns the number of spaces upgraded.
+async function upgradeAllSpaces() {
+  try {
+    let upgraded = 0;
+    for (const { spaceId, data } of await storage.listSpaces()) {
+      if (hasLegacyItems(data)) {
+        await mutateSpace(spaceId, () => true);
+        upgraded++;
+      }
+    }
+    return upgraded;
+  } catch (error) {
+    console.error('Error upgrading spaces:', error);
+    throw error;
+  }
+}
+
+// Spaces nobody has changed since `before`, oldest first, as
+// { spaceId, name, lastModified }
+async function getStaleSpaces(before) {
+  try {
+    return await storage.listStaleSpaces(before);
+  } catch (error) {
+    console.error('Error getting stale spaces:', error);
+    throw error;
+  }
+}
+
+// Delete a space and its pick history, or move them to the archive with
+// `archive`, unless the space has changed since `before`. Returns whether
+// the space was removed.
+async function removeStaleSpace(spaceId, before, { archive = false } = {}) {
+  try {
+    return await storage.removeStaleSpace(spaceId, before, { archive });
+  } catch (error) {
+    console.error('Error removing stale space:', error);
+    throw error;
+  }
+}
+
+// Spaces whose pick history is longer than `keep`, as { spaceId, excess }
+async function getPickOverflow(keep) {
+  try {
+    return await storage.listPickOverflow(keep);
+  } catch (error) {
+    console.error('Error getting pick overflow:', error);
+    throw error;
+  }
+}
+
+// Delete all but a space's newest `keep` picks. Returns the number deleted.
+async function trimPicks(spaceId, keep) {
+  try {
+    return await storage.trimPicks(spaceId, keep);
+  } catch (error) {
+    console.error('Error trimming picks:', error);
+    throw error;
+  }
+}
+
+// Check the storage backend is reachable
+async function connectStorage() {
+  return storage.connect();
+}
+
+// Release the storage backend's connections and finish pending writes
+async function closeStorage() {
+  await storage.close();
+}
+
+// Human-readable description of the storage backend
+function storageName() {
+  return storage.name;
+}
+
 export {
+  DEFAULT_LIST_ID,
+  MAX_ITEMS_PER_LIST,
+  STORAGE_BACKEND,
+  findSpaceByLookupKey,
+  claimLegacySpace,
+  createSpace,
+  moveSpace,
+  getCredentials,
+  setMemberPassword,
+  deleteSpace,
   getSpace,
+  getList,
   updateSpace,
   addItem,
+  addItems,
   removeItem,
-  updateLastPicked,
+  updateItem,
+  reorderItems,
+  pickItem,
+  drawItems,
+  setNoRepeat,
+  resetPool,
+  startBracket,
+  voteInBracket,
+  advanceBracket,
+  cancelBracket,
+  openPoll,
+  voteInPoll,
+  endPoll,
+  cancelPoll,
+  startVeto,
+  vetoItem,
+  unvetoItem,
+  finalizeVeto,
+  cancelVeto,
+  createList,
+  renameList,
+  deleteList,
+  renameSpace,
+  clearSpace,
+  getPicks,
+  getAllPicks,
+  revokeSession,
+  isSessionRevoked,
+  createShareLink,
+  findShareLink,
+  getShareLinks,
+  deleteShareLink,
   spaceExists,
-  getAllSpaces
-};
\ No newline at end of file
+  getAllSpaces,
+  upgradeAllSpaces,
+  getStaleSpaces,
+  removeStaleSpace,
+  getPickOverflow,
+  trimPicks,
+  connectStorage,
+  closeStorage,
+  storageName
+};
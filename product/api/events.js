@@ -0,0 +1,121 @@
+/**
+ * In-process Server-Sent Events hub.
+ * Clients subscribe per space; every change to a space is pushed to all of
+ * its connected clients. Subscribers live in this process's memory, so with
+ * several server instances a client only sees changes made through the
+ * instance it is connected to.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// spaceId -> Set of open responses
+const subscribers = new Map();
+
+// Write one SSE message to a response
+function send(res, type, payload) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Open an event stream on `res` for a space. The stream stays open until the
+// client disconnects or its session is revoked.
+function subscribe(spaceId, req, res) {
+  // Read-only streams opened through a share link are tracked by the link's ID
+  res.locals.sessionId = req.session?.jti || req.share?.id;
+  res.locals.role = req.session?.role || 'viewer';
+  res.locals.since = new Date().toISOString();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  if (!subscribers.has(spaceId)) {
+    subscribers.set(spaceId, new Set());
+  }
+  subscribers.get(spaceId).add(res);
+
+  send(res, 'ready', { timestamp: new Date().toISOString() });
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const spaceSubscribers = subscribers.get(spaceId);
+    if (spaceSubscribers) {
+      spaceSubscribers.delete(res);
+      if (spaceSubscribers.size === 0) {
+        subscribers.delete(spaceId);
+      }
+    }
+  });
+}
+
+// Push an event to every client connected to a space
+function publish(spaceId, type, payload) {
+  const spaceSubscribers = subscribers.get(spaceId);
+  if (!spaceSubscribers) return;
+
+  for (const res of spaceSubscribers) {
+    try {
+      send(res, type, payload);
+    } catch (error) {
+      console.error('Error publishing event:', error);
+    }
+  }
+}
+
+// Close every stream opened with a session or share link, e.g. once it has
+// been revoked
+function disconnectSession(sessionId) {
+  for (const spaceSubscribers of subscribers.values()) {
+    for (const res of spaceSubscribers) {
+      if (res.locals.sessionId === sessionId) {
+        res.end();
+      }
+    }
+  }
+}
+
+// Close every stream open on a space once it is gone from its ID, e.g.
+// deleted or moved by a password change. Each client gets a `closed` event
+// with `payload` first, except those of `exceptSessionId`, the session that
+// made the change, which already knows.
+function closeSpace(spaceId, payload, exceptSessionId = null) {
+  for (const res of subscribers.get(spaceId) || []) {
+    if (res.locals.sessionId !== exceptSessionId) {
+      send(res, 'closed', payload);
+    }
+    res.end();
+  }
+}
+
+// Close a space's streams opened with one role's sessions, e.g. once the
+// member password has changed. Each client gets a `closed` event first.
+function closeRole(spaceId, role, payload) {
+  for (const res of subscribers.get(spaceId) || []) {
+    if (res.locals.role === role) {
+      send(res, 'closed', payload);
+      res.end();
+    }
+  }
+}
+
+// Sessions with a stream open on a space, each once however many streams it
+// has: [{ sessionId, role, since }], in the order they connected. Share link
+// viewers are left out.
+function connectedSessions(spaceId) {
+  const sessions = new Map();
+  for (const res of subscribers.get(spaceId) || []) {
+    const { sessionId, role, since } = res.locals;
+    if (role !== 'viewer' && !sessions.has(sessionId)) {
+      sessions.set(sessionId, { sessionId, role, since });
+    }
+  }
+  return [...sessions.values()];
+}
+
+export { subscribe, publish, disconnectSession, closeSpace, closeRole, connectedSessions };
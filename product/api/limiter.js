@@ -0,0 +1,68 @@
+import dotenv from 'dotenv';
+import limitStore from './limits/index.js';
+
+/**
+ * Targeted rate limits, on top of the IP-wide limit every request gets.
+ *
+ * - Password attempts are limited per IP address. Every request that checks
+ *   a password counts, whether or not the password is right, so guessing
+ *   passwords (or creating spaces to find taken ones) is slow.
+ * - Changes are limited per space, however many people or addresses make
+ *   them, so one runaway client can't flood everyone else in the space.
+ *
+ * Counts are kept in the store chosen by RATE_LIMIT_STORE (see
+ * limits/index.js).
+ */
+
+dotenv.config();
+
+const PASSWORD_WINDOW_MS = parseInt(process.env.PASSWORD_RATE_LIMIT_WINDOW_MS || '900000'); // 15 minutes
+const PASSWORD_MAX = parseInt(process.env.PASSWORD_RATE_LIMIT_MAX || '20');
+const SPACE_WRITE_WINDOW_MS = parseInt(process.env.SPACE_WRITE_LIMIT_WINDOW_MS || '60000'); // 1 minute
+const SPACE_WRITE_MAX = parseInt(process.env.SPACE_WRITE_LIMIT_MAX || '120');
+
+// Build a middleware allowing `max` requests per `windowMs` for each value
+// of `key(req)`. Requests over the limit get 429 with `error` and a
+// Retry-After header.
+function createLimiter({ name, windowMs, max, key, error }) {
+  return async (req, res, next) => {
+    try {
+      const { count, resetAt } = await limitStore.hit(`${name}:${key(req)}`, windowMs);
+
+      if (count > max) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+        return res.status(429).json({ error });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// For routes that check a password: POST /api/spaces, POST /api/session and
+// the confirmations asked for by password changes and space deletion
+const limitPasswordAttempts = createLimiter({
+  name: 'password',
+  windowMs: PASSWORD_WINDOW_MS,
+  max: PASSWORD_MAX,
+  key: req => req.ip,
+  error: 'Too many password attempts, please try again later'
+});
+
+// For every change to a space; runs after requireSession
+const limitSpaceWrites = createLimiter({
+  name: 'space-write',
+  windowMs: SPACE_WRITE_WINDOW_MS,
+  max: SPACE_WRITE_MAX,
+  key: req => req.spaceId,
+  error: 'Too many changes to this space, please slow down'
+});
+
+// Human-readable description of the rate limit store
+function limitStoreName() {
+  return limitStore.name;
+}
+
+export { limitPasswordAttempts, limitSpaceWrites, limitStoreName };
@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+
+/**
+ * Rate limit store selection.
+ *
+ * RATE_LIMIT_STORE picks where the password and per-space write limiters
+ * (see limiter.js) keep their counts: `memory` (default; each server
+ * instance counts on its own) or `postgres` (one count shared by every
+ * instance, in `youpick.rate_limits`). Stores are loaded on demand, so the
+ * memory store needs no DATABASE_URL.
+ *
+ * Every store implements the same interface:
+ *
+ *   name                 Human-readable description
+ *   hit(key, windowMs)   Count one request against `key`. Counts run in fixed
+ *                        windows of `windowMs` starting with a key's first
+ *                        request. Resolves to { count, resetAt }, the count
+ *                        so far in the current window (this request
+ *                        included) and when the window ends (ms since epoch).
+ */
+
+dotenv.config();
+
+const STORES = {
+  memory: () => import('./memory.js'),
+  postgres: () => import('./postgres.js')
+};
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!STORES[RATE_LIMIT_STORE]) {
+  console.error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}"`);
+  console.error(`Please set RATE_LIMIT_STORE to one of: ${Object.keys(STORES).join(', ')}`);
+  process.exit(1);
+}
+
+const { createLimitStore } = await STORES[RATE_LIMIT_STORE]();
+const limitStore = createLimitStore();
+
+export { RATE_LIMIT_STORE };
+export default limitStore;
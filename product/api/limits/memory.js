@@ -0,0 +1,50 @@
+/**
+ * In-memory rate limit store.
+ *
+ * Counts live in a Map and are lost on restart. With several server
+ * instances each one counts separately, so the effective limit is the
+ * configured one times the number of instances.
+ */
+
+// Expired windows are swept out every this many hits
+const SWEEP_INTERVAL = 1000;
+
+function createLimitStore() {
+  // key -> { count, resetAt }
+  const windows = new Map();
+  let hitsSinceSweep = 0;
+
+  // Drop the windows that have ended
+  function sweep(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  async function hit(key, windowMs) {
+    const now = Date.now();
+
+    if (++hitsSinceSweep >= SWEEP_INTERVAL) {
+      hitsSinceSweep = 0;
+      sweep(now);
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  return {
+    name: 'memory',
+    hit
+  };
+}
+
+export { createLimitStore };
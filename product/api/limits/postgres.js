@@ -0,0 +1,49 @@
+import { query } from '../db.js';
+
+/**
+ * PostgreSQL rate limit store.
+ *
+ * Counts are rows of `youpick.rate_limits` (see docs/schema.sql), so every
+ * server instance sharing the database shares the limits. Each hit is a
+ * single upsert, which keeps concurrent requests from undercounting.
+ * Importing this module requires DATABASE_URL and ca.pem (see db.js).
+ */
+
+const SCHEMA_NAME = 'youpick';
+
+// Ended windows are deleted every this many hits
+const SWEEP_INTERVAL = 1000;
+
+function createLimitStore() {
+  let hitsSinceSweep = 0;
+
+  async function hit(key, windowMs) {
+    if (++hitsSinceSweep >= SWEEP_INTERVAL) {
+      hitsSinceSweep = 0;
+      await query(`DELETE FROM ${SCHEMA_NAME}.rate_limits WHERE reset_at <= NOW()`);
+    }
+
+    // A window that has ended starts over with this hit
+    const result = await query(
+      `INSERT INTO ${SCHEMA_NAME}.rate_limits (key, count, reset_at)
+       VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+         reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+       RETURNING count, reset_at`,
+      [key, windowMs]
+    );
+
+    return {
+      count: result.rows[0].count,
+      resetAt: new Date(result.rows[0].reset_at).getTime()
+    };
+  }
+
+  return {
+    name: 'PostgreSQL',
+    hit
+  };
+}
+
+export { createLimitStore };
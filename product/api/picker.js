@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+/**
+ * Server-side random selection for picks and multi-item draws
+ */
+
+// Draw an index from the items ({ id, name, weight }), honoring their weights.
+// Uses crypto.randomInt so the outcome comes from a CSPRNG rather than
+// Math.random, and returns the roll so the draw can be audited.
+function drawWeighted(items) {
+  if (items.length === 0) {
+    throw new Error('Cannot draw from an empty list');
+  }
+
+  const itemWeights = items.map(item => item.weight || 1);
+  const totalWeight = itemWeights.reduce((sum, weight) => sum + weight, 0);
+  const roll = crypto.randomInt(totalWeight);
+
+  // Walk the cumulative weights until the roll falls inside an item's range
+  let cumulative = 0;
+  let index = 0;
+  for (; index < itemWeights.length; index++) {
+    cumulative += itemWeights[index];
+    if (roll < cumulative) break;
+  }
+
+  return { index, roll, totalWeight };
+}
+
+// Draw the next pick for a space.
+// In no-repeat mode the draw only considers items still in the pool
+// (`remaining`, a list of item IDs), and an empty pool refills with every
+// item first. Returns the item's index in the full list plus the IDs left in
+// the pool after this pick (null when no-repeat mode is off).
+function drawPick({ items, noRepeat, remaining }) {
+  if (!noRepeat) {
+    const draw = drawWeighted(items);
+    return { ...draw, itemCount: items.length, remaining: null };
+  }
+
+  // Ignore pool entries for items that no longer exist
+  let pool = items.filter(item => remaining.includes(item.id));
+  if (pool.length === 0) {
+    pool = [...items];
+  }
+
+  const draw = drawWeighted(pool);
+  const picked = pool[draw.index];
+
+  return {
+    index: items.indexOf(picked),
+    roll: draw.roll,
+    totalWeight: draw.totalWeight,
+    itemCount: pool.length,
+    remaining: pool.filter(item => item !== picked).map(item => item.id)
+  };
+}
+
+// Ways to draw several items at once: `pick` draws some of them, `shuffle`
+// puts all of them in order, and `teams` splits them into groups
+const DRAW_MODES = ['pick', 'shuffle', 'teams'];
+
+// Draw `count` distinct items, honoring their weights: each draw is
+// weighted among the items not drawn yet. Returns the items in draw order.
+function drawMany(items, count) {
+  const left = [...items];
+  const drawn = [];
+  while (drawn.length < count && left.length > 0) {
+    const { index } = drawWeighted(left);
+    drawn.push(...left.splice(index, 1));
+  }
+  return drawn;
+}
+
+// Shuffle a copy of `items`, ignoring weights (Fisher-Yates, using
+// crypto.randomInt)
+function shuffleItems(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Split the items into `teamCount` random teams whose sizes differ by at
+// most one, ignoring weights
+function splitTeams(items, teamCount) {
+  const teams = Array.from({ length: teamCount }, () => []);
+  shuffleItems(items).forEach((item, index) => teams[index % teamCount].push(item));
+  return teams;
+}
+
+export { DRAW_MODES, drawWeighted, drawPick, drawMany, shuffleItems, splitTeams };
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+
+/**
+ * Polls: deciding by vote instead of at random
+ *
+ * A poll offers some of a list's items as options. Participants cast one
+ * ballot each under a nickname, and can cast it again to change it until
+ * the poll closes. Results are tallied from the ballots whenever they're
+ * asked for, so they can be shown live.
+ *
+ * Two methods:
+ * - `approval`: a ballot names every option the voter is happy with, in
+ *   any order; the options named most often win.
+ * - `ranked`: a ballot ranks some or all options, most preferred first, and
+ *   is counted by instant runoff (see tallyRanked).
+ *
+ * Options are a snapshot of the items ({ id, name }) when the poll opened,
+ * so renaming or removing items later doesn't disturb it.
+ *
+ * Poll shape:
+ *   { id, method, options: [{ id, name }], ballots: { [key]: ballot }, created, closed }
+ *   ballot: { nickname, voterId, choices: [optionId], cast }
+ * Ballots are keyed by the lowercased nickname. `voterId` is the session
+ * that cast the ballot; only that session can change it.
+ */
+
+const POLL_METHODS = ['approval', 'ranked'];
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 100;
+const MAX_POLL_BALLOTS = 500;
+
+// Key a ballot is stored under, so "Sam" and "sam " are the same voter
+function ballotKey(nickname) {
+  return nickname.trim().toLowerCase();
+}
+
+// Open a poll over `items` ({ id, name }) using `method`
+function createPoll(items, method) {
+  if (items.length < MIN_POLL_OPTIONS) {
+    throw new Error('Not enough items for a poll');
+  }
+  if (items.length > MAX_POLL_OPTIONS) {
+    throw new Error('Too many items for a poll');
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    method,
+    options: items.map(({ id, name }) => ({ id, name })),
+    ballots: {},
+    created: new Date().toISOString(),
+    closed: null
+  };
+}
+
+// The ballot `voterId` cast, if any
+function findBallot(poll, voterId) {
+  return Object.values(poll.ballots).find(ballot => ballot.voterId === voterId) || null;
+}
+
+// Record `voterId`'s ballot under `nickname`, replacing the one they cast
+// before (under any nickname). `choices` are option IDs: every approved
+// option, or the ranking with the favourite first.
+function castBallot(poll, nickname, voterId, choices) {
+  if (poll.closed) {
+    throw new Error('Poll is closed');
+  }
+
+  const optionIds = new Set(poll.options.map(option => option.id));
+  if (!choices.every(id => optionIds.has(id))) {
+    throw new Error('Option not found');
+  }
+
+  // Only the poll's own keys count: a nickname like "constructor" must not
+  // find a member every object inherits
+  const key = ballotKey(nickname);
+  const existing = Object.hasOwn(poll.ballots, key) ? poll.ballots[key] : null;
+  if (existing && existing.voterId !== voterId) {
+    throw new Error('Nickname taken');
+  }
+
+  const previous = findBallot(poll, voterId);
+  if (previous) {
+    delete poll.ballots[ballotKey(previous.nickname)];
+  } else if (Object.keys(poll.ballots).length >= MAX_POLL_BALLOTS) {
+    throw new Error('Poll is full');
+  }
+
+  // Defined rather than assigned, so "__proto__" is stored like any nickname
+  Object.defineProperty(poll.ballots, key, {
+    value: { nickname: nickname.trim(), voterId, choices, cast: new Date().toISOString() },
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+}
+
+// Count each option once for every ballot that approves it
+function tallyApproval(poll, ballots) {
+  const counts = Object.fromEntries(poll.options.map(option => [option.id, 0]));
+  for (const ballot of ballots) {
+    for (const id of ballot.choices) {
+      counts[id]++;
+    }
+  }
+
+  const top = Math.max(...Object.values(counts));
+  const winners = top > 0 ? poll.options.filter(option => counts[option.id] === top).map(option => option.id) : [];
+  return { rounds: [{ counts, eliminated: [], exhausted: 0 }], winners };
+}
+
+// Instant runoff: each ballot counts for its highest-ranked option still in
+// the running. An option with more than half of those votes wins; otherwise
+// the options with the fewest votes are eliminated together and the count
+// runs again. Ballots with no option left in the running are exhausted. If
+// every remaining option is tied, they all win.
+function tallyRanked(poll, ballots) {
+  let running = poll.options.map(option => option.id);
+  const rounds = [];
+
+  while (ballots.length > 0) {
+    const counts = Object.fromEntries(running.map(id => [id, 0]));
+    let exhausted = 0;
+    for (const ballot of ballots) {
+      const choice = ballot.choices.find(id => id in counts);
+      if (choice) {
+        counts[choice]++;
+      } else {
+        exhausted++;
+      }
+    }
+
+    const total = ballots.length - exhausted;
+    const top = Math.max(...Object.values(counts));
+    const leader = running.find(id => counts[id] === top);
+    if (top * 2 > total) {
+      rounds.push({ counts, eliminated: [], exhausted });
+      return { rounds, winners: [leader] };
+    }
+
+    const bottom = Math.min(...Object.values(counts));
+    const eliminated = running.filter(id => counts[id] === bottom);
+    if (eliminated.length === running.length) {
+      rounds.push({ counts, eliminated: [], exhausted });
+      return { rounds, winners: total > 0 ? running : [] };
+    }
+
+    rounds.push({ counts, eliminated, exhausted });
+    running = running.filter(id => !eliminated.includes(id));
+  }
+
+  return { rounds, winners: [] };
+}
+
+// Tally a poll's ballots by its method: { rounds, winners }. Each round has
+// the vote `counts` per option, the options `eliminated` after it and the
+// number of `exhausted` ballots; approval polls have a single round.
+// `winners` has more than one option on a tie and none without votes.
+function tallyPoll(poll) {
+  const ballots = Object.values(poll.ballots);
+  return poll.method === 'ranked' ? tallyRanked(poll, ballots) : tallyApproval(poll, ballots);
+}
+
+// Stop accepting ballots and return the final tally
+function closePoll(poll) {
+  if (poll.closed) {
+    throw new Error('Poll is closed');
+  }
+
+  poll.closed = new Date().toISOString();
+  return tallyPoll(poll);
+}
+
+export {
+  POLL_METHODS,
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  MAX_POLL_BALLOTS,
+  createPoll,
+  findBallot,
+  castBallot,
+  tallyPoll,
+  closePoll
+};
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+
+/**
+ * Session nicknames
+ *
+ * Each session may go by a nickname, which is shown to the rest of the space
+ * and recorded with the items it adds and removes and the picks it makes.
+ * Nicknames live in this process's memory for as long as their session
+ * does, so a client sets its nickname again after a restart (the web app
+ * does so whenever it connects). Like the event streams, they are only
+ * known to the server instance they were set on.
+ *
+ * Who is in a space right now is told by the event streams open on it (see
+ * events.js); this module only names them.
+ */
+
+// sessionId -> { nickname, expires (ms) }
+const nicknames = new Map();
+
+// Forget the nicknames of sessions that have expired
+function pruneNicknames(now = Date.now()) {
+  for (const [sessionId, entry] of nicknames) {
+    if (entry.expires <= now) {
+      nicknames.delete(sessionId);
+    }
+  }
+}
+
+// Set the nickname of a session (its verified claims); null clears it
+function setNickname(session, nickname) {
+  pruneNicknames();
+  if (nickname) {
+    nicknames.set(session.jti, { nickname, expires: session.exp * 1000 });
+  } else {
+    nicknames.delete(session.jti);
+  }
+}
+
+// The nickname of a session (by its ID), or null
+function nicknameOf(sessionId) {
+  const entry = nicknames.get(sessionId);
+  return entry && entry.expires > Date.now() ? entry.nickname : null;
+}
+
+// Forget a session's nickname once it has ended
+function forgetSession(sessionId) {
+  nicknames.delete(sessionId);
+}
+
+// An ID for a session that can be shown to others: it tells sessions apart
+// without revealing the session ID itself
+function publicSessionId(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('base64url').slice(0, 12);
+}
+
+export { setNickname, nicknameOf, forgetSession, publicSessionId };
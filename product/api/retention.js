@@ -0,0 +1,154 @@
+import dotenv from 'dotenv';
+import { getStaleSpaces, removeStaleSpace, getPickOverflow, trimPicks } from './datastore.js';
+
+/**
+ * Retention policy for old spaces and long pick histories.
+ *
+ * - Spaces nobody has changed for RETENTION_SPACE_MAX_AGE_DAYS are removed:
+ *   archived (RETENTION_SPACE_ACTION=archive, the default), which keeps their
+ *   data and pick history out of the way of the API, or deleted outright
+ *   (`delete`). Either way their passwords and share links stop working.
+ * - Every space keeps only its newest RETENTION_MAX_PICKS picks.
+ *
+ * Both are off (0) unless configured. The server runs the policy every
+ * RETENTION_INTERVAL_MINUTES (see startRetentionJob); `npm run retention`
+ * runs it once. With RETENTION_DRY_RUN=true, or `--dry-run` on the command
+ * line, nothing is removed and the log says what would have been.
+ */
+
+dotenv.config();
+
+const RETENTION_ACTIONS = ['archive', 'delete'];
+
+const retentionPolicy = {
+  maxAgeDays: parseInt(process.env.RETENTION_SPACE_MAX_AGE_DAYS || '0'),
+  action: process.env.RETENTION_SPACE_ACTION || 'archive',
+  maxPicks: parseInt(process.env.RETENTION_MAX_PICKS || '0'),
+  intervalMinutes: parseInt(process.env.RETENTION_INTERVAL_MINUTES || '1440'), // daily
+  dryRun: process.env.RETENTION_DRY_RUN === 'true'
+};
+
+if (!RETENTION_ACTIONS.includes(retentionPolicy.action)) {
+  console.error(`Unknown RETENTION_SPACE_ACTION "${retentionPolicy.action}"`);
+  console.error(`Please set RETENTION_SPACE_ACTION to one of: ${RETENTION_ACTIONS.join(', ')}`);
+  process.exit(1);
+}
+
+// Whether the policy removes anything at all
+function isRetentionEnabled(policy = retentionPolicy) {
+  return policy.maxAgeDays > 0 || policy.maxPicks > 0;
+}
+
+// Apply the policy once. Resolves to a report of what was removed (or, in a
+// dry run, what would have been):
+// { dryRun, action, before, spaces: [{ spaceId, name, lastModified }],
+//   picks: [{ spaceId, removed }] }
+async function runRetention(policy = retentionPolicy, now = new Date()) {
+  const report = { dryRun: policy.dryRun, action: policy.action, before: null, spaces: [], picks: [] };
+
+  if (policy.maxAgeDays > 0) {
+    report.before = new Date(now.getTime() - policy.maxAgeDays * 24 * 60 * 60 * 1000);
+
+    for (const space of await getStaleSpaces(report.before)) {
+      // A space changed since it was listed is kept
+      const removed = policy.dryRun ||
+        await removeStaleSpace(space.spaceId, report.before, { archive: policy.action === 'archive' });
+      if (removed) {
+        report.spaces.push(space);
+      }
+    }
+  }
+
+  if (policy.maxPicks > 0) {
+    const removedSpaces = new Set(report.spaces.map(space => space.spaceId));
+
+    for (const { spaceId, excess } of await getPickOverflow(policy.maxPicks)) {
+      // History of a space removed above went with it
+      if (removedSpaces.has(spaceId)) {
+        continue;
+      }
+      const removed = policy.dryRun ? excess : await trimPicks(spaceId, policy.maxPicks);
+      if (removed > 0) {
+        report.picks.push({ spaceId, removed });
+      }
+    }
+  }
+
+  return report;
+}
+
+// Log a report from runRetention, one line per space touched
+function logRetention(report) {
+  const prefix = report.dryRun ? 'Retention (dry run): would have' : 'Retention:';
+  const verb = report.action === 'archive' ? 'archived' : 'deleted';
+
+  for (const { spaceId, name, lastModified } of report.spaces) {
+    const label = name ? `${spaceId} (${name})` : spaceId;
+    console.log(`${prefix} ${verb} space ${label}, last changed ${new Date(lastModified).toISOString()}`);
+  }
+  for (const { spaceId, removed } of report.picks) {
+    console.log(`${prefix} trimmed ${removed} pick(s) from space ${spaceId}`);
+  }
+
+  const removedPicks = report.picks.reduce((total, { removed }) => total + removed, 0);
+  console.log(`${prefix} ${verb} ${report.spaces.length} space(s) and trimmed ${removedPicks} pick(s)`);
+}
+
+// Run the policy now and then every RETENTION_INTERVAL_MINUTES, logging each
+// run. `onSpacesRemoved` is called with the IDs of the spaces each run
+// removed. Returns a function that stops the job, or null if the policy is
+// off or the interval is 0.
+function startRetentionJob(onSpacesRemoved = () => {}) {
+  if (!isRetentionEnabled() || retentionPolicy.intervalMinutes <= 0) {
+    return null;
+  }
+
+  let isRunning = false;
+
+  const run = async () => {
+    // A slow run is never overlapped by the next one
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+    try {
+      const report = await runRetention();
+      logRetention(report);
+      if (!report.dryRun && report.spaces.length > 0) {
+        onSpacesRemoved(report.spaces.map(space => space.spaceId));
+      }
+    } catch (error) {
+      console.error('Error running retention job:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, retentionPolicy.intervalMinutes * 60 * 1000);
+  // The job alone doesn't keep the process running
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// Human-readable description of the policy, for the startup log
+function describeRetention(policy = retentionPolicy) {
+  if (!isRetentionEnabled(policy)) {
+    return 'off';
+  }
+
+  const rules = [];
+  if (policy.maxAgeDays > 0) {
+    rules.push(`${policy.action} spaces unchanged for ${policy.maxAgeDays} day(s)`);
+  }
+  if (policy.maxPicks > 0) {
+    rules.push(`keep ${policy.maxPicks} pick(s) per space`);
+  }
+  const schedule = policy.intervalMinutes > 0
+    ? `every ${policy.intervalMinutes} minute(s)`
+    : 'only from npm run retention';
+  return `${rules.join(', ')}; ${schedule}${policy.dryRun ? ' (dry run)' : ''}`;
+}
+
+export { RETENTION_ACTIONS, retentionPolicy, isRetentionEnabled, runRetention, logRetention, startRetentionJob, describeRetention };
@@ -0,0 +1,25 @@
+import { connectStorage, closeStorage, storageName, upgradeAllSpaces } from '../datastore.js';
+
+/**
+ * Give every stored item a stable ID.
+ *
+ * Spaces saved before items had IDs store them as plain strings. The API
+ * upgrades such a space the first time it is read, so running this is
+ * optional; it upgrades all of them up front instead.
+ *
+ * Usage: npm run migrate:item-ids
+ */
+
+try {
+  if (!await connectStorage()) {
+    throw new Error(`Could not connect to ${storageName()}`);
+  }
+
+  const upgraded = await upgradeAllSpaces();
+  console.log(`Upgraded ${upgraded} space(s) in ${storageName()}`);
+} catch (error) {
+  console.error('Migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await closeStorage();
+}
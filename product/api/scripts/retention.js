@@ -0,0 +1,54 @@
+import { parseArgs } from 'util';
+import { connectStorage, closeStorage, storageName } from '../datastore.js';
+import { RETENTION_ACTIONS, retentionPolicy, isRetentionEnabled, runRetention, logRetention } from '../retention.js';
+
+/**
+ * Apply the retention policy once: archive or delete spaces nobody has
+ * changed for a while and trim long pick histories (see retention.js).
+ *
+ * The policy comes from the RETENTION_* environment variables; the options
+ * below override them for this run.
+ *
+ * Usage: npm run retention -- [--dry-run] [--max-age-days=N] [--action=archive|delete] [--max-picks=N]
+ */
+
+try {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean' },
+      'max-age-days': { type: 'string' },
+      'action': { type: 'string' },
+      'max-picks': { type: 'string' }
+    }
+  });
+
+  const policy = {
+    ...retentionPolicy,
+    dryRun: values['dry-run'] || retentionPolicy.dryRun,
+    maxAgeDays: values['max-age-days'] !== undefined ? parseInt(values['max-age-days']) : retentionPolicy.maxAgeDays,
+    action: values.action ?? retentionPolicy.action,
+    maxPicks: values['max-picks'] !== undefined ? parseInt(values['max-picks']) : retentionPolicy.maxPicks
+  };
+
+  if (!RETENTION_ACTIONS.includes(policy.action)) {
+    throw new Error(`Unknown action "${policy.action}"; use one of: ${RETENTION_ACTIONS.join(', ')}`);
+  }
+  if (Number.isNaN(policy.maxAgeDays) || Number.isNaN(policy.maxPicks)) {
+    throw new Error('--max-age-days and --max-picks must be whole numbers');
+  }
+
+  if (!isRetentionEnabled(policy)) {
+    console.log('Nothing to do: set RETENTION_SPACE_MAX_AGE_DAYS or RETENTION_MAX_PICKS (or pass --max-age-days or --max-picks)');
+  } else {
+    if (!await connectStorage()) {
+      throw new Error(`Could not connect to ${storageName()}`);
+    }
+
+    logRetention(await runRetention(policy));
+  }
+} catch (error) {
+  console.error('Retention failed:', error);
+  process.exitCode = 1;
+} finally {
+  await closeStorage();
+}
@@ -3,15 +3,77 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
-import crypto from 'crypto';
-import { closeDatabase, testConnection } from './db.js';
+import { fileURLToPath } from 'url';
 import {
+  DEFAULT_LIST_ID,
+  MAX_ITEMS_PER_LIST,
+  STORAGE_BACKEND,
+  connectStorage,
+  closeStorage,
+  storageName,
   getSpace,
-  updateSpace,
+  getList,
   addItem,
+  addItems,
   removeItem,
-  updateLastPicked
+  updateItem,
+  reorderItems,
+  pickItem,
+  drawItems,
+  setNoRepeat,
+  resetPool,
+  startBracket,
+  voteInBracket,
+  advanceBracket,
+  cancelBracket,
+  openPoll,
+  voteInPoll,
+  endPoll,
+  cancelPoll,
+  startVeto,
+  vetoItem,
+  unvetoItem,
+  finalizeVeto,
+  cancelVeto,
+  createList,
+  renameList,
+  deleteList,
+  renameSpace,
+  clearSpace,
+  deleteSpace,
+  getCredentials,
+  getPicks,
+  getAllPicks,
+  getShareLinks,
+  deleteShareLink
 } from './datastore.js';
+import { DRAW_MODES, drawPick, drawMany, shuffleItems, splitTeams } from './picker.js';
+import {
+  MIN_BRACKET_ENTRANTS,
+  MAX_BRACKET_ENTRANTS,
+  BRACKET_CHOICES,
+  countRounds,
+  tallyVotes
+} from './bracket.js';
+import { POLL_METHODS, MIN_POLL_OPTIONS, MAX_POLL_OPTIONS, findBallot, tallyPoll } from './poll.js';
+import { DEFAULT_VETOES, MAX_VETOES, currentStrikes, survivors, vetoesLeft } from './veto.js';
+import { IMPORT_FORMATS, EXPORT_FORMATS, parseImport, formatExport } from './bulk.js';
+import { subscribe, publish, disconnectSession, closeSpace, closeRole, connectedSessions } from './events.js';
+import { setNickname, nicknameOf, forgetSession, publicSessionId } from './presence.js';
+import {
+  resolveSpace,
+  createSpaceWithPassword,
+  checkSpacePassword,
+  changeSpacePassword,
+  setSpaceMemberPassword,
+  issueSession,
+  verifySession,
+  endSession,
+  issueShareLink,
+  resolveShareLink
+} from './auth.js';
+import { limitPasswordAttempts, limitSpaceWrites, limitStoreName } from './limiter.js';
+import { startRetentionJob, describeRetention } from './retention.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +81,23 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Which proxies in front of the app to trust for the client's address
+// (X-Forwarded-For), as Express's 'trust proxy' setting: a number of hops,
+// or addresses and subnets such as `loopback` or `10.0.0.0/8`. Without it,
+// req.ip behind a proxy is the proxy's address, and every client would share
+// one rate limit.
+function parseTrustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware - Security Headers
 app.use(helmet({
   contentSecurityPolicy: false, // We'll configure CSP separately for the frontend
@@ -39,6 +118,7 @@ const corsOptions = {
     }
   },
   credentials: true,
+  exposedHeaders: ['Content-Disposition', 'ETag'], // Export file names, space versions
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -61,11 +141,16 @@ app.use(globalLimiter);
 // Logging Middleware
 const logRequest = (req, res, next) => {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path} - IP: ${req.ip}`);
+  // Share tokens are credentials; keep them out of the logs
+  const path = req.path.replace(/^\/api\/shared\/[^/]+/, '/api/shared/:token');
+  console.log(`[${timestamp}] ${req.method} ${path} - IP: ${req.ip}`);
   next();
 };
 
-app.use(logRequest);
+// Keep test output readable
+if (process.env.NODE_ENV !== 'test') {
+  app.use(logRequest);
+}
 
 // Health Check Endpoints (No auth required)
 // Standard /health endpoint
@@ -74,7 +159,7 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    storage: 'postgresql'
+    storage: STORAGE_BACKEND
   });
 });
 
@@ -84,34 +169,77 @@ app.get('/healthz', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    storage: 'postgresql'
+    storage: STORAGE_BACKEND
   });
 });
 
-// Hash password to create a space identifier
-function hashPassword(password) {
-  // Use SHA-256 for consistent space ID generation
-  return crypto.createHash('sha256').update(password).digest('hex').substring(0, 16);
-}
-
-// Password validation middleware
-const validatePassword = (req, res, next) => {
-  const password = req.headers['x-password'];
+// Session validation middleware
+// Accepts a session token from POST /api/session via the Authorization header
+const requireSession = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
 
-  if (!password) {
-    return res.status(400).json({
-      error: 'Password required',
-      message: 'Please provide a password via X-Password header'
+  if (!token) {
+    return res.status(401).json({
+      error: 'Session required',
+      message: 'Please provide a session token via the Authorization header'
     });
   }
 
-  // Store the hashed space ID in request
-  req.spaceId = hashPassword(password);
-  req.password = password; // Store original for logging
+  try {
+    const claims = await verifySession(token);
+
+    if (!claims) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    // Store the space's public ID, the caller's role and the session in request
+    req.spaceId = claims.sid;
+    req.role = claims.role;
+    req.session = claims;
+
+    // Changes are limited per space, whoever makes them
+    if (req.method !== 'GET') {
+      return limitSpaceWrites(req, res, next);
+    }
+    next();
+  } catch (error) {
+    // The token is fine but its space has been deleted or moved
+    if (error.message === 'Space not found') {
+      return res.status(404).json({ error: 'Space not found' });
+    }
+    next(error);
+  }
+};
 
+// Role check for routes that remove items or change settings. Runs after
+// requireSession; member sessions can only read, add items and pick.
+const requireAdmin = (req, res, next) => {
+  if (req.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do that' });
+  }
   next();
 };
 
+// Resolve the read-only share link named by the :shareToken route parameter
+// in place of a session. Unknown and revoked links are treated as missing.
+const resolveShare = async (req, res, next) => {
+  try {
+    const share = await resolveShareLink(req.params.shareToken);
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    req.spaceId = share.spaceId;
+    req.share = share;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Input validation helper
 function validateItem(item) {
   if (!item || typeof item !== 'string') {
@@ -136,200 +264,1988 @@ function validateItem(item) {
   return { valid: true, value: trimmed };
 }
 
-// API Routes - Protected with password only
+// Weight validation helper - weights are relative pick odds (an item with
+// weight 2 is twice as likely to be picked as one with weight 1)
+function validateWeight(weight) {
+  if (weight === undefined || weight === null) {
+    return { valid: true, value: 1 };
+  }
+
+  if (typeof weight !== 'number' || !Number.isInteger(weight)) {
+    return { valid: false, error: 'Weight must be an integer' };
+  }
+
+  if (weight < 1 || weight > 100) {
+    return { valid: false, error: 'Weight must be between 1 and 100' };
+  }
+
+  return { valid: true, value: weight };
+}
+
+// Validate the optional name of whoever made a pick or a veto; `field`
+// names the request field in error messages
+function validatePickedBy(pickedBy, field = 'pickedBy') {
+  if (pickedBy === undefined || pickedBy === null || pickedBy === '') {
+    return { valid: true, value: null };
+  }
+
+  if (typeof pickedBy !== 'string') {
+    return { valid: false, error: `${field} must be a string` };
+  }
+
+  const trimmed = pickedBy.trim();
+
+  if (trimmed.length > 50) {
+    return { valid: false, error: `${field} cannot exceed 50 characters` };
+  }
+
+  if (/<script|<iframe|javascript:/i.test(trimmed)) {
+    return { valid: false, error: `Invalid characters in ${field}` };
+  }
+
+  return { valid: true, value: trimmed || null };
+}
+
+// Validate the mode and count of a multi-item draw. `count` is how many
+// items to pick or how many teams to make; a shuffle takes every item.
+function validateDraw(mode, count) {
+  if (!DRAW_MODES.includes(mode)) {
+    return { valid: false, error: `mode must be one of: ${DRAW_MODES.join(', ')}` };
+  }
+
+  if (mode === 'shuffle') {
+    return { valid: true, value: { mode, count: null } };
+  }
+
+  const least = mode === 'teams' ? 2 : 1;
+  if (typeof count !== 'number' || !Number.isInteger(count) || count < least) {
+    return { valid: false, error: `count must be a whole number of at least ${least}` };
+  }
+
+  return { valid: true, value: { mode, count } };
+}
+
+// Parse an optional ISO 8601 date query parameter
+function parseDateParam(value) {
+  if (value === undefined || value === '') {
+    return { valid: true, value: null };
+  }
+
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    return { valid: false };
+  }
+
+  return { valid: true, value: date.toISOString() };
+}
+
+// Whether a list already has an item called `name`, other than `exceptId`
+function hasItemNamed(list, name, exceptId = null) {
+  return list.items.some(item => item.id !== exceptId && item.name === name);
+}
+
+// Validate a new item ordering: a list of item IDs
+function validateItemOrder(order) {
+  if (!Array.isArray(order) || !order.every(id => typeof id === 'string')) {
+    return { valid: false, error: 'Order must be an array of item IDs' };
+  }
+
+  return { valid: true, value: order };
+}
+
+// Shape an item for API responses
+function serializeItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    weight: item.weight || 1,
+    addedBy: item.addedBy || null,
+    addedAt: item.addedAt || null
+  };
+}
+
+// Shape a list's items for API responses
+function serializeItems(list) {
+  return list.items.map(serializeItem);
+}
+
+// Shape a list's no-repeat pool state for API responses
+function serializePool(list) {
+  return {
+    noRepeat: list.noRepeat,
+    remaining: list.noRepeat ? list.remaining : []
+  };
+}
+
+// Validate the items a bracket or poll starts with: optional, else every item
+function validateItemSelection(itemIds) {
+  if (itemIds === undefined || itemIds === null) {
+    return { valid: true, value: null };
+  }
+
+  if (!Array.isArray(itemIds) || !itemIds.every(id => typeof id === 'string')) {
+    return { valid: false, error: 'itemIds must be an array of item IDs' };
+  }
+
+  if (new Set(itemIds).size !== itemIds.length) {
+    return { valid: false, error: 'itemIds cannot name an item twice' };
+  }
+
+  return { valid: true, value: itemIds };
+}
+
+// Shape a list's bracket for API responses. Votes are shown as counts;
+// with `voterId`, each match also carries that voter's own vote as `myVote`.
+function serializeBracket(bracket, voterId = null) {
+  if (!bracket) {
+    return null;
+  }
+
+  const entrantsById = new Map(bracket.entrants.map(entrant => [entrant.id, entrant]));
+  const entrant = id => (id === null ? null : entrantsById.get(id));
+
+  return {
+    id: bracket.id,
+    status: bracket.winner ? 'finished' : 'voting',
+    round: bracket.rounds.length,
+    totalRounds: countRounds(bracket.entrants.length),
+    rounds: bracket.rounds.map(round => round.map(match => ({
+      id: match.id,
+      a: entrant(match.a),
+      b: entrant(match.b),
+      votes: tallyVotes(match),
+      winner: match.winner,
+      tiebreak: match.tiebreak,
+      ...(voterId ? { myVote: match.votes[voterId] || null } : {})
+    }))),
+    winner: entrant(bracket.winner),
+    created: bracket.created,
+    finished: bracket.finished
+  };
+}
+
+// Validate the nickname a poll ballot is cast under
+function validateNickname(nickname) {
+  if (typeof nickname !== 'string' || nickname.trim() === '') {
+    return { valid: false, error: 'nickname is required' };
+  }
+
+  const trimmed = nickname.trim();
+
+  if (trimmed.length > 50) {
+    return { valid: false, error: 'nickname cannot exceed 50 characters' };
+  }
+
+  if (/<script|<iframe|javascript:/i.test(trimmed)) {
+    return { valid: false, error: 'Invalid characters in nickname' };
+  }
+
+  return { valid: true, value: trimmed };
+}
+
+// Validate a ballot's choices: option IDs, each at most once. Approval
+// ballots list every approved option; ranked ballots list the favourite first.
+function validateBallotChoices(choices) {
+  if (!Array.isArray(choices) || choices.length === 0 || !choices.every(id => typeof id === 'string')) {
+    return { valid: false, error: 'choices must be a non-empty array of item IDs' };
+  }
+
+  if (new Set(choices).size !== choices.length) {
+    return { valid: false, error: 'choices cannot name an item twice' };
+  }
+
+  return { valid: true, value: choices };
+}
+
+// Shape a list's poll for API responses, with the live tally as `results`.
+// Ballots are shown only as the nicknames that voted; with `voterId`, the
+// poll also carries that voter's own ballot as `myBallot`.
+function serializePoll(poll, voterId = null) {
+  if (!poll) {
+    return null;
+  }
+
+  const myBallot = voterId ? findBallot(poll, voterId) : null;
+
+  return {
+    id: poll.id,
+    method: poll.method,
+    status: poll.closed ? 'closed' : 'open',
+    options: poll.options,
+    voters: Object.values(poll.ballots).map(ballot => ballot.nickname),
+    results: tallyPoll(poll),
+    created: poll.created,
+    closed: poll.closed,
+    ...(voterId ? { myBallot: myBallot && { nickname: myBallot.nickname, choices: myBallot.choices } } : {})
+  };
+}
+
+// Validate how many items each participant may strike in a veto round
+function validateMaxVetoes(maxVetoes) {
+  if (maxVetoes === undefined || maxVetoes === null) {
+    return { valid: true, value: DEFAULT_VETOES };
+  }
+
+  if (typeof maxVetoes !== 'number' || !Number.isInteger(maxVetoes) || maxVetoes < 1 || maxVetoes > MAX_VETOES) {
+    return { valid: false, error: `maxVetoes must be a whole number from 1 to ${MAX_VETOES}` };
+  }
+
+  return { valid: true, value: maxVetoes };
+}
+
+// Shape a list's veto round for API responses. Strikes on items that have
+// since been removed are left out. With `voterId`, each strike says whether
+// it is that voter's own (`mine`) and the round carries `myVetoesLeft`.
+function serializeVeto(veto, items, voterId = null) {
+  if (!veto) {
+    return null;
+  }
+
+  return {
+    id: veto.id,
+    status: veto.finished ? 'finished' : 'open',
+    maxVetoes: veto.maxVetoes,
+    strikes: currentStrikes(veto, items).map(([itemId, strike]) => ({
+      itemId,
+      vetoedBy: strike.vetoedBy,
+      at: strike.at,
+      ...(voterId ? { mine: strike.voterId === voterId } : {})
+    })),
+    survivors: survivors(veto, items).map(item => item.id),
+    ...(voterId ? { myVetoesLeft: vetoesLeft(veto, items, voterId) } : {}),
+    created: veto.created,
+    finished: veto.finished
+  };
+}
+
+// Validate a list name
+function validateListName(name) {
+  if (!name || typeof name !== 'string') {
+    return { valid: false, error: 'List name must be a string' };
+  }
+
+  const trimmed = name.trim();
+
+  if (trimmed === '') {
+    return { valid: false, error: 'List name cannot be empty' };
+  }
+
+  if (trimmed.length > 100) {
+    return { valid: false, error: 'List name cannot exceed 100 characters' };
+  }
+
+  if (/<script|<iframe|javascript:/i.test(trimmed)) {
+    return { valid: false, error: 'Invalid characters in list name' };
+  }
+
+  return { valid: true, value: trimmed };
+}
+
+// Shape a list summary for API responses
+function serializeList(list) {
+  return {
+    id: list.id,
+    name: list.name,
+    itemCount: list.items.length
+  };
+}
+
+// Validate a space's display name. An empty name removes it.
+function validateSpaceName(name) {
+  if (name === null || name === '') {
+    return { valid: true, value: null };
+  }
+
+  if (typeof name !== 'string') {
+    return { valid: false, error: 'Space name must be a string' };
+  }
+
+  const trimmed = name.trim();
+
+  if (trimmed.length > 100) {
+    return { valid: false, error: 'Space name cannot exceed 100 characters' };
+  }
+
+  if (/<script|<iframe|javascript:/i.test(trimmed)) {
+    return { valid: false, error: 'Invalid characters in space name' };
+  }
+
+  return { valid: true, value: trimmed || null };
+}
+
+// Validate the optional label of a share link
+function validateShareLabel(label) {
+  if (label === undefined || label === null || label === '') {
+    return { valid: true, value: null };
+  }
+
+  if (typeof label !== 'string') {
+    return { valid: false, error: 'Label must be a string' };
+  }
+
+  const trimmed = label.trim();
+
+  if (trimmed.length > 100) {
+    return { valid: false, error: 'Label cannot exceed 100 characters' };
+  }
+
+  if (/<script|<iframe|javascript:/i.test(trimmed)) {
+    return { valid: false, error: 'Invalid characters in label' };
+  }
+
+  return { valid: true, value: trimmed || null };
+}
+
+// Shape a space's details for API responses
+function serializeSpace(spaceId, space) {
+  return {
+    id: spaceId,
+    name: space.name,
+    created: space.created,
+    lastModified: space.lastModified
+  };
+}
+
+// Issue a session token for the access a password grants and shape it for
+// API responses
+function sessionResponse(access) {
+  const { token, claims } = issueSession(access);
+  return {
+    token,
+    spaceId: claims.sid,
+    role: claims.role,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+// Who is in a space right now: every session with an event stream open on
+// it, by its public ID, nickname and role
+function listPresence(spaceId) {
+  return connectedSessions(spaceId).map(({ sessionId, role, since }) => ({
+    id: publicSessionId(sessionId),
+    nickname: nicknameOf(sessionId),
+    role,
+    since
+  }));
+}
+
+// Push who is in a space to its connected clients
+function publishPresence(spaceId) {
+  publish(spaceId, 'presence', { participants: listPresence(spaceId) });
+}
+
+// Push the space's current lists to its connected clients. Returns the
+// lists and the space version they belong to.
+async function publishLists(spaceId) {
+  const space = await getSpace(spaceId);
+  const lists = space.lists.map(serializeList);
+  publish(spaceId, 'lists', { lists, version: space.version });
+  return { lists, version: space.version };
+}
+
+// Send the space version a response reflects as its ETag
+function setVersion(res, version) {
+  res.set('ETag', `"${version}"`);
+}
+
+// Refuse a change made from an outdated copy of the space. The current
+// version is included so the client can refetch and try again.
+async function sendVersionConflict(req, res) {
+  const space = await getSpace(req.spaceId);
+  setVersion(res, space.version);
+  return res.status(412).json({ error: 'Space has changed', version: space.version });
+}
 
-// Get all items for a specific space
-app.get('/api/items', validatePassword, async (req, res) => {
+// Resolve the list a request targets: the :listId route parameter, or the
+// default list for the original /api/items-style routes
+const resolveList = async (req, res, next) => {
   try {
-    const space = await getSpace(req.spaceId);
-    res.json(space.items);
+    req.listId = req.params.listId || DEFAULT_LIST_ID;
+
+    if (!(await getList(req.spaceId, req.listId))) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    next();
   } catch (error) {
-    console.error('Error in GET /api/items:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
-});
+};
 
-// Add a new item
-app.post('/api/items', validatePassword, async (req, res) => {
+// Honor an If-Match header holding ETags from earlier responses. The
+// version is checked here and again when the change is saved (through
+// req.expectedVersion), so a change made in between is refused as well.
+const checkIfMatch = async (req, res, next) => {
   try {
-    const { item } = req.body;
+    req.expectedVersion = null;
 
-    const validation = validateItem(item);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error });
+    const header = req.get('If-Match');
+    if (header === undefined || header.trim() === '*') {
+      return next();
     }
 
-    // Get current space data
+    const versions = header.split(',')
+      .map(tag => tag.trim().match(/^"(\d+)"$/))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+
     const space = await getSpace(req.spaceId);
+    if (!versions.includes(space.version)) {
+      return sendVersionConflict(req, res);
+    }
 
-    // Check for duplicate
-    if (space.items.includes(validation.value)) {
-      return res.status(409).json({ error: 'Item already exists' });
+    req.expectedVersion = space.version;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Session Routes
+
+// Create a space with a password and open a session on it. The space can
+// be named right away.
+app.post('/api/spaces', limitPasswordAttempts, async (req, res) => {
+  try {
+    const { password, name } = req.body || {};
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({
+        error: 'Password required',
+        message: 'Please provide a password for the new space in the request body'
+      });
     }
 
-    // Limit total items
-    if (space.items.length >= 1000) {
-      return res.status(400).json({ error: 'Maximum number of items (1000) reached' });
+    const validation = validateSpaceName(name ?? null);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
 
-    // Add the new item
-    await addItem(req.spaceId, validation.value);
+    const access = await createSpaceWithPassword(password);
+    if (validation.value) {
+      await renameSpace(access.spaceId, validation.value);
+    }
 
-    // Get updated space data
-    const updatedSpace = await getSpace(req.spaceId);
-    res.json({ success: true, items: updatedSpace.items });
+    res.status(201).json(sessionResponse(access));
   } catch (error) {
-    console.error('Error in POST /api/items:', error);
-    res.status(500).json({ error: 'Failed to save item' });
+    if (error.message === 'Password already in use') {
+      return res.status(409).json({ error: 'That password is already used by another space' });
+    }
+    console.error('Error in POST /api/spaces:', error);
+    res.status(500).json({ error: 'Failed to create space' });
   }
 });
 
-// Delete an item by index
-app.delete('/api/items/:index', validatePassword, async (req, res) => {
+// Exchange the password of an existing space for a session token
+app.post('/api/session', limitPasswordAttempts, async (req, res) => {
   try {
-    const index = parseInt(req.params.index, 10);
+    const { password } = req.body || {};
 
-    // Validate index
-    if (isNaN(index) || !Number.isInteger(index) || index < 0) {
-      return res.status(400).json({ error: 'Invalid index: must be a non-negative integer' });
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({
+        error: 'Password required',
+        message: 'Please provide the space password in the request body'
+      });
     }
 
-    // Get current space data
-    const space = await getSpace(req.spaceId);
+    const access = await resolveSpace(password);
 
-    if (index >= space.items.length) {
-      return res.status(404).json({ error: 'Item not found at specified index' });
+    if (!access) {
+      return res.status(404).json({
+        error: 'Space not found',
+        message: 'No space uses that password. Check it, or create a new space with POST /api/spaces'
+      });
     }
 
-    const deletedItem = space.items[index];
-
-    // Remove the item
-    await removeItem(req.spaceId, index);
+    res.status(201).json(sessionResponse(access));
+  } catch (error) {
+    console.error('Error in POST /api/session:', error);
+    res.status(500).json({ error: 'Failed to start session' });
+  }
+});
 
-    // Get updated space data
-    const updatedSpace = await getSpace(req.spaceId);
-    res.json({
-      success: true,
-      items: updatedSpace.items,
-      deleted: deletedItem
-    });
+// Revoke the current session token
+app.delete('/api/session', requireSession, async (req, res) => {
+  try {
+    await endSession(req.session);
+    forgetSession(req.session.jti);
+    disconnectSession(req.session.jti);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error in DELETE /api/items/:index:', error);
-    res.status(500).json({ error: 'Failed to delete item' });
+    console.error('Error in DELETE /api/session:', error);
+    res.status(500).json({ error: 'Failed to end session' });
   }
 });
 
-// Get the last picked item
-app.get('/api/picked', validatePassword, async (req, res) => {
+// Set the nickname the current session goes by (an empty one clears it)
+app.put('/api/session/nickname', requireSession, (req, res) => {
+  const validation = validatePickedBy(req.body?.nickname, 'nickname');
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  setNickname(req.session, validation.value);
+  publishPresence(req.spaceId);
+  res.json({ success: true, nickname: validation.value, id: publicSessionId(req.session.jti) });
+});
+
+// API Routes - Protected with a session token
+
+// Routes for a single list. Mounted at /api for the default list and at
+// /api/lists/:listId for named lists.
+const listRouter = express.Router({ mergeParams: true });
+
+// Get all items in the list
+listRouter.get('/items', requireSession, resolveList, async (req, res) => {
   try {
-    const space = await getSpace(req.spaceId);
-    res.json(space.lastPicked || null);
+    const list = await getList(req.spaceId, req.listId);
+    setVersion(res, list.version);
+    res.json(serializeItems(list));
   } catch (error) {
-    console.error('Error in GET /api/picked:', error);
+    console.error(`Error in GET ${req.baseUrl}/items:`, error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Save the picked item
-app.post('/api/picked', validatePassword, async (req, res) => {
+// Add a new item
+listRouter.post('/items', requireSession, resolveList, checkIfMatch, async (req, res) => {
   try {
-    const { item, index } = req.body;
-
-    // Validate input
-    if (typeof index !== 'number' || index < 0 || !Number.isInteger(index)) {
-      return res.status(400).json({ error: 'Invalid index' });
-    }
+    const { item, weight } = req.body || {};
 
     const validation = validateItem(item);
     if (!validation.valid) {
       return res.status(400).json({ error: validation.error });
     }
 
-    // Get current space data
-    const space = await getSpace(req.spaceId);
+    const weightValidation = validateWeight(weight);
+    if (!weightValidation.valid) {
+      return res.status(400).json({ error: weightValidation.error });
+    }
+
+    // Get current list data
+    const list = await getList(req.spaceId, req.listId);
 
-    // Verify the item exists at the specified index
-    if (index >= space.items.length || space.items[index] !== validation.value) {
-      return res.status(400).json({ error: 'Item does not match the specified index' });
+    // Check for duplicate
+    if (hasItemNamed(list, validation.value)) {
+      return res.status(409).json({ error: 'Item already exists' });
     }
 
-    const lastPicked = {
-      item: validation.value,
-      index,
-      timestamp: new Date().toISOString(),
-      space: req.spaceId.substring(0, 8) // Log partial space ID for audit
-    };
+    // Limit total items
+    if (list.items.length >= MAX_ITEMS_PER_LIST) {
+      return res.status(400).json({ error: `Maximum number of items (${MAX_ITEMS_PER_LIST}) reached` });
+    }
 
-    // Update lastPicked in database
-    await updateLastPicked(req.spaceId, lastPicked);
+    // Add the new item
+    const added = await addItem(req.spaceId, validation.value, weightValidation.value, req.listId, { expectedVersion: req.expectedVersion, by: nicknameOf(req.session.jti) });
 
-    res.json({ success: true, lastPicked });
+    // Get updated list data
+    const updatedList = await getList(req.spaceId, req.listId);
+    const items = serializeItems(updatedList);
+    publish(req.spaceId, 'items', { listId: req.listId, items, pool: serializePool(updatedList), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, item: serializeItem(added), items });
   } catch (error) {
-    console.error('Error in POST /api/picked:', error);
-    res.status(500).json({ error: 'Failed to save picked item' });
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error(`Error in POST ${req.baseUrl}/items:`, error);
+    res.status(500).json({ error: 'Failed to save item' });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-
-  // Don't leak error details in production
-  if (process.env.NODE_ENV === 'production') {
+// Get the items most recently removed from the list, newest first, with
+// who removed them
+listRouter.get('/items/removed', requireSession, resolveList, async (req, res) => {
+  try {
+    const list = await getList(req.spaceId, req.listId);
+    res.json({ removed: list.removed });
+  } catch (error) {
+    console.error(`Error in GET ${req.baseUrl}/items/removed:`, error);
     res.status(500).json({ error: 'Internal server error' });
-  } else {
-    res.status(500).json({
-      error: 'Internal server error',
-      message: err.message,
-      stack: err.stack
-    });
   }
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
-});
+// Add many items at once from newline-separated text, CSV or a JSON array.
+// Entries are checked like single items; the valid ones are added together
+// and the rest are reported back by line.
+listRouter.post('/items/bulk', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const { format = 'text', content } = req.body || {};
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\nReceived SIGINT, shutting down gracefully...');
-  await closeDatabase();
-  process.exit(0);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format: must be one of ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content must be a string' });
+    }
+
+    let entries;
+    try {
+      entries = parseImport(format, content);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No items to import' });
+    }
+
+    const valid = [];
+    const rejected = [];
+    for (const entry of entries) {
+      const validation = validateItem(entry.name);
+      const weightValidation = validateWeight(entry.weight);
+      const error = validation.error || weightValidation.error;
+
+      if (error) {
+        rejected.push({ line: entry.line, item: entry.name ?? null, error });
+      } else {
+        valid.push({ line: entry.line, name: validation.value, weight: weightValidation.value });
+      }
+    }
+
+    const { added, duplicates } = await addItems(req.spaceId, valid, req.listId, { expectedVersion: req.expectedVersion, by: nicknameOf(req.session.jti) });
+
+    // Get updated list data
+    const updatedList = await getList(req.spaceId, req.listId);
+    const items = serializeItems(updatedList);
+    if (added.length > 0) {
+      publish(req.spaceId, 'items', { listId: req.listId, items, pool: serializePool(updatedList), version: updatedList.version });
+    }
+    setVersion(res, updatedList.version);
+
+    res.json({
+      success: true,
+      added: added.map(serializeItem),
+      duplicates: duplicates.map(entry => ({ line: entry.line, item: entry.name })),
+      rejected,
+      items
+    });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message.startsWith('Maximum number of items')) {
+      // Nothing was added
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error in POST ${req.baseUrl}/items/bulk:`, error);
+    res.status(500).json({ error: 'Failed to import items' });
+  }
+});
+
+// Delete an item by ID
+listRouter.delete('/items/:itemId', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    // Get current list data
+    const list = await getList(req.spaceId, req.listId);
+
+    if (!list.items.some(item => item.id === req.params.itemId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    // Remove the item
+    const deletedItem = await removeItem(req.spaceId, req.params.itemId, req.listId, { expectedVersion: req.expectedVersion, by: nicknameOf(req.session.jti) });
+
+    // Get updated list data
+    const updatedList = await getList(req.spaceId, req.listId);
+    const items = serializeItems(updatedList);
+    publish(req.spaceId, 'items', { listId: req.listId, items, pool: serializePool(updatedList), removed: updatedList.removed, version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({
+      success: true,
+      items,
+      deleted: deletedItem.name
+    });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Item not found') {
+      // Deleted by someone else since the check above
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    console.error(`Error in DELETE ${req.baseUrl}/items/:itemId:`, error);
+    res.status(500).json({ error: 'Failed to delete item' });
+  }
+});
+
+// Put the list's items in a new order
+listRouter.put('/items/order', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const validation = validateItemOrder(req.body?.order);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    await reorderItems(req.spaceId, validation.value, req.listId, { expectedVersion: req.expectedVersion });
+
+    // Get updated list data
+    const updatedList = await getList(req.spaceId, req.listId);
+    const items = serializeItems(updatedList);
+    publish(req.spaceId, 'items', { listId: req.listId, items, pool: serializePool(updatedList), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, items });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Item order does not match the list') {
+      // Items were added or removed since the client loaded the list
+      return res.status(409).json({ error: 'Order must include every item in the list exactly once' });
+    }
+    console.error(`Error in PUT ${req.baseUrl}/items/order:`, error);
+    res.status(500).json({ error: 'Failed to reorder items' });
+  }
+});
+
+// Rename an item and/or update its weight by ID
+listRouter.patch('/items/:itemId', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const { name, weight } = req.body || {};
+
+    if (name === undefined && weight === undefined) {
+      return res.status(400).json({ error: 'Name or weight is required' });
+    }
+
+    const changes = {};
+
+    if (name !== undefined) {
+      const validation = validateItem(name);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+      changes.name = validation.value;
+    }
+
+    if (weight !== undefined) {
+      const weightValidation = validateWeight(weight);
+      if (!weightValidation.valid) {
+        return res.status(400).json({ error: weightValidation.error });
+      }
+      changes.weight = weightValidation.value;
+    }
+
+    // Get current list data
+    const list = await getList(req.spaceId, req.listId);
+
+    if (!list.items.some(item => item.id === req.params.itemId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    // Check for duplicate
+    if (changes.name !== undefined && hasItemNamed(list, changes.name, req.params.itemId)) {
+      return res.status(409).json({ error: 'Item already exists' });
+    }
+
+    const updated = await updateItem(req.spaceId, req.params.itemId, changes, req.listId, { expectedVersion: req.expectedVersion });
+
+    // Get updated list data
+    const updatedList = await getList(req.spaceId, req.listId);
+    const items = serializeItems(updatedList);
+    publish(req.spaceId, 'items', { listId: req.listId, items, pool: serializePool(updatedList), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, item: serializeItem(updated), items });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Item not found') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (error.message === 'Item already exists') {
+      return res.status(409).json({ error: 'Item already exists' });
+    }
+    console.error(`Error in PATCH ${req.baseUrl}/items/:itemId:`, error);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+// Draw a random item on the server and save it as the last pick
+listRouter.post('/pick', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const pickedByValidation = validatePickedBy(req.body?.pickedBy);
+    if (!pickedByValidation.valid) {
+      return res.status(400).json({ error: pickedByValidation.error });
+    }
+    const pickedBy = pickedByValidation.value || nicknameOf(req.session.jti);
+
+    // Draw and store the pick in one transaction so concurrent picks
+    // can't draw the same item from a no-repeat pool
+    const lastPicked = await pickItem(req.spaceId, (list) => {
+      if (list.items.length === 0) {
+        return null;
+      }
+
+      const { index, roll, totalWeight, itemCount, remaining } = drawPick(list);
+
+      return {
+        lastPicked: {
+          itemId: list.items[index].id,
+          item: list.items[index].name,
+          index,
+          listId: req.listId,
+          timestamp: new Date().toISOString(),
+          space: req.spaceId.substring(0, 8), // Log partial space ID for audit
+          pickedBy,
+          // Record the draw so the outcome can be checked against the weights
+          draw: {
+            roll,
+            totalWeight,
+            itemCount,
+            noRepeat: list.noRepeat
+          }
+        },
+        remaining
+      };
+    }, req.listId, { expectedVersion: req.expectedVersion });
+
+    if (!lastPicked) {
+      return res.status(400).json({ error: 'No items to pick from' });
+    }
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    const pool = serializePool(updatedList);
+    publish(req.spaceId, 'pick', { listId: req.listId, lastPicked, pool, version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({
+      success: true,
+      lastPicked,
+      pool
+    });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error(`Error in POST ${req.baseUrl}/pick:`, error);
+    res.status(500).json({ error: 'Failed to pick item' });
+  }
+});
+
+// Get the list's latest multi-item draw
+listRouter.get('/draw', requireSession, resolveList, async (req, res) => {
+  try {
+    const list = await getList(req.spaceId, req.listId);
+    setVersion(res, list.version);
+    res.json({ lastDraw: list.lastDraw });
+  } catch (error) {
+    console.error(`Error in GET ${req.baseUrl}/draw:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Draw several distinct items, shuffle the whole list or split it into
+// teams, and save the result as the list's latest draw
+listRouter.post('/draw', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const drawValidation = validateDraw(req.body?.mode, req.body?.count);
+    if (!drawValidation.valid) {
+      return res.status(400).json({ error: drawValidation.error });
+    }
+    const { mode, count } = drawValidation.value;
+
+    const pickedByValidation = validatePickedBy(req.body?.pickedBy);
+    if (!pickedByValidation.valid) {
+      return res.status(400).json({ error: pickedByValidation.error });
+    }
+    const pickedBy = pickedByValidation.value || nicknameOf(req.session.jti);
+
+    const lastDraw = await drawItems(req.spaceId, (list) => {
+      if (list.items.length === 0) {
+        return null;
+      }
+      if (count > list.items.length) {
+        throw new Error('Not enough items');
+      }
+
+      let groups;
+      if (mode === 'pick') {
+        groups = [drawMany(list.items, count)];
+      } else if (mode === 'shuffle') {
+        groups = [shuffleItems(list.items)];
+      } else {
+        groups = splitTeams(list.items, count);
+      }
+
+      return {
+        mode,
+        count,
+        groups: groups.map(group => group.map(item => ({ itemId: item.id, item: item.name }))),
+        listId: req.listId,
+        timestamp: new Date().toISOString(),
+        pickedBy
+      };
+    }, req.listId, { expectedVersion: req.expectedVersion });
+
+    if (!lastDraw) {
+      return res.status(400).json({ error: 'No items to pick from' });
+    }
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'draw', { listId: req.listId, lastDraw, version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, lastDraw });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Not enough items') {
+      return res.status(400).json({ error: 'count cannot exceed the number of items' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/draw:`, error);
+    res.status(500).json({ error: 'Failed to draw items' });
+  }
+});
+
+// Get the no-repeat mode and the items left in the current round
+listRouter.get('/pool', requireSession, resolveList, async (req, res) => {
+  try {
+    const list = await getList(req.spaceId, req.listId);
+    setVersion(res, list.version);
+    res.json(serializePool(list));
+  } catch (error) {
+    console.error(`Error in GET ${req.baseUrl}/pool:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn no-repeat mode on or off
+listRouter.put('/pool', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const { noRepeat } = req.body || {};
+
+    if (typeof noRepeat !== 'boolean') {
+      return res.status(400).json({ error: 'noRepeat must be a boolean' });
+    }
+
+    await setNoRepeat(req.spaceId, noRepeat, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    const pool = serializePool(updatedList);
+    publish(req.spaceId, 'pool', { listId: req.listId, pool, version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, pool });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error(`Error in PUT ${req.baseUrl}/pool:`, error);
+    res.status(500).json({ error: 'Failed to update no-repeat mode' });
+  }
+});
+
+// Refill the pool so every item can be picked again
+listRouter.post('/pool/reset', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const list = await getList(req.spaceId, req.listId);
+
+    if (!list.noRepeat) {
+      return res.status(400).json({ error: 'No-repeat mode is not enabled' });
+    }
+
+    await resetPool(req.spaceId, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    const pool = serializePool(updatedList);
+    publish(req.spaceId, 'pool', { listId: req.listId, pool, version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, pool });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error(`Error in POST ${req.baseUrl}/pool/reset:`, error);
+    res.status(500).json({ error: 'Failed to reset pool' });
+  }
+});
+
+// Get the list's bracket, or null if it has none
+listRouter.get('/bracket', requireSession, resolveList, async (req, res) => {
+  try {
+    const list = await getList(req.spaceId, req.listId);
+    setVersion(res, list.version);
+    res.json({ bracket: serializeBracket(list.bracket, req.session.jti) });
+  } catch (error) {
+    console.error(`Error in GET ${req.baseUrl}/bracket:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a bracket with some of the list's items (`itemIds`) or all of them
+listRouter.post('/bracket', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const validation = validateItemSelection(req.body?.itemIds);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    await startBracket(req.spaceId, validation.value, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'bracket', { listId: req.listId, bracket: serializeBracket(updatedList.bracket), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.status(201).json({ success: true, bracket: serializeBracket(updatedList.bracket, req.session.jti) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Bracket in progress') {
+      return res.status(409).json({ error: 'A bracket is already in progress on this list' });
+    }
+    if (error.message === 'Item not found') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (error.message === 'Not enough items for a bracket') {
+      return res.status(400).json({ error: `A bracket needs at least ${MIN_BRACKET_ENTRANTS} items` });
+    }
+    if (error.message === 'Too many items for a bracket') {
+      return res.status(400).json({ error: `A bracket can have at most ${MAX_BRACKET_ENTRANTS} items` });
+    }
+    console.error(`Error in POST ${req.baseUrl}/bracket:`, error);
+    res.status(500).json({ error: 'Failed to start bracket' });
+  }
+});
+
+// Vote for one side of a match in the current round. Each session has one
+// vote per match; voting again changes it.
+listRouter.post('/bracket/votes', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const { matchId, choice } = req.body || {};
+
+    if (typeof matchId !== 'string') {
+      return res.status(400).json({ error: 'matchId must be a string' });
+    }
+
+    if (!BRACKET_CHOICES.includes(choice)) {
+      return res.status(400).json({ error: 'choice must be "a" or "b"' });
+    }
+
+    await voteInBracket(req.spaceId, matchId, req.session.jti, choice, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'bracket', { listId: req.listId, bracket: serializeBracket(updatedList.bracket), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, bracket: serializeBracket(updatedList.bracket, req.session.jti) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Bracket not found') {
+      return res.status(404).json({ error: 'No bracket on this list' });
+    }
+    if (error.message === 'Bracket is finished') {
+      return res.status(409).json({ error: 'This bracket is finished' });
+    }
+    if (error.message === 'Match not found') {
+      return res.status(404).json({ error: 'Match not found in the current round' });
+    }
+    if (error.message === 'Match is a bye') {
+      return res.status(400).json({ error: 'That match is a bye and needs no votes' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/bracket/votes:`, error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
+// Close the current round: each match goes to the side with more votes
+// (ties at random) and the winners are paired off for the next round. The
+// bracket's winner becomes the list's pick. Ending the voting for everyone
+// is left to admins.
+listRouter.post('/bracket/advance', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const { lastPicked } = await advanceBracket(req.spaceId, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'bracket', { listId: req.listId, bracket: serializeBracket(updatedList.bracket), version: updatedList.version });
+    if (lastPicked) {
+      publish(req.spaceId, 'pick', { listId: req.listId, lastPicked, pool: serializePool(updatedList), version: updatedList.version });
+    }
+    setVersion(res, updatedList.version);
+    res.json({ success: true, bracket: serializeBracket(updatedList.bracket, req.session.jti), lastPicked });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Bracket not found') {
+      return res.status(404).json({ error: 'No bracket on this list' });
+    }
+    if (error.message === 'Bracket is finished') {
+      return res.status(409).json({ error: 'This bracket is finished' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/bracket/advance:`, error);
+    res.status(500).json({ error: 'Failed to advance bracket' });
+  }
+});
+
+// Remove the list's bracket, finished or not
+listRouter.delete('/bracket', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    await cancelBracket(req.spaceId, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'bracket', { listId: req.listId, bracket: null, version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, bracket: null });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Bracket not found') {
+      return res.status(404).json({ error: 'No bracket on this list' });
+    }
+    console.error(`Error in DELETE ${req.baseUrl}/bracket:`, error);
+    res.status(500).json({ error: 'Failed to remove bracket' });
+  }
+});
+
+// Get the list's poll with its live results, or null if it has none
+listRouter.get('/poll', requireSession, resolveList, async (req, res) => {
+  try {
+    const list = await getList(req.spaceId, req.listId);
+    setVersion(res, list.version);
+    res.json({ poll: serializePoll(list.poll, req.session.jti) });
+  } catch (error) {
+    console.error(`Error in GET ${req.baseUrl}/poll:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Open a poll over some of the list's items (`itemIds`) or all of them,
+// counted by `method`: 'approval' or 'ranked' (instant runoff)
+listRouter.post('/poll', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const method = req.body?.method;
+    if (!POLL_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${POLL_METHODS.join(', ')}` });
+    }
+
+    const validation = validateItemSelection(req.body?.itemIds);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    await openPoll(req.spaceId, method, validation.value, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'poll', { listId: req.listId, poll: serializePoll(updatedList.poll), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.status(201).json({ success: true, poll: serializePoll(updatedList.poll, req.session.jti) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Poll in progress') {
+      return res.status(409).json({ error: 'A poll is already open on this list' });
+    }
+    if (error.message === 'Item not found') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (error.message === 'Not enough items for a poll') {
+      return res.status(400).json({ error: `A poll needs at least ${MIN_POLL_OPTIONS} items` });
+    }
+    if (error.message === 'Too many items for a poll') {
+      return res.status(400).json({ error: `A poll can have at most ${MAX_POLL_OPTIONS} items` });
+    }
+    console.error(`Error in POST ${req.baseUrl}/poll:`, error);
+    res.status(500).json({ error: 'Failed to open poll' });
+  }
+});
+
+// Cast a ballot under a nickname. Each session has one ballot; casting
+// again replaces it, and a nickname belongs to the session that used it first.
+listRouter.post('/poll/ballots', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const nicknameValidation = validateNickname(req.body?.nickname);
+    if (!nicknameValidation.valid) {
+      return res.status(400).json({ error: nicknameValidation.error });
+    }
+
+    const choicesValidation = validateBallotChoices(req.body?.choices);
+    if (!choicesValidation.valid) {
+      return res.status(400).json({ error: choicesValidation.error });
+    }
+
+    await voteInPoll(req.spaceId, nicknameValidation.value, req.session.jti, choicesValidation.value, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'poll', { listId: req.listId, poll: serializePoll(updatedList.poll), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, poll: serializePoll(updatedList.poll, req.session.jti) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Poll not found') {
+      return res.status(404).json({ error: 'No poll on this list' });
+    }
+    if (error.message === 'Poll is closed') {
+      return res.status(409).json({ error: 'This poll is closed' });
+    }
+    if (error.message === 'Option not found') {
+      return res.status(400).json({ error: 'choices must be options of the poll' });
+    }
+    if (error.message === 'Nickname taken') {
+      return res.status(409).json({ error: 'Someone else already voted under that nickname' });
+    }
+    if (error.message === 'Poll is full') {
+      return res.status(409).json({ error: 'This poll has taken as many ballots as it can' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/poll/ballots:`, error);
+    res.status(500).json({ error: 'Failed to record ballot' });
+  }
+});
+
+// Close the poll to further ballots. A single winner becomes the list's pick.
+// Ending the voting for everyone is left to admins.
+listRouter.post('/poll/close', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const { lastPicked } = await endPoll(req.spaceId, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'poll', { listId: req.listId, poll: serializePoll(updatedList.poll), version: updatedList.version });
+    if (lastPicked) {
+      publish(req.spaceId, 'pick', { listId: req.listId, lastPicked, pool: serializePool(updatedList), version: updatedList.version });
+    }
+    setVersion(res, updatedList.version);
+    res.json({ success: true, poll: serializePoll(updatedList.poll, req.session.jti), lastPicked });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Poll not found') {
+      return res.status(404).json({ error: 'No poll on this list' });
+    }
+    if (error.message === 'Poll is closed') {
+      return res.status(409).json({ error: 'This poll is closed' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/poll/close:`, error);
+    res.status(500).json({ error: 'Failed to close poll' });
+  }
+});
+
+// Remove the list's poll and its ballots, open or closed
+listRouter.delete('/poll', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    await cancelPoll(req.spaceId, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publish(req.spaceId, 'poll', { listId: req.listId, poll: null, version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, poll: null });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Poll not found') {
+      return res.status(404).json({ error: 'No poll on this list' });
+    }
+    console.error(`Error in DELETE ${req.baseUrl}/poll:`, error);
+    res.status(500).json({ error: 'Failed to remove poll' });
+  }
+});
+
+// Tell everyone in the space about a change to a list's veto round
+function publishVeto(req, list) {
+  publish(req.spaceId, 'veto', { listId: req.listId, veto: serializeVeto(list.veto, list.items), version: list.version });
+}
+
+// Get the list's veto round, or null if it has none
+listRouter.get('/veto', requireSession, resolveList, async (req, res) => {
+  try {
+    const list = await getList(req.spaceId, req.listId);
+    setVersion(res, list.version);
+    res.json({ veto: serializeVeto(list.veto, list.items, req.session.jti) });
+  } catch (error) {
+    console.error(`Error in GET ${req.baseUrl}/veto:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a veto round in which everyone may strike up to `maxVetoes` items
+listRouter.post('/veto', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const validation = validateMaxVetoes(req.body?.maxVetoes);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    await startVeto(req.spaceId, validation.value, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publishVeto(req, updatedList);
+    setVersion(res, updatedList.version);
+    res.status(201).json({ success: true, veto: serializeVeto(updatedList.veto, updatedList.items, req.session.jti) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Veto round in progress') {
+      return res.status(409).json({ error: 'A veto round is already open on this list' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/veto:`, error);
+    res.status(500).json({ error: 'Failed to start veto round' });
+  }
+});
+
+// Strike an item, optionally under a name (`vetoedBy`)
+listRouter.post('/veto/strikes', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const itemId = req.body?.itemId;
+    if (typeof itemId !== 'string') {
+      return res.status(400).json({ error: 'itemId must be a string' });
+    }
+
+    const vetoedByValidation = validatePickedBy(req.body?.vetoedBy, 'vetoedBy');
+    if (!vetoedByValidation.valid) {
+      return res.status(400).json({ error: vetoedByValidation.error });
+    }
+
+    await vetoItem(req.spaceId, itemId, req.session.jti, vetoedByValidation.value, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publishVeto(req, updatedList);
+    setVersion(res, updatedList.version);
+    res.json({ success: true, veto: serializeVeto(updatedList.veto, updatedList.items, req.session.jti) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Veto round not found') {
+      return res.status(404).json({ error: 'No veto round on this list' });
+    }
+    if (error.message === 'Item not found') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (error.message === 'Veto round is finished') {
+      return res.status(409).json({ error: 'This veto round is finished' });
+    }
+    if (error.message === 'Item already vetoed') {
+      return res.status(409).json({ error: 'Someone has already vetoed that item' });
+    }
+    if (error.message === 'No vetoes left') {
+      return res.status(409).json({ error: 'You have used all your vetoes' });
+    }
+    if (error.message === 'Last item cannot be vetoed') {
+      return res.status(409).json({ error: 'The last item left cannot be vetoed' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/veto/strikes:`, error);
+    res.status(500).json({ error: 'Failed to veto item' });
+  }
+});
+
+// Take back your own strike on an item
+listRouter.delete('/veto/strikes/:itemId', requireSession, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    await unvetoItem(req.spaceId, req.params.itemId, req.session.jti, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publishVeto(req, updatedList);
+    setVersion(res, updatedList.version);
+    res.json({ success: true, veto: serializeVeto(updatedList.veto, updatedList.items, req.session.jti) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Veto round not found') {
+      return res.status(404).json({ error: 'No veto round on this list' });
+    }
+    if (error.message === 'Veto round is finished') {
+      return res.status(409).json({ error: 'This veto round is finished' });
+    }
+    if (error.message === 'Veto not found') {
+      return res.status(404).json({ error: 'That item has not been vetoed' });
+    }
+    if (error.message === 'Not your veto') {
+      return res.status(403).json({ error: 'You can only take back your own vetoes' });
+    }
+    console.error(`Error in DELETE ${req.baseUrl}/veto/strikes/:itemId:`, error);
+    res.status(500).json({ error: 'Failed to take back veto' });
+  }
+});
+
+// Finish the round by picking at random, by weight, from the items nobody
+// struck (optional `pickedBy` name). Ending the round for everyone is left
+// to admins.
+listRouter.post('/veto/finalize', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const pickedByValidation = validatePickedBy(req.body?.pickedBy);
+    if (!pickedByValidation.valid) {
+      return res.status(400).json({ error: pickedByValidation.error });
+    }
+
+    const pickedBy = pickedByValidation.value || nicknameOf(req.session.jti);
+    const { lastPicked } = await finalizeVeto(req.spaceId, pickedBy, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publishVeto(req, updatedList);
+    publish(req.spaceId, 'pick', { listId: req.listId, lastPicked, pool: serializePool(updatedList), version: updatedList.version });
+    setVersion(res, updatedList.version);
+    res.json({ success: true, veto: serializeVeto(updatedList.veto, updatedList.items, req.session.jti), lastPicked });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Veto round not found') {
+      return res.status(404).json({ error: 'No veto round on this list' });
+    }
+    if (error.message === 'Veto round is finished') {
+      return res.status(409).json({ error: 'This veto round is finished' });
+    }
+    if (error.message === 'No items left') {
+      return res.status(400).json({ error: 'No items to pick from' });
+    }
+    console.error(`Error in POST ${req.baseUrl}/veto/finalize:`, error);
+    res.status(500).json({ error: 'Failed to finish veto round' });
+  }
+});
+
+// Remove the list's veto round, open or finished
+listRouter.delete('/veto', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    await cancelVeto(req.spaceId, req.listId, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    publishVeto(req, updatedList);
+    setVersion(res, updatedList.version);
+    res.json({ success: true, veto: null });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === 'Veto round not found') {
+      return res.status(404).json({ error: 'No veto round on this list' });
+    }
+    console.error(`Error in DELETE ${req.baseUrl}/veto:`, error);
+    res.status(500).json({ error: 'Failed to remove veto round' });
+  }
+});
+
+app.use('/api', listRouter);
+app.use('/api/lists/:listId', listRouter);
+
+// Get all lists in the space
+app.get('/api/lists', requireSession, async (req, res) => {
+  try {
+    const space = await getSpace(req.spaceId);
+    setVersion(res, space.version);
+    res.json(space.lists.map(serializeList));
+  } catch (error) {
+    console.error('Error in GET /api/lists:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a new named list
+app.post('/api/lists', requireSession, requireAdmin, checkIfMatch, async (req, res) => {
+  try {
+    const validation = validateListName(req.body?.name);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const space = await getSpace(req.spaceId);
+
+    if (space.lists.some(list => list.name === validation.value)) {
+      return res.status(409).json({ error: 'A list with that name already exists' });
+    }
+
+    if (space.lists.length >= 20) {
+      return res.status(400).json({ error: 'Maximum number of lists (20) reached' });
+    }
+
+    const list = await createList(req.spaceId, validation.value, { expectedVersion: req.expectedVersion });
+    const { version } = await publishLists(req.spaceId);
+    setVersion(res, version);
+    res.status(201).json({ success: true, list: serializeList(list) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error('Error in POST /api/lists:', error);
+    res.status(500).json({ error: 'Failed to create list' });
+  }
+});
+
+// Rename a list
+app.patch('/api/lists/:listId', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    const validation = validateListName(req.body?.name);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const space = await getSpace(req.spaceId);
+
+    if (space.lists.some(list => list.name === validation.value && list.id !== req.listId)) {
+      return res.status(409).json({ error: 'A list with that name already exists' });
+    }
+
+    await renameList(req.spaceId, req.listId, validation.value, { expectedVersion: req.expectedVersion });
+
+    const updatedList = await getList(req.spaceId, req.listId);
+    const { version } = await publishLists(req.spaceId);
+    setVersion(res, version);
+    res.json({ success: true, list: serializeList(updatedList) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error('Error in PATCH /api/lists/:listId:', error);
+    res.status(500).json({ error: 'Failed to rename list' });
+  }
+});
+
+// Delete a named list and its items
+app.delete('/api/lists/:listId', requireSession, requireAdmin, resolveList, checkIfMatch, async (req, res) => {
+  try {
+    if (req.listId === DEFAULT_LIST_ID) {
+      return res.status(400).json({ error: 'The default list cannot be deleted' });
+    }
+
+    await deleteList(req.spaceId, req.listId, { expectedVersion: req.expectedVersion });
+
+    const { lists, version } = await publishLists(req.spaceId);
+    setVersion(res, version);
+    res.json({ success: true, lists });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error('Error in DELETE /api/lists/:listId:', error);
+    res.status(500).json({ error: 'Failed to delete list' });
+  }
+});
+
+// Get the space's public ID, name and timestamps, the caller's role and
+// whether the space has a member password
+app.get('/api/space', requireSession, async (req, res) => {
+  try {
+    const space = await getSpace(req.spaceId);
+    const credentials = await getCredentials(req.spaceId);
+    setVersion(res, space.version);
+    res.json({
+      ...serializeSpace(req.spaceId, space),
+      role: req.role,
+      hasMemberPassword: Boolean(credentials?.memberPasswordHash)
+    });
+  } catch (error) {
+    console.error('Error in GET /api/space:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename the space, or remove its name with an empty one
+app.patch('/api/space', requireSession, requireAdmin, checkIfMatch, async (req, res) => {
+  try {
+    const validation = validateSpaceName(req.body?.name);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    await renameSpace(req.spaceId, validation.value, { expectedVersion: req.expectedVersion });
+
+    const space = await getSpace(req.spaceId);
+    publish(req.spaceId, 'space', { name: space.name, version: space.version });
+    setVersion(res, space.version);
+    res.json({ success: true, space: serializeSpace(req.spaceId, space) });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error('Error in PATCH /api/space:', error);
+    res.status(500).json({ error: 'Failed to rename space' });
+  }
+});
+
+// Remove every item from every list. Lists and pick history are kept.
+app.post('/api/space/clear', requireSession, requireAdmin, checkIfMatch, async (req, res) => {
+  try {
+    await clearSpace(req.spaceId, { expectedVersion: req.expectedVersion });
+
+    const space = await getSpace(req.spaceId);
+    for (const list of space.lists) {
+      publish(req.spaceId, 'items', { listId: list.id, items: [], pool: serializePool(list), removed: [], version: space.version });
+      publish(req.spaceId, 'bracket', { listId: list.id, bracket: null, version: space.version });
+      publish(req.spaceId, 'poll', { listId: list.id, poll: null, version: space.version });
+      publish(req.spaceId, 'veto', { listId: list.id, veto: null, version: space.version });
+      publish(req.spaceId, 'draw', { listId: list.id, lastDraw: null, version: space.version });
+    }
+    const { lists, version } = await publishLists(req.spaceId);
+    setVersion(res, version);
+    res.json({ success: true, lists });
+  } catch (error) {
+    if (error.message === 'Space has changed') {
+      return sendVersionConflict(req, res);
+    }
+    console.error('Error in POST /api/space/clear:', error);
+    res.status(500).json({ error: 'Failed to clear space' });
+  }
+});
+
+// Change the space's password. The space moves to a new public ID, so every
+// other session ends; the caller gets a new session in the response.
+app.put('/api/space/password', requireSession, requireAdmin, limitPasswordAttempts, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!newPassword || typeof newPassword !== 'string') {
+      return res.status(400).json({ error: 'New password required' });
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+
+    const spaceId = await changeSpacePassword(req.spaceId, currentPassword, newPassword);
+
+    closeSpace(req.spaceId, { reason: 'password-changed' }, req.session.jti);
+    res.json(sessionResponse({ spaceId, role: 'admin' }));
+  } catch (error) {
+    // 403 rather than 401: the session is fine, the confirmation isn't
+    if (error.message === 'Invalid password') {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    if (error.message === 'Password already in use') {
+      return res.status(409).json({ error: 'That password is already used by another space' });
+    }
+    console.error('Error in PUT /api/space/password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Set the member password, or remove it with an empty one. Members can add
+// items and pick but not remove items or change settings. Every member
+// session opened with the previous member password ends.
+app.put('/api/space/member-password', requireSession, requireAdmin, async (req, res) => {
+  try {
+    const { memberPassword } = req.body || {};
+
+    if (memberPassword !== null && typeof memberPassword !== 'string') {
+      return res.status(400).json({ error: 'Member password must be a string' });
+    }
+
+    await setSpaceMemberPassword(req.spaceId, memberPassword || null);
+
+    closeRole(req.spaceId, 'member', { reason: 'member-password-changed' });
+    res.json({ success: true, hasMemberPassword: Boolean(memberPassword) });
+  } catch (error) {
+    if (error.message === 'Password already in use') {
+      return res.status(409).json({ error: 'That password is already in use' });
+    }
+    console.error('Error in PUT /api/space/member-password:', error);
+    res.status(500).json({ error: 'Failed to set member password' });
+  }
+});
+
+// Delete the space, its lists and its pick history. The password is asked
+// for again to confirm.
+app.delete('/api/space', requireSession, requireAdmin, limitPasswordAttempts, async (req, res) => {
+  try {
+    if (!(await checkSpacePassword(req.spaceId, req.body?.password))) {
+      return res.status(403).json({ error: 'Password is incorrect' });
+    }
+
+    await deleteSpace(req.spaceId);
+
+    closeSpace(req.spaceId, { reason: 'deleted' }, req.session.jti);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in DELETE /api/space:', error);
+    res.status(500).json({ error: 'Failed to delete space' });
+  }
+});
+
+// Get the space's read-only share links
+app.get('/api/shares', requireSession, requireAdmin, async (req, res) => {
+  try {
+    res.json(await getShareLinks(req.spaceId));
+  } catch (error) {
+    console.error('Error in GET /api/shares:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a read-only share link. Its token is only returned here.
+app.post('/api/shares', requireSession, requireAdmin, async (req, res) => {
+  try {
+    const validation = validateShareLabel(req.body?.label);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const shares = await getShareLinks(req.spaceId);
+    if (shares.length >= 20) {
+      return res.status(400).json({ error: 'Maximum number of share links (20) reached' });
+    }
+
+    const { share, token } = await issueShareLink(req.spaceId, validation.value);
+    res.status(201).json({ success: true, share, token });
+  } catch (error) {
+    console.error('Error in POST /api/shares:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// Revoke a share link and close any streams opened with it
+app.delete('/api/shares/:shareId', requireSession, requireAdmin, async (req, res) => {
+  try {
+    if (!(await deleteShareLink(req.spaceId, req.params.shareId))) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    disconnectSession(req.params.shareId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in DELETE /api/shares/:shareId:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// Read-only view of a space through a share link: every list's items and
+// pool, the last pick and the most recent pick history. No session needed.
+app.get('/api/shared/:shareToken', resolveShare, async (req, res) => {
+  try {
+    const space = await getSpace(req.spaceId);
+    const { picks } = await getPicks(req.spaceId, { limit: 20 });
+
+    setVersion(res, space.version);
+    res.json({
+      space: { name: space.name },
+      lists: space.lists.map(list => ({
+        id: list.id,
+        name: list.name,
+        items: serializeItems(list),
+        pool: serializePool(list)
+      })),
+      lastPicked: space.lastPicked || null,
+      picks
+    });
+  } catch (error) {
+    console.error('Error in GET /api/shared/:shareToken:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stream changes to a shared space, like GET /api/events
+app.get('/api/shared/:shareToken/events', resolveShare, (req, res) => {
+  subscribe(req.spaceId, req, res);
+});
+
+// Download every list's items and the full pick history as CSV, JSON or text
+app.get('/api/export', requireSession, async (req, res) => {
+  try {
+    const format = req.query.format === undefined ? 'json' : req.query.format;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format: must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const space = await getSpace(req.spaceId);
+    const picks = await getAllPicks(req.spaceId);
+
+    const body = formatExport(format, {
+      spaceId: req.spaceId,
+      exportedAt: new Date().toISOString(),
+      lists: space.lists.map(list => ({
+        id: list.id,
+        name: list.name,
+        items: serializeItems(list)
+      })),
+      picks
+    });
+
+    // Sets Content-Disposition and the content type from the extension
+    res.attachment(`youpick-${req.spaceId}.${format}`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error in GET /api/export:', error);
+    res.status(500).json({ error: 'Failed to export space' });
+  }
+});
+
+// Stream changes to the space (items, picks, pools, brackets, polls, veto rounds and lists) as Server-Sent Events
+app.get('/api/events', requireSession, (req, res) => {
+  subscribe(req.spaceId, req, res);
+
+  // Everyone sees this session arrive, and leave once its last stream closes
+  publishPresence(req.spaceId);
+  res.on('close', () => publishPresence(req.spaceId));
+});
+
+// Who is in the space right now, and which of them is you
+app.get('/api/presence', requireSession, (req, res) => {
+  res.json({ participants: listPresence(req.spaceId), you: publicSessionId(req.session.jti) });
+});
+
+// Get the last picked item
+app.get('/api/picked', requireSession, async (req, res) => {
+  try {
+    const space = await getSpace(req.spaceId);
+    res.json(space.lastPicked || null);
+  } catch (error) {
+    console.error('Error in GET /api/picked:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the pick history, newest first, with optional date range and list filter
+app.get('/api/picks', requireSession, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid limit: must be an integer from 1 to 100' });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid offset: must be a non-negative integer' });
+    }
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (!from.valid || !to.valid) {
+      return res.status(400).json({ error: 'Invalid date: from and to must be ISO 8601 dates' });
+    }
+
+    const listId = req.query.listId;
+    if (listId !== undefined && (typeof listId !== 'string' || listId === '')) {
+      return res.status(400).json({ error: 'Invalid listId' });
+    }
+
+    const { picks, total } = await getPicks(req.spaceId, {
+      limit,
+      offset,
+      from: from.value,
+      to: to.value,
+      listId: listId || null
+    });
+
+    res.json({ picks, total, limit, offset });
+  } catch (error) {
+    console.error('Error in GET /api/picks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+
+  // Don't leak error details in production
+  if (process.env.NODE_ENV === 'production') {
+    res.status(500).json({ error: 'Internal server error' });
+  } else {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: err.message,
+      stack: err.stack
+    });
+  }
 });
 
-process.on('SIGTERM', async () => {
-  console.log('\nReceived SIGTERM, shutting down gracefully...');
-  await closeDatabase();
-  process.exit(0);
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ error: 'Endpoint not found' });
 });
 
 // Start server
 async function startServer() {
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\nReceived SIGINT, shutting down gracefully...');
+    await closeStorage();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.log('\nReceived SIGTERM, shutting down gracefully...');
+    await closeStorage();
+    process.exit(0);
+  });
+
   try {
-    // Test database connection (but don't initialize schema)
-    console.log('Testing database connection...');
-    const isConnected = await testConnection();
+    // Test the storage backend (but don't initialize schema)
+    console.log(`Connecting to storage: ${storageName()}...`);
+    const isConnected = await connectStorage();
 
     if (!isConnected) {
-      console.error('Failed to connect to database. Please check your DATABASE_URL and ca.pem certificate.');
+      console.error('Failed to connect to storage. For PostgreSQL, check your DATABASE_URL and ca.pem certificate.');
       process.exit(1);
     }
 
     app.listen(PORT, () => {
       console.log('\n========================================');
       console.log('🚀 Server running on http://localhost:' + PORT);
-      console.log('💾 Storage: PostgreSQL Database');
+      console.log('💾 Storage: ' + storageName());
       console.log('🛡️  Security Features: CORS, Helmet, Rate Limiting');
+      console.log('⏱️  Rate limit store: ' + limitStoreName());
+      console.log('🧹 Retention: ' + describeRetention());
       console.log('========================================\n');
 
-      console.log('📝 API Endpoints (All require X-Password header):');
+      console.log('📝 API Endpoints (All except /api/spaces, /api/session and /api/shared require a session token):');
+      console.log('  POST   /api/spaces        - Create a space and open a session on it');
+      console.log('  POST   /api/session       - Exchange password for a session token');
+      console.log('  DELETE /api/session       - Revoke the session token');
       console.log('  GET    /api/items         - Get all items');
       console.log('  POST   /api/items         - Add a new item');
-      console.log('  DELETE /api/items/:index  - Delete an item');
+      console.log('  POST   /api/items/bulk    - Import items from text, CSV or JSON');
+      console.log('  GET    /api/items/removed - Recently removed items');
+      console.log('  DELETE /api/items/:id     - Delete an item');
+      console.log('  PATCH  /api/items/:id     - Rename an item or update its weight');
+      console.log('  PUT    /api/items/order   - Reorder items');
       console.log('  GET    /api/picked        - Get last picked item');
-      console.log('  POST   /api/picked        - Save picked item');
+      console.log('  POST   /api/pick          - Pick a random item');
+      console.log('  GET    /api/draw          - Get the latest multi-item draw');
+      console.log('  POST   /api/draw          - Draw several items, shuffle or split into teams');
+      console.log('  GET    /api/space         - Get space ID, name and timestamps');
+      console.log('  PATCH  /api/space         - Rename the space');
+      console.log('  POST   /api/space/clear   - Remove every item from every list');
+      console.log('  PUT    /api/space/password - Change the space password');
+      console.log('  PUT    /api/space/member-password - Set or remove the member password');
+      console.log('  DELETE /api/space         - Delete the space and its history');
+      console.log('  GET    /api/picks         - Get pick history');
+      console.log('  GET    /api/export        - Download items and pick history');
+      console.log('  GET    /api/shares        - Get read-only share links');
+      console.log('  POST   /api/shares        - Create a share link');
+      console.log('  DELETE /api/shares/:id    - Revoke a share link');
+      console.log('  GET    /api/shared/:token - Read-only view of a space (no session)');
+      console.log('  GET    /api/events        - Stream live changes (SSE)');
+      console.log('  GET    /api/presence      - Who is in the space right now');
+      console.log('  PUT    /api/session/nickname - Set your nickname');
+      console.log('  GET    /api/lists         - Get all lists');
+      console.log('  POST   /api/lists         - Create a list');
+      console.log('  PATCH  /api/lists/:id     - Rename a list');
+      console.log('  DELETE /api/lists/:id     - Delete a list');
+      console.log('  *      /api/lists/:id/... - Item, pick, draw, pool, bracket, poll and veto routes for a list');
+      console.log('  GET    /api/pool          - Get no-repeat pool');
+      console.log('  PUT    /api/pool          - Toggle no-repeat mode');
+      console.log('  POST   /api/pool/reset    - Refill no-repeat pool');
+      console.log('  GET    /api/bracket       - Get the list\'s elimination bracket');
+      console.log('  POST   /api/bracket       - Start a bracket');
+      console.log('  POST   /api/bracket/votes - Vote on a match');
+      console.log('  POST   /api/bracket/advance - Close the current round');
+      console.log('  DELETE /api/bracket       - Remove the bracket');
+      console.log('  GET    /api/poll          - Get the list\'s poll and its results');
+      console.log('  POST   /api/poll          - Open a poll');
+      console.log('  POST   /api/poll/ballots  - Cast a ballot');
+      console.log('  POST   /api/poll/close    - Close the poll');
+      console.log('  DELETE /api/poll          - Remove the poll');
+      console.log('  GET    /api/veto          - Get the list\'s veto round');
+      console.log('  POST   /api/veto          - Start a veto round');
+      console.log('  POST   /api/veto/strikes  - Veto an item');
+      console.log('  DELETE /api/veto/strikes/:itemId - Take back a veto');
+      console.log('  POST   /api/veto/finalize - Pick from the items left');
+      console.log('  DELETE /api/veto          - Remove the veto round');
       console.log('  GET    /health            - Health check (no auth)\n');
+
+      // Clients still open on a space the retention job removed are told it's gone
+      startRetentionJob(spaceIds => {
+        for (const spaceId of spaceIds) {
+          closeSpace(spaceId, { reason: 'deleted' });
+        }
+      });
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -337,4 +2253,9 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Only listen when run directly (`node server.js`); tests import the app
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer();
+}
+
+export { app, startServer };
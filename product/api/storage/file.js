@@ -0,0 +1,81 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { emptyState, createMemoryStorage } from './memory.js';
+
+/**
+ * JSON file storage backend.
+ *
+ * The whole store is kept in memory and written to DATA_FILE (default:
+ * data.json in the api directory) after every change. Writes go to a
+ * temporary file that is then renamed over DATA_FILE, so a crash mid-write
+ * never leaves a truncated file. Only one server process may use a file.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, '..', 'data.json');
+
+// Files written by the old file-based server keep each space's fields at the
+// top level of its entry; move them under `data` so they can be claimed like
+// any other legacy space. Spaces saved before versions existed start at 1.
+function normalizeSpaces(spaces) {
+  const normalized = {};
+  for (const [spaceId, entry] of Object.entries(spaces || {})) {
+    if (entry.data) {
+      normalized[spaceId] = { version: 1, ...entry };
+      continue;
+    }
+
+    const { created, lastModified, ...data } = entry;
+    const now = new Date().toISOString();
+    normalized[spaceId] = {
+      data,
+      version: 1,
+      lookupKey: null,
+      passwordHash: null,
+      created: created || now,
+      lastModified: lastModified || created || now
+    };
+  }
+  return normalized;
+}
+
+// Read the store from disk, starting empty if the file doesn't exist yet
+async function loadState() {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(DATA_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return emptyState();
+    }
+    throw error;
+  }
+
+  return {
+    spaces: normalizeSpaces(parsed.spaces),
+    picks: parsed.picks || [],
+    revokedSessions: parsed.revokedSessions || {},
+    shareLinks: parsed.shareLinks || {},
+    archivedSpaces: parsed.archivedSpaces || {}
+  };
+}
+
+// Write the store to disk
+async function saveState(state) {
+  const tempFile = `${DATA_FILE}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+  await fs.rename(tempFile, DATA_FILE);
+}
+
+async function createStorage() {
+  const storage = createMemoryStorage(await loadState(), saveState);
+  return {
+    ...storage,
+    name: `JSON File (${DATA_FILE})`
+  };
+}
+
+export { createStorage };
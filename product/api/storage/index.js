@@ -0,0 +1,90 @@
+import dotenv from 'dotenv';
+
+/**
+ * Storage backend selection.
+ *
+ * STORAGE_BACKEND picks where spaces are kept: `postgres` (default), `file`
+ * (a JSON file, see DATA_FILE) or `memory` (lost on restart). Backends are
+ * loaded on demand, so running on `file` or `memory` needs no DATABASE_URL
+ * or CA certificate.
+ *
+ * Every backend implements the same low-level interface; datastore.js builds
+ * the space and list operations on top of it:
+ *
+ *   name                                    Human-readable description
+ *   connect()                               Check the backend is reachable; resolves to a boolean
+ *   close()                                 Release connections and finish pending writes
+ *   findSpaceByLookupKey(lookupKey)         { spaceId, passwordHash, role } or null, where
+ *                                           `role` says whether the key is the space's
+ *                                           admin ('admin') or member ('member') password
+ *   getCredentials(spaceId)                 { passwordHash, memberPasswordHash } or null
+ *   claimLegacySpace(legacyId, spaceId, lookupKey, passwordHash)
+ *                                           Move an unclaimed legacy space (and its
+ *                                           history) to a new ID; the new ID or null
+ *   createSpace(spaceId, lookupKey, passwordHash, data)
+ *                                           The new ID, or null if the lookup key is taken
+ *   moveSpace(spaceId, newSpaceId, lookupKey, passwordHash)
+ *                                           Move a space (and its history) to a new ID
+ *                                           with new credentials; the new ID, or null if
+ *                                           another space has the lookup key
+ *   deleteSpace(spaceId)                    Delete a space and its history; a boolean
+ *                                           telling whether it existed
+ *   setMemberPassword(spaceId, lookupKey, passwordHash)
+ *                                           Set (or with nulls, remove) the member password;
+ *                                           false if any space already uses the lookup key
+ *   readSpace(spaceId)                      { data, version, created, lastModified } or null
+ *   mutateSpace(spaceId, mutate)            Run `mutate(data, { recordPick, version })`
+ *                                           atomically against the space's data
+ *                                           ('Space not found' is thrown if there is
+ *                                           no such space). Changes made
+ *                                           in place are saved together with any picks
+ *                                           passed to `recordPick`, and the version goes
+ *                                           up by one, unless `mutate` returns null or
+ *                                           throws. Resolves to `mutate`'s return value.
+ *   getPicks(spaceId, { limit, offset, from, to, listId })
+ *                                           { picks, total }, newest first
+ *   revokeSession(sessionId, expiresAt)     Reject a session token until it expires
+ *   isSessionRevoked(sessionId)             Boolean
+ *   createShareLink(spaceId, shareId, tokenHash, label)
+ *                                           Store a read-only share link; { id, label, created }
+ *   findShareLink(tokenHash)                { id, spaceId, label, created } or null
+ *   listShareLinks(spaceId)                 [{ id, label, created }], oldest first
+ *   deleteShareLink(spaceId, shareId)       Boolean telling whether the link existed
+ *   listSpaces()                            [{ spaceId, data, version, created, lastModified }]
+ *   listStaleSpaces(before)                 [{ spaceId, name, lastModified }] of the spaces last
+ *                                           changed before the `before` Date, oldest first
+ *   removeStaleSpace(spaceId, before, { archive })
+ *                                           Delete a space (and its history) unless it has
+ *                                           changed since `before`; with `archive`, keep its
+ *                                           data and history as an archived space first.
+ *                                           A boolean telling whether it was removed
+ *   listPickOverflow(keep)                  [{ spaceId, excess }] of the spaces with more than
+ *                                           `keep` picks, and by how many
+ *   trimPicks(spaceId, keep)                Delete all but the newest `keep` picks of a space;
+ *                                           the number deleted
+ *
+ * A space's version starts at 1 and counts its saved changes, so clients can
+ * tell whether their copy is current (see ETag and If-Match in server.js).
+ */
+
+dotenv.config();
+
+const BACKENDS = {
+  postgres: () => import('./postgres.js'),
+  file: () => import('./file.js'),
+  memory: () => import('./memory.js')
+};
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'postgres';
+
+if (!BACKENDS[STORAGE_BACKEND]) {
+  console.error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}"`);
+  console.error(`Please set STORAGE_BACKEND to one of: ${Object.keys(BACKENDS).join(', ')}`);
+  process.exit(1);
+}
+
+const { createStorage } = await BACKENDS[STORAGE_BACKEND]();
+const storage = await createStorage();
+
+export { STORAGE_BACKEND };
+export default storage;
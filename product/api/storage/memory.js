@@ -0,0 +1,429 @@
+/**
+ * In-memory storage backend.
+ *
+ * Everything lives in one plain state object and is lost on restart, which
+ * suits local development and tests. The file backend reuses this module and
+ * saves the state to disk after every change.
+ *
+ * State shape:
+ *   spaces: { [spaceId]: { data, version, lookupKey, passwordHash, memberLookupKey,
+ *                          memberPasswordHash, created, lastModified } }
+ *   picks: [{ spaceId, listId, itemId, item, index, pickedBy, draw, timestamp }] (oldest first)
+ *   revokedSessions: { [sessionId]: expiresAt }
+ *   shareLinks: { [shareId]: { spaceId, tokenHash, label, created } }
+ *   archivedSpaces: { [spaceId]: { data, picks, created, lastModified, archived } }
+ */
+
+// State of a store with no spaces
+function emptyState() {
+  return {
+    spaces: {},
+    picks: [],
+    revokedSessions: {},
+    shareLinks: {},
+    archivedSpaces: {}
+  };
+}
+
+// Shape a state entry into a stored space. Copies are handed out so callers
+// can't change the state behind the store's back.
+function toStoredSpace(entry) {
+  return {
+    data: structuredClone(entry.data),
+    version: entry.version,
+    created: entry.created,
+    lastModified: entry.lastModified
+  };
+}
+
+// Create a storage adapter over `state`. `persist` is called with the state
+// after every change; writes are queued so they land in the order they were made.
+function createMemoryStorage(state = emptyState(), persist = null) {
+  let pendingWrite = Promise.resolve();
+
+  function save() {
+    if (!persist) {
+      return Promise.resolve();
+    }
+    const write = pendingWrite.then(() => persist(state));
+    pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  async function findSpaceByLookupKey(lookupKey) {
+    for (const [spaceId, entry] of Object.entries(state.spaces)) {
+      if (entry.lookupKey === lookupKey) {
+        return { spaceId, passwordHash: entry.passwordHash, role: 'admin' };
+      }
+      if (entry.memberLookupKey === lookupKey) {
+        return { spaceId, passwordHash: entry.memberPasswordHash, role: 'member' };
+      }
+    }
+    return null;
+  }
+
+  async function getCredentials(spaceId) {
+    const entry = state.spaces[spaceId];
+    if (!entry) {
+      return null;
+    }
+    return {
+      passwordHash: entry.passwordHash,
+      memberPasswordHash: entry.memberPasswordHash || null
+    };
+  }
+
+  async function claimLegacySpace(legacyId, spaceId, lookupKey, passwordHash) {
+    const entry = state.spaces[legacyId];
+    if (!entry || entry.passwordHash) {
+      return null;
+    }
+
+    delete state.spaces[legacyId];
+    state.spaces[spaceId] = { ...entry, lookupKey, passwordHash };
+
+    // Pick history follows the space to its new ID
+    for (const pick of state.picks) {
+      if (pick.spaceId === legacyId) {
+        pick.spaceId = spaceId;
+      }
+    }
+
+    await save();
+    return spaceId;
+  }
+
+  async function createSpace(spaceId, lookupKey, passwordHash, data) {
+    if (await findSpaceByLookupKey(lookupKey)) {
+      return null;
+    }
+    if (state.spaces[spaceId]) {
+      throw new Error('Space ID already in use');
+    }
+
+    const now = new Date().toISOString();
+    state.spaces[spaceId] = {
+      data: structuredClone(data),
+      version: 1,
+      lookupKey,
+      passwordHash,
+      created: now,
+      lastModified: now
+    };
+
+    await save();
+    return spaceId;
+  }
+
+  async function moveSpace(spaceId, newSpaceId, lookupKey, passwordHash) {
+    const entry = state.spaces[spaceId];
+    if (!entry) {
+      throw new Error('Space not found');
+    }
+    const owner = await findSpaceByLookupKey(lookupKey);
+    if (owner && owner.spaceId !== spaceId) {
+      return null;
+    }
+    if (state.spaces[newSpaceId]) {
+      throw new Error('Space ID already in use');
+    }
+
+    delete state.spaces[spaceId];
+    state.spaces[newSpaceId] = { ...entry, lookupKey, passwordHash };
+
+    // Pick history and share links follow the space to its new ID
+    for (const pick of state.picks) {
+      if (pick.spaceId === spaceId) {
+        pick.spaceId = newSpaceId;
+      }
+    }
+    for (const link of Object.values(state.shareLinks)) {
+      if (link.spaceId === spaceId) {
+        link.spaceId = newSpaceId;
+      }
+    }
+
+    await save();
+    return newSpaceId;
+  }
+
+  async function setMemberPassword(spaceId, lookupKey, passwordHash) {
+    const entry = state.spaces[spaceId];
+    if (!entry) {
+      throw new Error('Space not found');
+    }
+    // Setting the space's current member password again is fine
+    const owner = lookupKey && (await findSpaceByLookupKey(lookupKey));
+    if (owner && !(owner.spaceId === spaceId && owner.role === 'member')) {
+      return false;
+    }
+
+    entry.memberLookupKey = lookupKey;
+    entry.memberPasswordHash = passwordHash;
+
+    await save();
+    return true;
+  }
+
+  // Drop a space with its picks and share links, without saving
+  function dropSpace(spaceId) {
+    delete state.spaces[spaceId];
+    state.picks = state.picks.filter(pick => pick.spaceId !== spaceId);
+    for (const [shareId, link] of Object.entries(state.shareLinks)) {
+      if (link.spaceId === spaceId) {
+        delete state.shareLinks[shareId];
+      }
+    }
+  }
+
+  // A space's picks, newest first like getPicks returns them
+  function picksOf(spaceId) {
+    return state.picks
+      .filter(pick => pick.spaceId === spaceId)
+      .reverse()
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async function deleteSpace(spaceId) {
+    if (!state.spaces[spaceId]) {
+      return false;
+    }
+
+    dropSpace(spaceId);
+
+    await save();
+    return true;
+  }
+
+  async function readSpace(spaceId) {
+    const entry = state.spaces[spaceId];
+    return entry ? toStoredSpace(entry) : null;
+  }
+
+  // `mutate` works on a copy that only replaces the stored data once it
+  // succeeds, so a throw or a null outcome leaves the space untouched
+  async function mutateSpace(spaceId, mutate) {
+    const entry = state.spaces[spaceId];
+    if (!entry) {
+      throw new Error('Space not found');
+    }
+
+    const data = structuredClone(entry.data);
+    const version = entry.version;
+    const picks = [];
+    const outcome = mutate(data, { recordPick: pick => picks.push(pick), version });
+
+    if (outcome === null) {
+      return null;
+    }
+
+    state.spaces[spaceId] = { ...entry, data, version: version + 1, lastModified: new Date().toISOString() };
+
+    for (const pick of picks) {
+      state.picks.push({
+        spaceId,
+        listId: pick.listId,
+        itemId: pick.itemId || null,
+        item: pick.item,
+        index: pick.index,
+        pickedBy: pick.pickedBy || null,
+        draw: pick.draw || null,
+        timestamp: pick.timestamp
+      });
+    }
+
+    await save();
+    return outcome;
+  }
+
+  async function getPicks(spaceId, { limit, offset, from, to, listId }) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matching = state.picks
+      .filter(pick => {
+        const time = new Date(pick.timestamp).getTime();
+        return pick.spaceId === spaceId &&
+          (!listId || pick.listId === listId) &&
+          (fromTime === null || time >= fromTime) &&
+          (toTime === null || time <= toTime);
+      })
+      .reverse() // Newest first; picks are appended in order
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return {
+      picks: matching.slice(offset, offset + limit).map(pick => ({
+        listId: pick.listId,
+        itemId: pick.itemId || null,
+        item: pick.item,
+        index: pick.index,
+        pickedBy: pick.pickedBy,
+        draw: structuredClone(pick.draw),
+        timestamp: pick.timestamp
+      })),
+      total: matching.length
+    };
+  }
+
+  // Expired revocations are pruned at the same time since their tokens are
+  // rejected anyway
+  async function revokeSession(sessionId, expiresAt) {
+    const now = Date.now();
+    for (const [id, expiry] of Object.entries(state.revokedSessions)) {
+      if (new Date(expiry).getTime() < now) {
+        delete state.revokedSessions[id];
+      }
+    }
+
+    if (!state.revokedSessions[sessionId]) {
+      state.revokedSessions[sessionId] = expiresAt;
+    }
+
+    await save();
+  }
+
+  async function isSessionRevoked(sessionId) {
+    return sessionId in state.revokedSessions;
+  }
+
+  async function createShareLink(spaceId, shareId, tokenHash, label) {
+    const created = new Date().toISOString();
+    state.shareLinks[shareId] = { spaceId, tokenHash, label, created };
+
+    await save();
+    return { id: shareId, label, created };
+  }
+
+  async function findShareLink(tokenHash) {
+    for (const [shareId, link] of Object.entries(state.shareLinks)) {
+      if (link.tokenHash === tokenHash) {
+        return { id: shareId, spaceId: link.spaceId, label: link.label, created: link.created };
+      }
+    }
+    return null;
+  }
+
+  async function listShareLinks(spaceId) {
+    return Object.entries(state.shareLinks)
+      .filter(([, link]) => link.spaceId === spaceId)
+      .map(([shareId, link]) => ({ id: shareId, label: link.label, created: link.created }))
+      .sort((a, b) => new Date(a.created) - new Date(b.created));
+  }
+
+  async function deleteShareLink(spaceId, shareId) {
+    const link = state.shareLinks[shareId];
+    if (!link || link.spaceId !== spaceId) {
+      return false;
+    }
+
+    delete state.shareLinks[shareId];
+    await save();
+    return true;
+  }
+
+  async function listSpaces() {
+    return Object.entries(state.spaces)
+      .map(([spaceId, entry]) => ({ spaceId, ...toStoredSpace(entry) }))
+      .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+  }
+
+  async function listStaleSpaces(before) {
+    return Object.entries(state.spaces)
+      .filter(([, entry]) => new Date(entry.lastModified) < before)
+      .map(([spaceId, entry]) => ({
+        spaceId,
+        name: entry.data.spaceName || null,
+        lastModified: entry.lastModified
+      }))
+      .sort((a, b) => new Date(a.lastModified) - new Date(b.lastModified));
+  }
+
+  // Archived spaces keep their data and pick history (oldest first) but not
+  // their credentials or share links
+  async function removeStaleSpace(spaceId, before, { archive }) {
+    const entry = state.spaces[spaceId];
+    if (!entry || new Date(entry.lastModified) >= before) {
+      return false;
+    }
+
+    if (archive) {
+      state.archivedSpaces[spaceId] = {
+        data: structuredClone(entry.data),
+        picks: picksOf(spaceId).reverse().map(pick => ({
+          listId: pick.listId,
+          itemId: pick.itemId || null,
+          item: pick.item,
+          index: pick.index,
+          pickedBy: pick.pickedBy,
+          draw: structuredClone(pick.draw),
+          timestamp: pick.timestamp
+        })),
+        created: entry.created,
+        lastModified: entry.lastModified,
+        archived: new Date().toISOString()
+      };
+    }
+    dropSpace(spaceId);
+
+    await save();
+    return true;
+  }
+
+  async function listPickOverflow(keep) {
+    const counts = new Map();
+    for (const pick of state.picks) {
+      counts.set(pick.spaceId, (counts.get(pick.spaceId) || 0) + 1);
+    }
+    return [...counts]
+      .filter(([, count]) => count > keep)
+      .map(([spaceId, count]) => ({ spaceId, excess: count - keep }))
+      .sort((a, b) => a.spaceId.localeCompare(b.spaceId));
+  }
+
+  async function trimPicks(spaceId, keep) {
+    const removed = new Set(picksOf(spaceId).slice(keep));
+    if (removed.size === 0) {
+      return 0;
+    }
+
+    state.picks = state.picks.filter(pick => !removed.has(pick));
+
+    await save();
+    return removed.size;
+  }
+
+  return {
+    name: 'In-Memory (not persisted)',
+    connect: async () => true,
+    close: async () => {
+      await pendingWrite;
+    },
+    findSpaceByLookupKey,
+    getCredentials,
+    claimLegacySpace,
+    createSpace,
+    moveSpace,
+    setMemberPassword,
+    deleteSpace,
+    readSpace,
+    mutateSpace,
+    getPicks,
+    revokeSession,
+    isSessionRevoked,
+    createShareLink,
+    findShareLink,
+    listShareLinks,
+    deleteShareLink,
+    listSpaces,
+    listStaleSpaces,
+    removeStaleSpace,
+    listPickOverflow,
+    trimPicks
+  };
+}
+
+async function createStorage() {
+  return createMemoryStorage();
+}
+
+export { emptyState, createMemoryStorage, createStorage };
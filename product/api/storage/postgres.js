@@ -0,0 +1,491 @@
+import { query, getClient, testConnection, closeDatabase } from '../db.js';
+
+/**
+ * PostgreSQL storage backend.
+ *
+ * Spaces are rows of `youpick.spaces` with their data in a JSONB column; pick
+ * history, revoked sessions and archived spaces have tables of their own
+ * (see docs/schema.sql).
+ * Importing this module requires DATABASE_URL and ca.pem (see db.js).
+ */
+
+const SCHEMA_NAME = 'youpick';
+
+// Shape a database row into a stored space
+function toStoredSpace(row) {
+  return {
+    data: row.data,
+    version: row.version,
+    created: row.created_at,
+    lastModified: row.last_modified
+  };
+}
+
+// A lookup key is unique across both columns, so at most one row matches
+async function findSpaceByLookupKey(lookupKey) {
+  const result = await query(
+    `SELECT space_id, lookup_key = $1 AS is_admin, password_hash, member_password_hash
+     FROM ${SCHEMA_NAME}.spaces
+     WHERE lookup_key = $1 OR member_lookup_key = $1
+     LIMIT 1`,
+    [lookupKey]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    spaceId: row.space_id,
+    passwordHash: row.is_admin ? row.password_hash : row.member_password_hash,
+    role: row.is_admin ? 'admin' : 'member'
+  };
+}
+
+async function getCredentials(spaceId) {
+  const result = await query(
+    `SELECT password_hash, member_password_hash FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1`,
+    [spaceId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    passwordHash: result.rows[0].password_hash,
+    memberPasswordHash: result.rows[0].member_password_hash
+  };
+}
+
+// Pick history follows the space to its new ID via ON UPDATE CASCADE
+async function claimLegacySpace(legacyId, spaceId, lookupKey, passwordHash) {
+  const result = await query(
+    `UPDATE ${SCHEMA_NAME}.spaces
+     SET space_id = $2, lookup_key = $3, password_hash = $4
+     WHERE space_id = $1 AND password_hash IS NULL
+     RETURNING space_id`,
+    [legacyId, spaceId, lookupKey, passwordHash]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].space_id : null;
+}
+
+// The password may not be another space's member password either
+async function createSpace(spaceId, lookupKey, passwordHash, data) {
+  const result = await query(
+    `INSERT INTO ${SCHEMA_NAME}.spaces (space_id, lookup_key, password_hash, data)
+     SELECT $1, $2, $3, $4
+     WHERE NOT EXISTS (SELECT 1 FROM ${SCHEMA_NAME}.spaces WHERE member_lookup_key = $2)
+     ON CONFLICT (lookup_key) DO NOTHING
+     RETURNING space_id`,
+    [spaceId, lookupKey, passwordHash, JSON.stringify(data)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].space_id : null;
+}
+
+// Pick history and share links follow the space to its new ID via ON UPDATE CASCADE
+async function moveSpace(spaceId, newSpaceId, lookupKey, passwordHash) {
+  try {
+    const result = await query(
+      `UPDATE ${SCHEMA_NAME}.spaces
+       SET space_id = $2, lookup_key = $3, password_hash = $4
+       WHERE space_id = $1
+       RETURNING space_id`,
+      [spaceId, newSpaceId, lookupKey, passwordHash]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Space not found');
+    }
+    return result.rows[0].space_id;
+  } catch (error) {
+    // Another space already has the new lookup key
+    if (error.code === '23505' && error.constraint === 'spaces_lookup_key_key') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function setMemberPassword(spaceId, lookupKey, passwordHash) {
+  try {
+    const result = await query(
+      `UPDATE ${SCHEMA_NAME}.spaces
+       SET member_lookup_key = $2, member_password_hash = $3
+       WHERE space_id = $1
+         AND ($2::text IS NULL OR NOT EXISTS (
+           SELECT 1 FROM ${SCHEMA_NAME}.spaces WHERE lookup_key = $2
+         ))
+       RETURNING space_id`,
+      [spaceId, lookupKey, passwordHash]
+    );
+
+    return result.rows.length > 0;
+  } catch (error) {
+    // Another space already has the lookup key as its member password
+    if (error.code === '23505' && error.constraint === 'spaces_member_lookup_key_key') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Pick history and share links are removed with the space via ON DELETE CASCADE
+async function deleteSpace(spaceId) {
+  const result = await query(
+    `DELETE FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1`,
+    [spaceId]
+  );
+
+  return result.rowCount > 0;
+}
+
+async function readSpace(spaceId) {
+  const result = await query(
+    `SELECT data, version, created_at, last_modified FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1`,
+    [spaceId]
+  );
+
+  return result.rows.length > 0 ? toStoredSpace(result.rows[0]) : null;
+}
+
+// The row is locked for the duration of the transaction so concurrent writers
+// to the same space are serialized
+async function mutateSpace(spaceId, mutate) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Get current space data
+    const result = await client.query(
+      `SELECT data, version FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1 FOR UPDATE`,
+      [spaceId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Space not found');
+    }
+
+    const { data, version } = result.rows[0];
+
+    const picks = [];
+    const outcome = mutate(data, { recordPick: pick => picks.push(pick), version });
+
+    if (outcome === null) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // Update the space
+    await client.query(
+      `UPDATE ${SCHEMA_NAME}.spaces SET data = $2, version = version + 1 WHERE space_id = $1`,
+      [spaceId, JSON.stringify(data)]
+    );
+
+    for (const pick of picks) {
+      await client.query(
+        `INSERT INTO ${SCHEMA_NAME}.picks
+           (space_id, list_id, item_id, item, item_index, picked_by, draw, picked_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          spaceId,
+          pick.listId,
+          pick.itemId || null,
+          pick.item,
+          pick.index,
+          pick.pickedBy || null,
+          pick.draw ? JSON.stringify(pick.draw) : null,
+          pick.timestamp
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+    return outcome;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getPicks(spaceId, { limit, offset, from, to, listId }) {
+  const conditions = ['space_id = $1'];
+  const params = [spaceId];
+
+  if (listId) {
+    params.push(listId);
+    conditions.push(`list_id = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`picked_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`picked_at <= $${params.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await query(
+    `SELECT COUNT(*)::int AS total FROM ${SCHEMA_NAME}.picks WHERE ${where}`,
+    params
+  );
+
+  const result = await query(
+    `SELECT list_id, item_id, item, item_index, picked_by, draw, picked_at
+     FROM ${SCHEMA_NAME}.picks
+     WHERE ${where}
+     ORDER BY picked_at DESC, pick_id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    picks: result.rows.map(row => ({
+      listId: row.list_id,
+      itemId: row.item_id,
+      item: row.item,
+      index: row.item_index,
+      pickedBy: row.picked_by,
+      draw: row.draw,
+      timestamp: row.picked_at
+    })),
+    total: countResult.rows[0].total
+  };
+}
+
+// Expired revocations are pruned at the same time since their tokens are
+// rejected anyway
+async function revokeSession(sessionId, expiresAt) {
+  await query(
+    `INSERT INTO ${SCHEMA_NAME}.revoked_sessions (session_id, expires_at)
+     VALUES ($1, $2)
+     ON CONFLICT (session_id) DO NOTHING`,
+    [sessionId, expiresAt]
+  );
+
+  await query(
+    `DELETE FROM ${SCHEMA_NAME}.revoked_sessions WHERE expires_at < NOW()`
+  );
+}
+
+async function isSessionRevoked(sessionId) {
+  const result = await query(
+    `SELECT 1 FROM ${SCHEMA_NAME}.revoked_sessions WHERE session_id = $1`,
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+// Shape a share link row for callers
+function toShareLink(row) {
+  return {
+    id: row.share_id,
+    label: row.label,
+    created: row.created_at
+  };
+}
+
+async function createShareLink(spaceId, shareId, tokenHash, label) {
+  const result = await query(
+    `INSERT INTO ${SCHEMA_NAME}.share_links (share_id, space_id, token_hash, label)
+     VALUES ($1, $2, $3, $4)
+     RETURNING share_id, label, created_at`,
+    [shareId, spaceId, tokenHash, label]
+  );
+
+  return toShareLink(result.rows[0]);
+}
+
+async function findShareLink(tokenHash) {
+  const result = await query(
+    `SELECT share_id, space_id, label, created_at FROM ${SCHEMA_NAME}.share_links WHERE token_hash = $1`,
+    [tokenHash]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    ...toShareLink(result.rows[0]),
+    spaceId: result.rows[0].space_id
+  };
+}
+
+async function listShareLinks(spaceId) {
+  const result = await query(
+    `SELECT share_id, label, created_at
+     FROM ${SCHEMA_NAME}.share_links
+     WHERE space_id = $1
+     ORDER BY created_at`,
+    [spaceId]
+  );
+
+  return result.rows.map(toShareLink);
+}
+
+async function deleteShareLink(spaceId, shareId) {
+  const result = await query(
+    `DELETE FROM ${SCHEMA_NAME}.share_links WHERE space_id = $1 AND share_id = $2`,
+    [spaceId, shareId]
+  );
+
+  return result.rowCount > 0;
+}
+
+async function listSpaces() {
+  const result = await query(
+    `SELECT space_id, data, version, created_at, last_modified
+     FROM ${SCHEMA_NAME}.spaces
+     ORDER BY last_modified DESC`
+  );
+
+  return result.rows.map(row => ({
+    spaceId: row.space_id,
+    ...toStoredSpace(row)
+  }));
+}
+
+// Spaces whose last change is older than `before`, oldest first
+async function listStaleSpaces(before) {
+  const result = await query(
+    `SELECT space_id, data->>'spaceName' AS name, last_modified
+     FROM ${SCHEMA_NAME}.spaces
+     WHERE last_modified < $1
+     ORDER BY last_modified`,
+    [before]
+  );
+
+  return result.rows.map(row => ({
+    spaceId: row.space_id,
+    name: row.name,
+    lastModified: row.last_modified
+  }));
+}
+
+// Delete the space unless it has changed since `before`. When archiving, its
+// data and pick history are first copied to `archived_spaces` in the same
+// transaction; credentials and share links are not kept.
+async function removeStaleSpace(spaceId, before, { archive }) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT space_id FROM ${SCHEMA_NAME}.spaces
+       WHERE space_id = $1 AND last_modified < $2
+       FOR UPDATE`,
+      [spaceId, before]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    if (archive) {
+      await client.query(
+        `INSERT INTO ${SCHEMA_NAME}.archived_spaces (space_id, data, picks, created_at, last_modified)
+         SELECT s.space_id, s.data,
+                COALESCE((
+                  SELECT jsonb_agg(jsonb_build_object(
+                    'listId', p.list_id,
+                    'itemId', p.item_id,
+                    'item', p.item,
+                    'index', p.item_index,
+                    'pickedBy', p.picked_by,
+                    'draw', p.draw,
+                    'timestamp', p.picked_at
+                  ) ORDER BY p.picked_at, p.pick_id)
+                  FROM ${SCHEMA_NAME}.picks p
+                  WHERE p.space_id = s.space_id
+                ), '[]'::jsonb),
+                s.created_at, s.last_modified
+         FROM ${SCHEMA_NAME}.spaces s
+         WHERE s.space_id = $1`,
+        [spaceId]
+      );
+    }
+
+    await client.query(
+      `DELETE FROM ${SCHEMA_NAME}.spaces WHERE space_id = $1`,
+      [spaceId]
+    );
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function listPickOverflow(keep) {
+  const result = await query(
+    `SELECT space_id, COUNT(*)::int - $1 AS excess
+     FROM ${SCHEMA_NAME}.picks
+     GROUP BY space_id
+     HAVING COUNT(*) > $1
+     ORDER BY space_id`,
+    [keep]
+  );
+
+  return result.rows.map(row => ({ spaceId: row.space_id, excess: row.excess }));
+}
+
+// Picks are ordered the way getPicks pages them, so the picks kept are the
+// first `keep` of the history
+async function trimPicks(spaceId, keep) {
+  const result = await query(
+    `DELETE FROM ${SCHEMA_NAME}.picks
+     WHERE pick_id IN (
+       SELECT pick_id FROM ${SCHEMA_NAME}.picks
+       WHERE space_id = $1
+       ORDER BY picked_at DESC, pick_id DESC
+       OFFSET $2
+     )`,
+    [spaceId, keep]
+  );
+
+  return result.rowCount;
+}
+
+async function createStorage() {
+  return {
+    name: 'PostgreSQL Database',
+    connect: testConnection,
+    close: closeDatabase,
+    findSpaceByLookupKey,
+    getCredentials,
+    claimLegacySpace,
+    createSpace,
+    moveSpace,
+    setMemberPassword,
+    deleteSpace,
+    readSpace,
+    mutateSpace,
+    getPicks,
+    revokeSession,
+    isSessionRevoked,
+    createShareLink,
+    findShareLink,
+    listShareLinks,
+    deleteShareLink,
+    listSpaces,
+    listStaleSpaces,
+    removeStaleSpace,
+    listPickOverflow,
+    trimPicks
+  };
+}
+
+export { createStorage };
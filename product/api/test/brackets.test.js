@@ -0,0 +1,215 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems, uniquePassword } from './helpers.js';
+
+// Open a space with the given items in its default list
+async function openSpaceWithItems(names) {
+  const space = await openSpace();
+  const items = await addItems(space.token, names);
+  return { ...space, items };
+}
+
+// Vote for side `choice` in every undecided match of the current round
+async function voteAll(token, bracket, choice, basePath = '/api') {
+  let response;
+  for (const match of bracket.rounds[bracket.round - 1]) {
+    if (match.b === null) continue;
+    response = await request('POST', `${basePath}/bracket/votes`, { token, body: { matchId: match.id, choice } });
+    assert.equal(response.status, 200);
+  }
+  return response.body.bracket;
+}
+
+test('POST /api/bracket pairs off every item of the list', async () => {
+  const { token, items } = await openSpaceWithItems(['Tacos', 'Sushi', 'Pho', 'Pizza']);
+
+  let response = await request('GET', '/api/bracket', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.bracket, null);
+
+  response = await request('POST', '/api/bracket', { token });
+  assert.equal(response.status, 201);
+
+  const { bracket } = response.body;
+  assert.equal(bracket.status, 'voting');
+  assert.equal(bracket.round, 1);
+  assert.equal(bracket.totalRounds, 2);
+  assert.equal(bracket.rounds[0].length, 2);
+  assert.equal(bracket.winner, null);
+
+  const entrants = bracket.rounds[0].flatMap(match => [match.a.id, match.b.id]);
+  assert.deepEqual(entrants.sort(), items.map(item => item.id).sort());
+  for (const match of bracket.rounds[0]) {
+    assert.deepEqual(match.votes, { a: 0, b: 0 });
+    assert.equal(match.myVote, null);
+    assert.equal(match.winner, null);
+  }
+
+  response = await request('GET', '/api/bracket', { token });
+  assert.deepEqual(response.body.bracket, bracket);
+
+  // Only one bracket at a time
+  response = await request('POST', '/api/bracket', { token });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'A bracket is already in progress on this list');
+});
+
+test('each session has one vote per match and can change it', async () => {
+  const admin = await openSpaceWithItems(['Tacos', 'Sushi']);
+  const memberPassword = uniquePassword();
+  await request('PUT', '/api/space/member-password', { token: admin.token, body: { memberPassword } });
+  const member = await openSpace(memberPassword);
+
+  let response = await request('POST', '/api/bracket', { token: member.token });
+  assert.equal(response.status, 201);
+  const matchId = response.body.bracket.rounds[0][0].id;
+
+  await request('POST', '/api/bracket/votes', { token: admin.token, body: { matchId, choice: 'a' } });
+  await request('POST', '/api/bracket/votes', { token: member.token, body: { matchId, choice: 'a' } });
+  response = await request('POST', '/api/bracket/votes', { token: member.token, body: { matchId, choice: 'b' } });
+
+  assert.equal(response.status, 200);
+  let match = response.body.bracket.rounds[0][0];
+  assert.deepEqual(match.votes, { a: 1, b: 1 });
+  assert.equal(match.myVote, 'b');
+
+  response = await request('GET', '/api/bracket', { token: admin.token });
+  match = response.body.bracket.rounds[0][0];
+  assert.equal(match.myVote, 'a');
+});
+
+test('advancing rounds leads to a winner that becomes the pick', async () => {
+  const { token } = await openSpaceWithItems(['Tacos', 'Sushi', 'Pho', 'Pizza']);
+
+  let bracket = (await request('POST', '/api/bracket', { token })).body.bracket;
+  bracket = await voteAll(token, bracket, 'a');
+
+  let response = await request('POST', '/api/bracket/advance', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.lastPicked, null);
+
+  bracket = response.body.bracket;
+  assert.equal(bracket.round, 2);
+  assert.deepEqual(bracket.rounds[0].map(match => match.winner), bracket.rounds[0].map(match => match.a.id));
+  assert.ok(bracket.rounds[0].every(match => !match.tiebreak));
+  assert.deepEqual(
+    [bracket.rounds[1][0].a.id, bracket.rounds[1][0].b.id],
+    bracket.rounds[0].map(match => match.a.id)
+  );
+
+  bracket = await voteAll(token, bracket, 'b');
+  response = await request('POST', '/api/bracket/advance', { token });
+  bracket = response.body.bracket;
+
+  const final = bracket.rounds[1][0];
+  assert.equal(bracket.status, 'finished');
+  assert.deepEqual(bracket.winner, final.b);
+  assert.ok(bracket.finished);
+  assert.equal(response.body.lastPicked.itemId, final.b.id);
+  assert.equal(response.body.lastPicked.item, final.b.name);
+
+  response = await request('GET', '/api/picks', { token });
+  assert.equal(response.body.total, 1);
+  assert.equal(response.body.picks[0].item, final.b.name);
+  assert.equal(response.body.picks[0].draw.bracket, bracket.id);
+
+  // Nothing more to vote on or advance; a new bracket can start
+  response = await request('POST', '/api/bracket/votes', { token, body: { matchId: final.id, choice: 'a' } });
+  assert.equal(response.status, 409);
+  response = await request('POST', '/api/bracket/advance', { token });
+  assert.equal(response.status, 409);
+  assert.equal((await request('POST', '/api/bracket', { token })).status, 201);
+});
+
+test('odd items out get a bye and ties are broken at random', async () => {
+  const { token } = await openSpaceWithItems(['Tacos', 'Sushi', 'Pho']);
+
+  let bracket = (await request('POST', '/api/bracket', { token })).body.bracket;
+  const [pair, bye] = bracket.rounds[0];
+  assert.equal(bye.b, null);
+  assert.equal(bye.winner, bye.a.id);
+
+  let response = await request('POST', '/api/bracket/votes', { token, body: { matchId: bye.id, choice: 'a' } });
+  assert.equal(response.status, 400);
+
+  // Nobody voted, so the pair is a tie
+  bracket = (await request('POST', '/api/bracket/advance', { token })).body.bracket;
+  const decided = bracket.rounds[0][0];
+  assert.equal(decided.id, pair.id);
+  assert.equal(decided.tiebreak, true);
+  assert.ok([pair.a.id, pair.b.id].includes(decided.winner));
+  assert.deepEqual([bracket.rounds[1][0].a.id, bracket.rounds[1][0].b.id], [decided.winner, bye.a.id]);
+
+  // Votes from an earlier round no longer count
+  response = await request('POST', '/api/bracket/votes', { token, body: { matchId: pair.id, choice: 'a' } });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Match not found in the current round');
+});
+
+test('brackets can use some of the items of a named list', async () => {
+  const { token } = await openSpace();
+  const list = (await request('POST', '/api/lists', { token, body: { name: 'Films' } })).body.list;
+  const basePath = `/api/lists/${list.id}`;
+  const items = await addItems(token, ['Alien', 'Heat', 'Up'], basePath);
+
+  const itemIds = [items[0].id, items[2].id];
+  let response = await request('POST', `${basePath}/bracket`, { token, body: { itemIds } });
+  assert.equal(response.status, 201);
+
+  const match = response.body.bracket.rounds[0][0];
+  assert.deepEqual([match.a.id, match.b.id].sort(), [...itemIds].sort());
+  assert.equal(response.body.bracket.totalRounds, 1);
+
+  // The default list has no bracket of its own
+  response = await request('GET', '/api/bracket', { token });
+  assert.equal(response.body.bracket, null);
+});
+
+test('POST /api/bracket validates the items', async () => {
+  const { token, items } = await openSpaceWithItems(['Tacos', 'Sushi']);
+
+  const cases = [
+    [{ itemIds: 'all' }, 400, 'itemIds must be an array of item IDs'],
+    [{ itemIds: [items[0].id, items[0].id] }, 400, 'itemIds cannot name an item twice'],
+    [{ itemIds: [items[0].id] }, 400, 'A bracket needs at least 2 items'],
+    [{ itemIds: [items[0].id, 'missing'] }, 404, 'Item not found']
+  ];
+  for (const [body, status, error] of cases) {
+    const response = await request('POST', '/api/bracket', { token, body });
+    assert.equal(response.status, status);
+    assert.equal(response.body.error, error);
+  }
+
+  const empty = await openSpace();
+  const response = await request('POST', '/api/bracket', { token: empty.token });
+  assert.equal(response.status, 400);
+});
+
+test('votes are validated and only admins remove brackets', async () => {
+  const admin = await openSpaceWithItems(['Tacos', 'Sushi']);
+  const memberPassword = uniquePassword();
+  await request('PUT', '/api/space/member-password', { token: admin.token, body: { memberPassword } });
+  const member = await openSpace(memberPassword);
+
+  let response = await request('POST', '/api/bracket/votes', { token: admin.token, body: { matchId: 'x', choice: 'a' } });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'No bracket on this list');
+
+  const bracket = (await request('POST', '/api/bracket', { token: admin.token })).body.bracket;
+  const matchId = bracket.rounds[0][0].id;
+
+  for (const body of [{ choice: 'a' }, { matchId, choice: 'c' }, { matchId }]) {
+    response = await request('POST', '/api/bracket/votes', { token: admin.token, body });
+    assert.equal(response.status, 400);
+  }
+  response = await request('POST', '/api/bracket/votes', { token: admin.token, body: { matchId: 'unknown', choice: 'a' } });
+  assert.equal(response.status, 404);
+
+  response = await request('DELETE', '/api/bracket', { token: member.token });
+  assert.equal(response.status, 403);
+
+  response = await request('DELETE', '/api/bracket', { token: admin.token });
+  assert.equal(response.status, 200);
+  assert.equal((await request('GET', '/api/bracket', { token: member.token })).body.bracket, null);
+  assert.equal((await request('DELETE', '/api/bracket', { token: admin.token })).status, 404);
+});
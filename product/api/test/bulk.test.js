@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { datastore, url, request, openSpace, addItems, namesAndWeights } from './helpers.js';
+
+// Import `content` into the default list
+function importItems(token, format, content) {
+  return request('POST', '/api/items/bulk', { token, body: { format, content } });
+}
+
+// Download an export. Resolves to { status, type, disposition, text }.
+async function download(token, query = '') {
+  const response = await fetch(url(`/api/export${query}`), {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  return {
+    status: response.status,
+    type: response.headers.get('content-type'),
+    disposition: response.headers.get('content-disposition'),
+    text: await response.text()
+  };
+}
+
+test('POST /api/items/bulk imports one item per line of text', async () => {
+  const { token } = await openSpace();
+
+  const response = await importItems(token, 'text', 'Pizza\r\n\n  Tacos  \nSushi\n');
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.added.map(item => item.name), ['Pizza', 'Tacos', 'Sushi']);
+  assert.deepEqual(response.body.duplicates, []);
+  assert.deepEqual(response.body.rejected, []);
+  assert.equal(response.body.items.length, 3);
+
+  // Text is the default format
+  const again = await request('POST', '/api/items/bulk', { token, body: { content: 'Ramen' } });
+  assert.deepEqual(again.body.added.map(item => item.name), ['Ramen']);
+});
+
+test('POST /api/items/bulk imports CSV with or without a header', async () => {
+  const { token } = await openSpace();
+
+  let response = await importItems(token, 'csv', 'Name,Weight\n"Fish, chips",3\n"Say ""hi""",\nPlain,1\n');
+  assert.equal(response.status, 200);
+  assert.deepEqual(namesAndWeights(response.body.added), [
+    { name: 'Fish, chips', weight: 3 },
+    { name: 'Say "hi"', weight: 1 },
+    { name: 'Plain', weight: 1 }
+  ]);
+
+  response = await importItems(token, 'csv', 'Curry,2\nDumplings\n');
+  assert.deepEqual(namesAndWeights(response.body.added), [
+    { name: 'Curry', weight: 2 },
+    { name: 'Dumplings', weight: 1 }
+  ]);
+});
+
+test('POST /api/items/bulk imports JSON arrays of names or items', async () => {
+  const { token } = await openSpace();
+
+  const content = JSON.stringify(['Pho', { name: 'Bibimbap', weight: 4 }]);
+  const response = await importItems(token, 'json', content);
+  assert.equal(response.status, 200);
+  assert.deepEqual(namesAndWeights(response.body.added), [
+    { name: 'Pho', weight: 1 },
+    { name: 'Bibimbap', weight: 4 }
+  ]);
+});
+
+test('POST /api/items/bulk reports rejected and duplicate entries by line', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['Existing']);
+
+  const content = [
+    'Good',
+    'Existing',
+    '<script>alert(1)</script>',
+    'x'.repeat(501),
+    'Good',
+    'Also good,0'
+  ].join('\n');
+
+  let response = await importItems(token, 'text', content);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.added.map(item => item.name), ['Good', 'Also good,0']);
+  assert.deepEqual(response.body.duplicates, [
+    { line: 2, item: 'Existing' },
+    { line: 5, item: 'Good' }
+  ]);
+  assert.deepEqual(response.body.rejected.map(entry => [entry.line, entry.error]), [
+    [3, 'Invalid characters in item'],
+    [4, 'Item cannot exceed 500 characters']
+  ]);
+
+  // The same content as CSV has a bad weight on its last row
+  response = await importItems(token, 'csv', 'Fresh\nHeavy,500\nOdd,1.5\n');
+  assert.deepEqual(response.body.added.map(item => item.name), ['Fresh']);
+  assert.deepEqual(response.body.rejected, [
+    { line: 2, item: 'Heavy', error: 'Weight must be between 1 and 100' },
+    { line: 3, item: 'Odd', error: 'Weight must be an integer' }
+  ]);
+
+  response = await importItems(token, 'json', JSON.stringify(['Fine', 42, null]));
+  assert.deepEqual(response.body.rejected, [
+    { line: 2, item: 42, error: 'Item must be a string' },
+    { line: 3, item: null, error: 'Item must be a string' }
+  ]);
+});
+
+test('POST /api/items/bulk validates the request', async () => {
+  const { token } = await openSpace();
+
+  const cases = [
+    [{ format: 'xml', content: 'A' }, 'Invalid format: must be one of text, csv, json'],
+    [{ format: 'text' }, 'Content must be a string'],
+    [{ format: 'text', content: '\n  \n' }, 'No items to import'],
+    [{ format: 'json', content: '{not json' }, 'Invalid JSON'],
+    [{ format: 'json', content: '"Pizza"' }, 'JSON must be an array of items'],
+    [{ format: 'csv', content: '"unterminated' }, 'Unterminated quoted field in CSV']
+  ];
+
+  for (const [body, error] of cases) {
+    const response = await request('POST', '/api/items/bulk', { token, body });
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.equal(response.body.error, error);
+  }
+});
+
+test('POST /api/items/bulk adds nothing when the import would pass 1000 items', async () => {
+  const { token, spaceId } = await openSpace();
+  const items = Array.from({ length: 998 }, (_, i) => `Item ${i}`);
+  await datastore.updateSpace(spaceId, { items });
+
+  // Duplicates don't count towards the limit
+  let response = await importItems(token, 'text', 'Item 0\nNew 1\nNew 2\nNew 3');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Maximum number of items (1000) reached');
+
+  response = await request('GET', '/api/items', { token });
+  assert.equal(response.body.length, 998);
+
+  response = await importItems(token, 'text', 'Item 0\nNew 1\nNew 2');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.items.length, 1000);
+});
+
+test('POST /api/items/bulk adds items to the current no-repeat round', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['A']);
+  await request('PUT', '/api/pool', { token, body: { noRepeat: true } });
+
+  const response = await importItems(token, 'text', 'B\nC');
+  const pool = await request('GET', '/api/pool', { token });
+  assert.deepEqual(pool.body.remaining, response.body.items.map(item => item.id));
+});
+
+test('GET /api/export downloads every list and the pick history as JSON', async () => {
+  const { token, spaceId } = await openSpace();
+  await addItems(token, ['A']);
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Other' } });
+  await addItems(token, ['X'], `/api/lists/${created.body.list.id}`);
+  await request('POST', '/api/pick', { token, body: { pickedBy: 'Sam' } });
+
+  const response = await download(token);
+  assert.equal(response.status, 200);
+  assert.match(response.type, /^application\/json/);
+  assert.match(response.disposition, new RegExp(`attachment; filename="youpick-${spaceId}\\.json"`));
+
+  const exported = JSON.parse(response.text);
+  assert.equal(exported.spaceId, spaceId);
+  assert.deepEqual(exported.lists.map(list => [list.name, namesAndWeights(list.items)]), [
+    ['Default', [{ name: 'A', weight: 1 }]],
+    ['Other', [{ name: 'X', weight: 1 }]]
+  ]);
+  assert.equal(exported.picks.length, 1);
+  assert.equal(exported.picks[0].item, 'A');
+  assert.equal(exported.picks[0].pickedBy, 'Sam');
+});
+
+test('GET /api/export writes CSV that imports back', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['Plain', 'Comma, inside']);
+  const items = await addItems(token, ['Heavy']);
+  await request('PATCH', `/api/items/${items[2].id}`, { token, body: { weight: 5 } });
+  await request('POST', '/api/pick', { token });
+
+  const response = await download(token, '?format=csv');
+  assert.equal(response.status, 200);
+  assert.match(response.type, /^text\/csv/);
+
+  const lines = response.text.trim().split('\r\n');
+  assert.equal(lines[0], 'type,list,name,weight,picked_by,picked_at');
+  assert.deepEqual(lines.slice(1, 4), [
+    'item,Default,Plain,1,,',
+    'item,Default,"Comma, inside",1,,',
+    'item,Default,Heavy,5,,'
+  ]);
+  assert.match(lines[4], /^pick,Default,/);
+
+  // Only the item rows are imported
+  const other = await openSpace();
+  const imported = await importItems(other.token, 'csv', response.text);
+  assert.deepEqual(namesAndWeights(imported.body.added), [
+    { name: 'Plain', weight: 1 },
+    { name: 'Comma, inside', weight: 1 },
+    { name: 'Heavy', weight: 5 }
+  ]);
+});
+
+test('GET /api/export writes a readable text summary', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B']);
+  await request('PATCH', `/api/items/${items[1].id}`, { token, body: { weight: 2 } });
+
+  const response = await download(token, '?format=txt');
+  assert.equal(response.status, 200);
+  assert.match(response.type, /^text\/plain/);
+  assert.equal(response.text, '# Default\nA\nB (weight 2)\n\n# Pick history\n');
+});
+
+test('GET /api/export validates the format', async () => {
+  const { token } = await openSpace();
+
+  const response = await request('GET', '/api/export?format=xml', { token });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid format: must be one of csv, json, txt');
+});
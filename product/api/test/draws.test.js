@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems } from './helpers.js';
+
+const NAMES = ['Ana', 'Ben', 'Cy', 'Dee', 'Eli'];
+
+// Item names in a draw group
+const namesIn = (group) => group.map(entry => entry.item);
+
+test('POST /api/draw picks several distinct items', async () => {
+  const { token } = await openSpace();
+  await addItems(token, NAMES);
+
+  let response = await request('GET', '/api/draw', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.lastDraw, null);
+
+  response = await request('POST', '/api/draw', { token, body: { mode: 'pick', count: 3, pickedBy: 'Ana' } });
+  assert.equal(response.status, 200);
+  const { lastDraw } = response.body;
+  assert.equal(lastDraw.mode, 'pick');
+  assert.equal(lastDraw.count, 3);
+  assert.equal(lastDraw.pickedBy, 'Ana');
+  assert.equal(lastDraw.groups.length, 1);
+  assert.equal(new Set(namesIn(lastDraw.groups[0])).size, 3);
+  assert.ok(namesIn(lastDraw.groups[0]).every(name => NAMES.includes(name)));
+
+  // The draw is kept with the list, and doesn't count as a pick
+  response = await request('GET', '/api/draw', { token });
+  assert.deepEqual(response.body.lastDraw, lastDraw);
+  response = await request('GET', '/api/picks', { token });
+  assert.equal(response.body.total, 0);
+});
+
+test('a draw never repeats an item, whatever the weights', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['Heavy', 'Light']);
+  await request('PATCH', `/api/items/${items[0].id}`, { token, body: { weight: 100 } });
+
+  const response = await request('POST', '/api/draw', { token, body: { mode: 'pick', count: 2 } });
+  assert.deepEqual(namesIn(response.body.lastDraw.groups[0]).sort(), ['Heavy', 'Light']);
+});
+
+test('shuffle orders every item and teams split them evenly', async () => {
+  const { token } = await openSpace();
+  await addItems(token, NAMES);
+
+  let response = await request('POST', '/api/draw', { token, body: { mode: 'shuffle' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.lastDraw.count, null);
+  assert.deepEqual(namesIn(response.body.lastDraw.groups[0]).sort(), [...NAMES].sort());
+
+  response = await request('POST', '/api/draw', { token, body: { mode: 'teams', count: 2 } });
+  assert.equal(response.status, 200);
+  const { groups } = response.body.lastDraw;
+  assert.deepEqual(groups.map(group => group.length).sort(), [2, 3]);
+  assert.deepEqual(groups.flatMap(namesIn).sort(), [...NAMES].sort());
+});
+
+test('POST /api/draw validates its mode and count', async () => {
+  const { token } = await openSpace();
+
+  let response = await request('POST', '/api/draw', { token, body: { mode: 'shuffle' } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'No items to pick from');
+
+  await addItems(token, ['Ana', 'Ben', 'Cy']);
+
+  response = await request('POST', '/api/draw', { token, body: { mode: 'everything' } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'mode must be one of: pick, shuffle, teams');
+
+  for (const body of [{ mode: 'pick' }, { mode: 'pick', count: 0 }, { mode: 'pick', count: 1.5 }, { mode: 'teams', count: 1 }]) {
+    response = await request('POST', '/api/draw', { token, body });
+    assert.equal(response.status, 400);
+  }
+
+  for (const body of [{ mode: 'pick', count: 4 }, { mode: 'teams', count: 4 }]) {
+    response = await request('POST', '/api/draw', { token, body });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'count cannot exceed the number of items');
+  }
+
+  response = await request('POST', '/api/draw', { token, body: { mode: 'shuffle', pickedBy: 'x'.repeat(51) } });
+  assert.equal(response.status, 400);
+  assert.equal((await request('GET', '/api/draw', { token })).body.lastDraw, null);
+});
+
+test('each list keeps its own latest draw', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['Ana', 'Ben']);
+  const list = (await request('POST', '/api/lists', { token, body: { name: 'Standup' } })).body.list;
+  const basePath = `/api/lists/${list.id}`;
+  await addItems(token, ['Cy'], basePath);
+
+  await request('POST', `${basePath}/draw`, { token, body: { mode: 'shuffle' } });
+
+  assert.equal((await request('GET', '/api/draw', { token })).body.lastDraw, null);
+  const response = await request('GET', `${basePath}/draw`, { token });
+  assert.deepEqual(namesIn(response.body.lastDraw.groups[0]), ['Cy']);
+  assert.equal(response.body.lastDraw.listId, list.id);
+});
@@ -0,0 +1,239 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { url, request, openSpace, namesAndWeights, uniquePassword } from './helpers.js';
+
+// Open the event stream and return a reader that resolves to one event at a
+// time. Share link streams are opened by path, without a session token.
+// `presence` events, sent whenever anyone comes or goes, are skipped unless
+// asked for.
+async function openStream(token, path = '/api/events', { presence = false } = {}) {
+  const response = await fetch(url(path), {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  // Resolves to { type, payload }, or null once the stream has ended
+  async function next() {
+    while (true) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        const type = block.match(/^event: (.*)$/m);
+        const data = block.match(/^data: (.*)$/m);
+        if (type && data && (presence || type[1] !== 'presence')) {
+          return { type: type[1], payload: JSON.parse(data[1]) };
+        }
+        continue;
+      }
+
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { next, close: () => reader.cancel() };
+}
+
+test('GET /api/events pushes changes to everyone in the space', async () => {
+  const { token, password } = await openSpace();
+  const other = await openSpace(password);
+  const stream = await openStream(other.token);
+
+  try {
+    assert.equal((await stream.next()).type, 'ready');
+
+    const added = await request('POST', '/api/items', { token, body: { item: 'Live' } });
+    let event = await stream.next();
+    assert.equal(event.type, 'items');
+    assert.equal(event.payload.listId, 'default');
+    assert.deepEqual(event.payload.items, added.body.items);
+
+    const pick = await request('POST', '/api/pick', { token });
+    event = await stream.next();
+    assert.equal(event.type, 'pick');
+    assert.deepEqual(event.payload.lastPicked, pick.body.lastPicked);
+
+    const draw = await request('POST', '/api/draw', { token, body: { mode: 'shuffle' } });
+    event = await stream.next();
+    assert.equal(event.type, 'draw');
+    assert.deepEqual(event.payload.lastDraw, draw.body.lastDraw);
+
+    await request('PUT', '/api/pool', { token, body: { noRepeat: true } });
+    event = await stream.next();
+    assert.equal(event.type, 'pool');
+    assert.deepEqual(event.payload.pool, { noRepeat: true, remaining: [added.body.item.id] });
+
+    await request('POST', '/api/lists', { token, body: { name: 'New' } });
+    event = await stream.next();
+    assert.equal(event.type, 'lists');
+    assert.deepEqual(event.payload.lists.map(list => list.name), ['Default', 'New']);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('bracket changes are pushed without anyone\'s own votes', async () => {
+  const { token, password } = await openSpace();
+  const other = await openSpace(password);
+  await request('POST', '/api/items/bulk', { token, body: { content: 'Tacos\nSushi' } });
+  const stream = await openStream(other.token);
+
+  try {
+    assert.equal((await stream.next()).type, 'ready');
+
+    const started = await request('POST', '/api/bracket', { token });
+    let event = await stream.next();
+    assert.equal(event.type, 'bracket');
+    assert.equal(event.payload.listId, 'default');
+    assert.equal(event.payload.bracket.id, started.body.bracket.id);
+
+    const matchId = started.body.bracket.rounds[0][0].id;
+    await request('POST', '/api/bracket/votes', { token, body: { matchId, choice: 'b' } });
+    event = await stream.next();
+    assert.deepEqual(event.payload.bracket.rounds[0][0].votes, { a: 0, b: 1 });
+    assert.equal('myVote' in event.payload.bracket.rounds[0][0], false);
+
+    // The final round ends with the winner as the pick
+    const advanced = await request('POST', '/api/bracket/advance', { token });
+    event = await stream.next();
+    assert.equal(event.type, 'bracket');
+    assert.equal(event.payload.bracket.status, 'finished');
+    event = await stream.next();
+    assert.equal(event.type, 'pick');
+    assert.deepEqual(event.payload.lastPicked, advanced.body.lastPicked);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('events stay within their space', async () => {
+  const watcher = await openSpace();
+  const outsider = await openSpace();
+  const stream = await openStream(watcher.token);
+
+  try {
+    assert.equal((await stream.next()).type, 'ready');
+
+    await request('POST', '/api/items', { token: outsider.token, body: { item: 'Elsewhere' } });
+    await request('POST', '/api/items', { token: watcher.token, body: { item: 'Here' } });
+
+    const event = await stream.next();
+    assert.deepEqual(namesAndWeights(event.payload.items), [{ name: 'Here', weight: 1 }]);
+  } finally {
+    await stream.close();
+  }
+});
+
+test('revoking a session closes its event streams', async () => {
+  const { token } = await openSpace();
+  const stream = await openStream(token);
+
+  assert.equal((await stream.next()).type, 'ready');
+  await request('DELETE', '/api/session', { token });
+  assert.equal(await stream.next(), null);
+});
+
+test('changing the password or deleting the space closes everyone else\'s streams', async () => {
+  const { token, password } = await openSpace();
+  const other = await openSpace(password);
+  const own = await openStream(token);
+  const stream = await openStream(other.token);
+
+  assert.equal((await own.next()).type, 'ready');
+  assert.equal((await stream.next()).type, 'ready');
+
+  const newPassword = `${password}-new`;
+  const changed = await request('PUT', '/api/space/password', { token, body: { currentPassword: password, newPassword } });
+  assert.equal(changed.status, 200);
+
+  assert.deepEqual(await stream.next(), { type: 'closed', payload: { reason: 'password-changed' } });
+  assert.equal(await stream.next(), null);
+  // The session that changed the password is disconnected without a notice
+  assert.equal(await own.next(), null);
+
+  const watcher = await openSpace(newPassword);
+  const renewed = await openStream(watcher.token);
+  assert.equal((await renewed.next()).type, 'ready');
+
+  await request('DELETE', '/api/space', { token: changed.body.token, body: { password: newPassword } });
+  assert.deepEqual(await renewed.next(), { type: 'closed', payload: { reason: 'deleted' } });
+  assert.equal(await renewed.next(), null);
+});
+
+test('changing the member password closes member streams only', async () => {
+  const { token } = await openSpace();
+  const memberPassword = uniquePassword();
+  await request('PUT', '/api/space/member-password', { token, body: { memberPassword } });
+  const member = await openSpace(memberPassword);
+
+  const adminStream = await openStream(token);
+  const memberStream = await openStream(member.token);
+  assert.equal((await adminStream.next()).type, 'ready');
+  assert.equal((await memberStream.next()).type, 'ready');
+
+  await request('PUT', '/api/space/member-password', { token, body: { memberPassword: '' } });
+  assert.deepEqual(await memberStream.next(), { type: 'closed', payload: { reason: 'member-password-changed' } });
+  assert.equal(await memberStream.next(), null);
+
+  // Admin streams stay open
+  await request('POST', '/api/items', { token, body: { item: 'Still here' } });
+  assert.equal((await adminStream.next()).type, 'items');
+});
+
+test('share links stream changes read-only until revoked', async () => {
+  const { token } = await openSpace();
+  const created = await request('POST', '/api/shares', { token, body: {} });
+  const stream = await openStream(null, `/api/shared/${created.body.token}/events`);
+
+  assert.equal((await stream.next()).type, 'ready');
+
+  await request('POST', '/api/items', { token, body: { item: 'Shown' } });
+  const event = await stream.next();
+  assert.equal(event.type, 'items');
+  assert.deepEqual(namesAndWeights(event.payload.items), [{ name: 'Shown', weight: 1 }]);
+
+  await request('DELETE', `/api/shares/${created.body.share.id}`, { token });
+  assert.equal(await stream.next(), null);
+});
+
+test('presence events tell everyone who comes and goes', async () => {
+  const { token, password } = await openSpace();
+  const other = await openSpace(password);
+  const stream = await openStream(token, '/api/events', { presence: true });
+
+  try {
+    assert.equal((await stream.next()).type, 'ready');
+    let event = await stream.next();
+    assert.equal(event.type, 'presence');
+    assert.deepEqual(event.payload.participants.map(participant => participant.nickname), [null]);
+
+    const otherStream = await openStream(other.token);
+    event = await stream.next();
+    assert.equal(event.payload.participants.length, 2);
+
+    const named = await request('PUT', '/api/session/nickname', { token: other.token, body: { nickname: ' Ben ' } });
+    assert.equal(named.status, 200);
+    assert.equal(named.body.nickname, 'Ben');
+    event = await stream.next();
+    assert.deepEqual(event.payload.participants[1], { id: named.body.id, nickname: 'Ben', role: 'admin', since: event.payload.participants[1].since });
+
+    const presence = await request('GET', '/api/presence', { token: other.token });
+    assert.equal(presence.body.you, named.body.id);
+    assert.deepEqual(presence.body.participants, event.payload.participants);
+
+    await otherStream.close();
+    event = await stream.next();
+    assert.equal(event.payload.participants.length, 1);
+    assert.notEqual(event.payload.participants[0].id, named.body.id);
+  } finally {
+    await stream.close();
+  }
+});
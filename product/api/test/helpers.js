@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { once } from 'events';
+import { before, after } from 'node:test';
+
+/**
+ * Shared setup for the API tests.
+ *
+ * Importing this module starts the Express app on a random port for the
+ * current test file, backed by the in-memory store. Every test opens its own
+ * space with a fresh password, so tests don't see each other's data.
+ */
+
+// Configure the app before it is first imported
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+// Test files that check the targeted limits set their own before importing
+process.env.PASSWORD_RATE_LIMIT_MAX ??= '100000';
+process.env.SPACE_WRITE_LIMIT_MAX ??= '100000';
+process.env.SPACE_LOOKUP_SECRET = 'test-lookup-secret';
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const { app } = await import('../server.js');
+const datastore = await import('../datastore.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  // Event streams never end on their own
+  server.closeAllConnections();
+  server.close();
+});
+
+// A password no other test uses
+function uniquePassword() {
+  return `test-${crypto.randomUUID()}`;
+}
+
+// Base URL of the running app
+function url(path) {
+  return `${baseUrl}${path}`;
+}
+
+// Call the API. Resolves to { status, body } with the JSON body parsed.
+async function request(method, path, { token, body } = {}) {
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(url(path), {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  return {
+    status: response.status,
+    body: text ? JSON.parse(text) : null
+  };
+}
+
+// Open a session on the password's space, creating the space first if no
+// space uses the password. Resolves to
+// { token, spaceId, role, expiresAt, password }.
+async function openSpace(password = uniquePassword()) {
+  let response = await request('POST', '/api/session', { body: { password } });
+  if (response.status === 404) {
+    response = await request('POST', '/api/spaces', { body: { password } });
+  }
+  if (response.status !== 201) {
+    throw new Error(`Failed to open space: ${response.status}`);
+  }
+  return { ...response.body, password };
+}
+
+// Store a space the way spaces were kept before salted hashing: under the
+// unsalted SHA-256 of its password, with no credentials yet. Resolves to
+// its legacy ID.
+async function createLegacySpace(password) {
+  const legacyId = crypto.createHash('sha256').update(password).digest('hex').substring(0, 16);
+  await datastore.createSpace(legacyId, `legacy-${legacyId}`, null);
+  return legacyId;
+}
+
+// Add items to a list one by one. Resolves to the list's items afterwards.
+async function addItems(token, items, basePath = '/api') {
+  let response;
+  for (const item of items) {
+    response = await request('POST', `${basePath}/items`, { token, body: { item } });
+    if (response.status !== 200) {
+      throw new Error(`Failed to add ${item}: ${response.status}`);
+    }
+  }
+  return response.body.items;
+}
+
+// Item names and weights, without their generated IDs
+function namesAndWeights(items) {
+  return items.map(({ name, weight }) => ({ name, weight }));
+}
+
+export { datastore, uniquePassword, url, request, openSpace, createLegacySpace, addItems, namesAndWeights };
@@ -0,0 +1,337 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { datastore, request, openSpace, addItems, namesAndWeights } from './helpers.js';
+
+const { default: storage } = await import('../storage/index.js');
+
+// Overwrite a space's stored data, bypassing the datastore's upgrades
+async function seedRawData(spaceId, data) {
+  await storage.mutateSpace(spaceId, stored => {
+    for (const key of Object.keys(stored)) {
+      delete stored[key];
+    }
+    Object.assign(stored, data);
+    return true;
+  });
+}
+
+test('GET /api/items starts empty', async () => {
+  const { token } = await openSpace();
+
+  const response = await request('GET', '/api/items', { token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, []);
+});
+
+test('POST /api/items adds trimmed items with their weights', async () => {
+  const { token } = await openSpace();
+
+  let response = await request('POST', '/api/items', { token, body: { item: '  Pizza  ' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(namesAndWeights(response.body.items), [{ name: 'Pizza', weight: 1 }]);
+
+  response = await request('POST', '/api/items', { token, body: { item: 'Tacos', weight: 3 } });
+  assert.deepEqual(namesAndWeights(response.body.items), [
+    { name: 'Pizza', weight: 1 },
+    { name: 'Tacos', weight: 3 }
+  ]);
+  assert.deepEqual(response.body.item, response.body.items[1]);
+
+  response = await request('GET', '/api/items', { token });
+  assert.equal(response.body.length, 2);
+});
+
+test('items get unique, stable IDs', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B', 'C']);
+
+  const ids = items.map(item => item.id);
+  assert.equal(new Set(ids).size, 3);
+  for (const id of ids) {
+    assert.match(id, /^[0-9a-f-]{36}$/);
+  }
+
+  // Removing an item leaves the others' IDs alone
+  await request('DELETE', `/api/items/${ids[0]}`, { token });
+  const response = await request('GET', '/api/items', { token });
+  assert.deepEqual(response.body.map(item => item.id), ids.slice(1));
+});
+
+test('POST /api/items rejects invalid items', async () => {
+  const { token } = await openSpace();
+
+  const cases = [
+    [undefined, 'Item must be a string'],
+    [42, 'Item must be a string'],
+    ['', 'Item must be a string'],
+    ['   ', 'Item cannot be empty'],
+    ['x'.repeat(501), 'Item cannot exceed 500 characters'],
+    ['<script>alert(1)</script>', 'Invalid characters in item'],
+    ['<iframe src="x">', 'Invalid characters in item'],
+    ['javascript:alert(1)', 'Invalid characters in item']
+  ];
+
+  for (const [item, error] of cases) {
+    const response = await request('POST', '/api/items', { token, body: { item } });
+    assert.equal(response.status, 400, JSON.stringify(item));
+    assert.equal(response.body.error, error);
+  }
+
+  // A 500 character item is fine
+  const response = await request('POST', '/api/items', { token, body: { item: 'x'.repeat(500) } });
+  assert.equal(response.status, 200);
+});
+
+test('POST /api/items rejects invalid weights', async () => {
+  const { token } = await openSpace();
+
+  const cases = [
+    [0, 'Weight must be between 1 and 100'],
+    [101, 'Weight must be between 1 and 100'],
+    [1.5, 'Weight must be an integer'],
+    ['2', 'Weight must be an integer']
+  ];
+
+  for (const [weight, error] of cases) {
+    const response = await request('POST', '/api/items', { token, body: { item: 'Soup', weight } });
+    assert.equal(response.status, 400, JSON.stringify(weight));
+    assert.equal(response.body.error, error);
+  }
+});
+
+test('POST /api/items rejects duplicates with 409', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['Sushi']);
+
+  for (const item of ['Sushi', '  Sushi ']) {
+    const response = await request('POST', '/api/items', { token, body: { item } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'Item already exists');
+  }
+
+  // Duplicates are checked per list, and case matters
+  const response = await request('POST', '/api/items', { token, body: { item: 'sushi' } });
+  assert.equal(response.status, 200);
+});
+
+test('POST /api/items stops at 1000 items', async () => {
+  const { token, spaceId } = await openSpace();
+  const items = Array.from({ length: 999 }, (_, i) => `Item ${i}`);
+  await datastore.updateSpace(spaceId, { items });
+
+  let response = await request('POST', '/api/items', { token, body: { item: 'Item 999' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.items.length, 1000);
+
+  response = await request('POST', '/api/items', { token, body: { item: 'Item 1000' } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Maximum number of items (1000) reached');
+});
+
+test('DELETE /api/items/:id removes the item', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B', 'C']);
+
+  const response = await request('DELETE', `/api/items/${items[1].id}`, { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.deleted, 'B');
+  assert.deepEqual(response.body.items.map(item => item.name), ['A', 'C']);
+});
+
+test('DELETE /api/items/:id returns 404 for unknown items', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B']);
+
+  // Deleting twice, as when two people delete the same item at once
+  await request('DELETE', `/api/items/${items[0].id}`, { token });
+
+  for (const id of [items[0].id, '0', 'not-an-id']) {
+    const response = await request('DELETE', `/api/items/${id}`, { token });
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Item not found');
+  }
+
+  const response = await request('GET', '/api/items', { token });
+  assert.deepEqual(response.body.map(item => item.name), ['B']);
+});
+
+test('DELETE /api/items/:id only accepts items from the addressed list', async () => {
+  const { token } = await openSpace();
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Other' } });
+  const [otherItem] = await addItems(token, ['X'], `/api/lists/${created.body.list.id}`);
+
+  const response = await request('DELETE', `/api/items/${otherItem.id}`, { token });
+  assert.equal(response.status, 404);
+});
+
+test('removing an item clears lastPicked only when it was the picked item', async () => {
+  const { token } = await openSpace();
+  const [picked] = await addItems(token, ['Picked']);
+  const pick = await request('POST', '/api/pick', { token });
+  assert.equal(pick.body.lastPicked.itemId, picked.id);
+
+  // Items before and after the pick can go without touching it
+  const items = await addItems(token, ['After']);
+  await request('DELETE', `/api/items/${items[1].id}`, { token });
+  let response = await request('GET', '/api/picked', { token });
+  assert.equal(response.body.item, 'Picked');
+
+  await request('DELETE', `/api/items/${picked.id}`, { token });
+  response = await request('GET', '/api/picked', { token });
+  assert.equal(response.body, null);
+});
+
+test('string items saved before IDs existed are upgraded once', async () => {
+  const { token, spaceId } = await openSpace();
+  await seedRawData(spaceId, {
+    items: ['A', 'B', 'C'],
+    weights: { B: 4 },
+    noRepeat: true,
+    remaining: ['A', 'C'],
+    lists: [],
+    lastPicked: { item: 'B', index: 1, listId: 'default', timestamp: new Date().toISOString() }
+  });
+
+  const first = await request('GET', '/api/items', { token });
+  assert.deepEqual(namesAndWeights(first.body), [
+    { name: 'A', weight: 1 },
+    { name: 'B', weight: 4 },
+    { name: 'C', weight: 1 }
+  ]);
+
+  // The generated IDs are saved, not regenerated on every read
+  const second = await request('GET', '/api/items', { token });
+  assert.deepEqual(second.body, first.body);
+
+  const [a, b, c] = first.body;
+  const pool = await request('GET', '/api/pool', { token });
+  assert.deepEqual(pool.body.remaining, [a.id, c.id]);
+
+  const picked = await request('GET', '/api/picked', { token });
+  assert.equal(picked.body.itemId, b.id);
+});
+
+test('upgradeAllSpaces saves IDs for every legacy space', async () => {
+  const { spaceId } = await openSpace();
+  await seedRawData(spaceId, { items: ['Old'], noRepeat: false, remaining: [], lists: [], lastPicked: null });
+
+  assert.ok(await datastore.upgradeAllSpaces() >= 1);
+  assert.equal(await datastore.upgradeAllSpaces(), 0);
+
+  const space = await datastore.getSpace(spaceId);
+  assert.equal(space.items[0].name, 'Old');
+  assert.ok(space.items[0].id);
+});
+
+test('PATCH /api/items/:id updates the weight', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B']);
+
+  let response = await request('PATCH', `/api/items/${items[1].id}`, { token, body: { weight: 5 } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(namesAndWeights(response.body.items), [
+    { name: 'A', weight: 1 },
+    { name: 'B', weight: 5 }
+  ]);
+
+  // Setting the default weight again
+  response = await request('PATCH', `/api/items/${items[1].id}`, { token, body: { weight: 1 } });
+  assert.equal(response.body.items[1].weight, 1);
+});
+
+test('PATCH /api/items/:id validates its input', async () => {
+  const { token } = await openSpace();
+  const [item] = await addItems(token, ['A']);
+
+  let response = await request('PATCH', `/api/items/${item.id}`, { token, body: {} });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Name or weight is required');
+
+  response = await request('PATCH', `/api/items/${item.id}`, { token, body: { weight: 0 } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Weight must be between 1 and 100');
+
+  response = await request('PATCH', '/api/items/missing', { token, body: { weight: 2 } });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Item not found');
+});
+
+test('PATCH /api/items/:id renames the item in place', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B', 'C']);
+  await request('PATCH', `/api/items/${items[1].id}`, { token, body: { weight: 3 } });
+
+  const response = await request('PATCH', `/api/items/${items[1].id}`, { token, body: { name: '  Bee ' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.item, { ...items[1], name: 'Bee', weight: 3 });
+  assert.deepEqual(namesAndWeights(response.body.items), [
+    { name: 'A', weight: 1 },
+    { name: 'Bee', weight: 3 },
+    { name: 'C', weight: 1 }
+  ]);
+});
+
+test('PATCH /api/items/:id can rename and reweight at once', async () => {
+  const { token } = await openSpace();
+  const [item] = await addItems(token, ['A']);
+
+  const response = await request('PATCH', `/api/items/${item.id}`, { token, body: { name: 'Z', weight: 7 } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.item, { ...item, name: 'Z', weight: 7 });
+});
+
+test('PATCH /api/items/:id validates names like POST /api/items', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B']);
+
+  const cases = [
+    [400, '', 'Item must be a string'],
+    [400, '   ', 'Item cannot be empty'],
+    [400, '<script>alert(1)</script>', 'Invalid characters in item'],
+    [409, 'B', 'Item already exists'],
+    [409, ' B  ', 'Item already exists']
+  ];
+
+  for (const [status, name, error] of cases) {
+    const response = await request('PATCH', `/api/items/${items[0].id}`, { token, body: { name } });
+    assert.equal(response.status, status, JSON.stringify(name));
+    assert.equal(response.body.error, error);
+  }
+
+  // Keeping an item's own name is not a duplicate
+  const response = await request('PATCH', `/api/items/${items[0].id}`, { token, body: { name: 'A' } });
+  assert.equal(response.status, 200);
+});
+
+test('PUT /api/items/order reorders the items', async () => {
+  const { token } = await openSpace();
+  const [a, b, c] = await addItems(token, ['A', 'B', 'C']);
+
+  let response = await request('PUT', '/api/items/order', { token, body: { order: [c.id, a.id, b.id] } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.items.map(item => item.name), ['C', 'A', 'B']);
+
+  response = await request('GET', '/api/items', { token });
+  assert.deepEqual(response.body.map(item => item.id), [c.id, a.id, b.id]);
+});
+
+test('PUT /api/items/order rejects orderings that don\'t match the list', async () => {
+  const { token } = await openSpace();
+  const [a, b] = await addItems(token, ['A', 'B']);
+
+  for (const order of [undefined, 'A,B', [1, 2]]) {
+    const response = await request('PUT', '/api/items/order', { token, body: { order } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Order must be an array of item IDs');
+  }
+
+  // Missing, repeated or unknown items, as from a client with an outdated list
+  for (const order of [[a.id], [a.id, a.id], [a.id, b.id, 'gone'], [b.id, 'gone']]) {
+    const response = await request('PUT', '/api/items/order', { token, body: { order } });
+    assert.equal(response.status, 409, JSON.stringify(order));
+    assert.equal(response.body.error, 'Order must include every item in the list exactly once');
+  }
+
+  const response = await request('GET', '/api/items', { token });
+  assert.deepEqual(response.body.map(item => item.name), ['A', 'B']);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Low limits, set before the app loads
+process.env.PASSWORD_RATE_LIMIT_MAX = '5';
+process.env.SPACE_WRITE_LIMIT_MAX = '5';
+// As if behind a proxy on this machine
+process.env.TRUST_PROXY = 'loopback';
+
+const { datastore, url, request, uniquePassword } = await import('./helpers.js');
+const { issueSession } = await import('../auth.js');
+
+// Create a space directly in the store, so that creating it doesn't use up
+// password attempts, and open an admin session on it
+async function createSpaceWithSession() {
+  const spaceId = await datastore.createSpace(
+    crypto.randomUUID().replaceAll('-', '').slice(0, 16),
+    crypto.randomUUID(),
+    'unused-hash'
+  );
+  return { spaceId, token: issueSession({ spaceId }).token };
+}
+
+test('changes to a space are limited per space', async () => {
+  const { token } = await createSpaceWithSession();
+  const other = await createSpaceWithSession();
+
+  // Reads don't count
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await request('GET', '/api/items', { token })).status, 200);
+  }
+
+  for (let i = 0; i < 5; i++) {
+    const response = await request('POST', '/api/items', { token, body: { item: `Item ${i}` } });
+    assert.equal(response.status, 200);
+  }
+
+  const response = await fetch(url('/api/items'), {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ item: 'One too many' })
+  });
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  assert.equal((await response.json()).error, 'Too many changes to this space, please slow down');
+
+  // Other spaces are unaffected
+  const added = await request('POST', '/api/items', { token: other.token, body: { item: 'Fine' } });
+  assert.equal(added.status, 200);
+});
+
+test('behind a trusted proxy, password attempts are limited per client address', async () => {
+  const attempt = (address) => fetch(url('/api/session'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': address },
+    body: JSON.stringify({ password: uniquePassword() })
+  });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await attempt('203.0.113.1')).status, 404);
+  }
+  assert.equal((await attempt('203.0.113.1')).status, 429);
+
+  // Another client behind the same proxy can still log in
+  assert.equal((await attempt('203.0.113.2')).status, 404);
+});
+
+// Runs last: it uses up this address's password attempts
+test('password attempts are limited per address', async () => {
+  for (let i = 0; i < 5; i++) {
+    const response = await request('POST', '/api/session', { body: { password: uniquePassword() } });
+    assert.equal(response.status, 404);
+  }
+
+  const response = await request('POST', '/api/session', { body: { password: uniquePassword() } });
+  assert.equal(response.status, 429);
+  assert.equal(response.body.error, 'Too many password attempts, please try again later');
+});
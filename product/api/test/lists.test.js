@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems, namesAndWeights } from './helpers.js';
+
+test('every space starts with the default list', async () => {
+  const { token } = await openSpace();
+
+  const response = await request('GET', '/api/lists', { token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, [{ id: 'default', name: 'Default', itemCount: 0 }]);
+});
+
+test('POST /api/lists creates a named list', async () => {
+  const { token } = await openSpace();
+
+  const response = await request('POST', '/api/lists', { token, body: { name: '  Movies ' } });
+  assert.equal(response.status, 201);
+  assert.equal(response.body.list.name, 'Movies');
+  assert.equal(response.body.list.itemCount, 0);
+  assert.match(response.body.list.id, /^[0-9a-f-]{36}$/);
+
+  const lists = await request('GET', '/api/lists', { token });
+  assert.deepEqual(lists.body.map(list => list.name), ['Default', 'Movies']);
+});
+
+test('POST /api/lists validates the name', async () => {
+  const { token } = await openSpace();
+
+  const cases = [
+    [undefined, 'List name must be a string'],
+    [7, 'List name must be a string'],
+    ['   ', 'List name cannot be empty'],
+    ['x'.repeat(101), 'List name cannot exceed 100 characters'],
+    ['<script>', 'Invalid characters in list name']
+  ];
+
+  for (const [name, error] of cases) {
+    const response = await request('POST', '/api/lists', { token, body: { name } });
+    assert.equal(response.status, 400, JSON.stringify(name));
+    assert.equal(response.body.error, error);
+  }
+
+  await request('POST', '/api/lists', { token, body: { name: 'Games' } });
+  for (const name of ['Games', 'Default']) {
+    const response = await request('POST', '/api/lists', { token, body: { name } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'A list with that name already exists');
+  }
+});
+
+test('POST /api/lists stops at 20 lists', async () => {
+  const { token } = await openSpace();
+
+  for (let i = 1; i < 20; i++) {
+    const response = await request('POST', '/api/lists', { token, body: { name: `List ${i}` } });
+    assert.equal(response.status, 201);
+  }
+
+  const response = await request('POST', '/api/lists', { token, body: { name: 'One too many' } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Maximum number of lists (20) reached');
+});
+
+test('each list keeps its own items, weights and pool', async () => {
+  const { token } = await openSpace();
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Dinner' } });
+  const basePath = `/api/lists/${created.body.list.id}`;
+
+  await addItems(token, ['Default item']);
+  const [, ramen] = await addItems(token, ['Curry', 'Ramen'], basePath);
+  await request('PATCH', `${basePath}/items/${ramen.id}`, { token, body: { weight: 4 } });
+  await request('PUT', `${basePath}/pool`, { token, body: { noRepeat: true } });
+
+  let response = await request('GET', `${basePath}/items`, { token });
+  assert.deepEqual(namesAndWeights(response.body), [
+    { name: 'Curry', weight: 1 },
+    { name: 'Ramen', weight: 4 }
+  ]);
+
+  response = await request('GET', '/api/items', { token });
+  assert.deepEqual(namesAndWeights(response.body), [{ name: 'Default item', weight: 1 }]);
+
+  response = await request('GET', '/api/pool', { token });
+  assert.equal(response.body.noRepeat, false);
+
+  // The same item may appear in different lists
+  response = await request('POST', `${basePath}/items`, { token, body: { item: 'Default item' } });
+  assert.equal(response.status, 200);
+
+  response = await request('POST', `${basePath}/pick`, { token });
+  assert.equal(response.body.lastPicked.listId, created.body.list.id);
+
+  response = await request('GET', '/api/lists', { token });
+  assert.deepEqual(response.body.map(list => list.itemCount), [1, 3]);
+});
+
+test('routes for an unknown list return 404', async () => {
+  const { token } = await openSpace();
+
+  const routes = [
+    ['GET', '/api/lists/nope/items'],
+    ['POST', '/api/lists/nope/items', { item: 'A' }],
+    ['DELETE', '/api/lists/nope/items/0'],
+    ['POST', '/api/lists/nope/pick'],
+    ['GET', '/api/lists/nope/pool'],
+    ['PATCH', '/api/lists/nope', { name: 'New' }],
+    ['DELETE', '/api/lists/nope']
+  ];
+
+  for (const [method, path, body] of routes) {
+    const response = await request(method, path, { token, body });
+    assert.equal(response.status, 404, `${method} ${path}`);
+    assert.equal(response.body.error, 'List not found');
+  }
+});
+
+test('PATCH /api/lists/:listId renames a list', async () => {
+  const { token } = await openSpace();
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Books' } });
+  const listId = created.body.list.id;
+
+  let response = await request('PATCH', `/api/lists/${listId}`, { token, body: { name: 'Novels' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.list.name, 'Novels');
+
+  // Keeping the same name is not a conflict
+  response = await request('PATCH', `/api/lists/${listId}`, { token, body: { name: 'Novels' } });
+  assert.equal(response.status, 200);
+
+  response = await request('PATCH', `/api/lists/${listId}`, { token, body: { name: 'Default' } });
+  assert.equal(response.status, 409);
+
+  response = await request('PATCH', `/api/lists/${listId}`, { token, body: { name: '' } });
+  assert.equal(response.status, 400);
+
+  // The default list can be renamed too
+  response = await request('PATCH', '/api/lists/default', { token, body: { name: 'Everyday' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.list, { id: 'default', name: 'Everyday', itemCount: 0 });
+});
+
+test('DELETE /api/lists/:listId deletes named lists only', async () => {
+  const { token } = await openSpace();
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Temporary' } });
+  const listId = created.body.list.id;
+  await addItems(token, ['A'], `/api/lists/${listId}`);
+  await request('POST', `/api/lists/${listId}/pick`, { token });
+
+  let response = await request('DELETE', '/api/lists/default', { token });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'The default list cannot be deleted');
+
+  response = await request('DELETE', `/api/lists/${listId}`, { token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.lists.map(list => list.id), ['default']);
+
+  // A pick from the deleted list is no longer the last pick
+  response = await request('GET', '/api/picked', { token });
+  assert.equal(response.body, null);
+
+  response = await request('GET', `/api/lists/${listId}/items`, { token });
+  assert.equal(response.status, 404);
+});
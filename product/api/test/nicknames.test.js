@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems } from './helpers.js';
+
+// Open a space whose session goes by `nickname`
+async function openSpaceAs(nickname) {
+  const space = await openSpace();
+  await request('PUT', '/api/session/nickname', { token: space.token, body: { nickname } });
+  return space;
+}
+
+test('items record who added them', async () => {
+  const { token } = await openSpaceAs('Ana');
+
+  const [single] = await addItems(token, ['Tacos']);
+  assert.equal(single.addedBy, 'Ana');
+  assert.ok(single.addedAt);
+
+  const bulk = await request('POST', '/api/items/bulk', { token, body: { content: 'Sushi\nPho' } });
+  assert.deepEqual(bulk.body.added.map(item => item.addedBy), ['Ana', 'Ana']);
+
+  // Without a nickname, items are added anonymously
+  const other = await openSpace();
+  const [anonymous] = await addItems(other.token, ['Pizza']);
+  assert.equal(anonymous.addedBy, null);
+});
+
+test('removals are kept with who made them', async () => {
+  const { token } = await openSpaceAs('Ana');
+  const items = await addItems(token, ['Tacos', 'Sushi']);
+
+  let response = await request('GET', '/api/items/removed', { token });
+  assert.deepEqual(response.body.removed, []);
+
+  await request('DELETE', `/api/items/${items[0].id}`, { token });
+  await request('PUT', '/api/session/nickname', { token, body: { nickname: '' } });
+  await request('DELETE', `/api/items/${items[1].id}`, { token });
+
+  response = await request('GET', '/api/items/removed', { token });
+  assert.deepEqual(response.body.removed.map(({ id, name, removedBy }) => ({ id, name, removedBy })), [
+    { id: items[1].id, name: 'Sushi', removedBy: null },
+    { id: items[0].id, name: 'Tacos', removedBy: 'Ana' }
+  ]);
+});
+
+test('picks are credited to the nickname unless named otherwise', async () => {
+  const { token } = await openSpaceAs('Ana');
+  await addItems(token, ['Tacos']);
+
+  let response = await request('POST', '/api/pick', { token });
+  assert.equal(response.body.lastPicked.pickedBy, 'Ana');
+
+  response = await request('POST', '/api/pick', { token, body: { pickedBy: 'Ben' } });
+  assert.equal(response.body.lastPicked.pickedBy, 'Ben');
+
+  response = await request('GET', '/api/picks', { token });
+  assert.deepEqual(response.body.picks.map(pick => pick.pickedBy), ['Ben', 'Ana']);
+});
+
+test('PUT /api/session/nickname validates the nickname', async () => {
+  const { token } = await openSpace();
+
+  let response = await request('PUT', '/api/session/nickname', { token, body: { nickname: 'x'.repeat(51) } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'nickname cannot exceed 50 characters');
+
+  response = await request('PUT', '/api/session/nickname', { token, body: { nickname: 42 } });
+  assert.equal(response.status, 400);
+
+  response = await request('PUT', '/api/session/nickname', { token, body: {} });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.nickname, null);
+
+  response = await request('PUT', '/api/session/nickname', { body: { nickname: 'Ana' } });
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,223 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems } from './helpers.js';
+
+test('POST /api/pick needs items to pick from', async () => {
+  const { token } = await openSpace();
+
+  const response = await request('POST', '/api/pick', { token });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'No items to pick from');
+
+  const history = await request('GET', '/api/picks', { token });
+  assert.equal(history.body.total, 0);
+});
+
+test('POST /api/pick draws an item and records the draw', async () => {
+  const { token, spaceId } = await openSpace();
+  const items = await addItems(token, ['A', 'B', 'C']);
+
+  const response = await request('POST', '/api/pick', { token, body: { pickedBy: '  Sam ' } });
+  assert.equal(response.status, 200);
+
+  const { lastPicked } = response.body;
+  assert.ok(['A', 'B', 'C'].includes(lastPicked.item));
+  assert.equal(['A', 'B', 'C'][lastPicked.index], lastPicked.item);
+  assert.equal(items[lastPicked.index].id, lastPicked.itemId);
+  assert.equal(lastPicked.listId, 'default');
+  assert.equal(lastPicked.pickedBy, 'Sam');
+  assert.equal(lastPicked.space, spaceId.substring(0, 8));
+  assert.equal(lastPicked.draw.totalWeight, 3);
+  assert.equal(lastPicked.draw.itemCount, 3);
+  assert.ok(lastPicked.draw.roll >= 0 && lastPicked.draw.roll < 3);
+  assert.deepEqual(response.body.pool, { noRepeat: false, remaining: [] });
+
+  const picked = await request('GET', '/api/picked', { token });
+  assert.deepEqual(picked.body, lastPicked);
+});
+
+test('POST /api/pick validates pickedBy', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['A']);
+
+  const cases = [
+    [42, 'pickedBy must be a string'],
+    ['x'.repeat(51), 'pickedBy cannot exceed 50 characters'],
+    ['<script>', 'Invalid characters in pickedBy']
+  ];
+
+  for (const [pickedBy, error] of cases) {
+    const response = await request('POST', '/api/pick', { token, body: { pickedBy } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, error);
+  }
+});
+
+test('GET /api/picked is null before the first pick', async () => {
+  const { token } = await openSpace();
+
+  const response = await request('GET', '/api/picked', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body, null);
+});
+
+test('the roll maps onto the weights', async () => {
+  const { token } = await openSpace();
+  await request('POST', '/api/items', { token, body: { item: 'Light', weight: 1 } });
+  await request('POST', '/api/items', { token, body: { item: 'Heavy', weight: 9 } });
+
+  for (let i = 0; i < 20; i++) {
+    const { body } = await request('POST', '/api/pick', { token });
+    const { roll, totalWeight } = body.lastPicked.draw;
+    assert.equal(totalWeight, 10);
+    assert.equal(body.lastPicked.item, roll < 1 ? 'Light' : 'Heavy');
+  }
+});
+
+test('no-repeat mode picks every item once per round', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B', 'C']);
+  const ids = items.map(item => item.id);
+
+  let response = await request('PUT', '/api/pool', { token, body: { noRepeat: true } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.pool, { noRepeat: true, remaining: ids });
+
+  const round = [];
+  for (let i = 0; i < 3; i++) {
+    response = await request('POST', '/api/pick', { token });
+    round.push(response.body.lastPicked.item);
+    assert.equal(response.body.pool.remaining.length, 2 - i);
+    assert.ok(!response.body.pool.remaining.includes(response.body.lastPicked.itemId));
+  }
+  assert.deepEqual(round.sort(), ['A', 'B', 'C']);
+
+  // The next pick starts a new round
+  response = await request('POST', '/api/pick', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.pool.remaining.length, 2);
+
+  response = await request('GET', '/api/pool', { token });
+  assert.equal(response.body.noRepeat, true);
+  assert.equal(response.body.remaining.length, 2);
+});
+
+test('PUT /api/pool validates noRepeat and turning it off empties the pool', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['A']);
+
+  let response = await request('PUT', '/api/pool', { token, body: { noRepeat: 'yes' } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'noRepeat must be a boolean');
+
+  await request('PUT', '/api/pool', { token, body: { noRepeat: true } });
+  response = await request('PUT', '/api/pool', { token, body: { noRepeat: false } });
+  assert.deepEqual(response.body.pool, { noRepeat: false, remaining: [] });
+});
+
+test('POST /api/pool/reset refills the pool', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B']);
+
+  let response = await request('POST', '/api/pool/reset', { token });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'No-repeat mode is not enabled');
+
+  await request('PUT', '/api/pool', { token, body: { noRepeat: true } });
+  await request('POST', '/api/pick', { token });
+
+  response = await request('POST', '/api/pool/reset', { token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.pool.remaining, items.map(item => item.id));
+});
+
+test('items added in no-repeat mode join the current round', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['A']);
+  await request('PUT', '/api/pool', { token, body: { noRepeat: true } });
+
+  const response = await request('POST', '/api/items', { token, body: { item: 'B' } });
+  assert.equal(response.status, 200);
+
+  const pool = await request('GET', '/api/pool', { token });
+  assert.deepEqual(pool.body.remaining, response.body.items.map(item => item.id));
+});
+
+test('GET /api/picks pages through the history, newest first', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['A']);
+
+  const timestamps = [];
+  for (let i = 0; i < 5; i++) {
+    const response = await request('POST', '/api/pick', { token, body: { pickedBy: `Picker ${i}` } });
+    timestamps.push(response.body.lastPicked.timestamp);
+    // Keep timestamps distinct so the date bounds below are exact
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+
+  let response = await request('GET', '/api/picks?limit=2', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.total, 5);
+  assert.equal(response.body.limit, 2);
+  assert.equal(response.body.offset, 0);
+  assert.deepEqual(response.body.picks.map(pick => pick.pickedBy), ['Picker 4', 'Picker 3']);
+  assert.deepEqual(Object.keys(response.body.picks[0]).sort(), ['draw', 'index', 'item', 'itemId', 'listId', 'pickedBy', 'timestamp']);
+
+  response = await request('GET', '/api/picks?limit=2&offset=4', { token });
+  assert.deepEqual(response.body.picks.map(pick => pick.pickedBy), ['Picker 0']);
+
+  // Date bounds are inclusive
+  const from = encodeURIComponent(timestamps[3]);
+  response = await request('GET', `/api/picks?from=${from}`, { token });
+  assert.equal(response.body.total, 2);
+
+  const to = encodeURIComponent(timestamps[0]);
+  response = await request('GET', `/api/picks?to=${to}`, { token });
+  assert.equal(response.body.total, 1);
+
+  response = await request('GET', '/api/picks?from=2999-01-01', { token });
+  assert.equal(response.body.total, 0);
+});
+
+test('GET /api/picks filters by list', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['A']);
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Other' } });
+  const listId = created.body.list.id;
+  await addItems(token, ['X'], `/api/lists/${listId}`);
+
+  await request('POST', '/api/pick', { token });
+  await request('POST', `/api/lists/${listId}/pick`, { token });
+  await request('POST', `/api/lists/${listId}/pick`, { token });
+
+  let response = await request('GET', `/api/picks?listId=${listId}`, { token });
+  assert.equal(response.body.total, 2);
+  assert.ok(response.body.picks.every(pick => pick.listId === listId && pick.item === 'X'));
+
+  response = await request('GET', '/api/picks?listId=default', { token });
+  assert.equal(response.body.total, 1);
+
+  response = await request('GET', '/api/picks', { token });
+  assert.equal(response.body.total, 3);
+});
+
+test('GET /api/picks validates its query', async () => {
+  const { token } = await openSpace();
+
+  const cases = [
+    ['limit=0', 'Invalid limit: must be an integer from 1 to 100'],
+    ['limit=101', 'Invalid limit: must be an integer from 1 to 100'],
+    ['limit=abc', 'Invalid limit: must be an integer from 1 to 100'],
+    ['offset=-1', 'Invalid offset: must be a non-negative integer'],
+    ['offset=1.5', 'Invalid offset: must be a non-negative integer'],
+    ['from=not-a-date', 'Invalid date: from and to must be ISO 8601 dates'],
+    ['to=not-a-date', 'Invalid date: from and to must be ISO 8601 dates'],
+    ['listId=', 'Invalid listId']
+  ];
+
+  for (const [query, error] of cases) {
+    const response = await request('GET', `/api/picks?${query}`, { token });
+    assert.equal(response.status, 400, query);
+    assert.equal(response.body.error, error);
+  }
+});
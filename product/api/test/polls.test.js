@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems, uniquePassword } from './helpers.js';
+import { createPoll, castBallot, tallyPoll } from '../poll.js';
+
+// Open a space with the given items in its default list
+async function openSpaceWithItems(names) {
+  const space = await openSpace();
+  const items = await addItems(space.token, names);
+  return { ...space, items };
+}
+
+// A ranked poll over options A to D with one ballot per ranking given
+function rankedPoll(rankings) {
+  const poll = createPoll(['A', 'B', 'C', 'D'].map(id => ({ id, name: id })), 'ranked');
+  rankings.forEach((choices, index) => castBallot(poll, `Voter ${index}`, `session-${index}`, choices));
+  return poll;
+}
+
+test('instant runoff moves eliminated options\' votes to the next choice', () => {
+  const poll = rankedPoll([
+    ['A'], ['A'], ['A'],
+    ['B', 'C'], ['B', 'C'],
+    ['C', 'B'], ['C', 'B'],
+    ['D', 'C']
+  ]);
+
+  const { rounds, winners } = tallyPoll(poll);
+
+  assert.deepEqual(rounds.map(round => round.counts), [
+    { A: 3, B: 2, C: 2, D: 1 },
+    { A: 3, B: 2, C: 3 },
+    { A: 3, C: 5 }
+  ]);
+  assert.deepEqual(rounds.map(round => round.eliminated), [['D'], ['B'], []]);
+  assert.deepEqual(winners, ['C']);
+});
+
+test('instant runoff counts exhausted ballots and reports ties', () => {
+  const poll = rankedPoll([['A'], ['B'], ['C', 'A'], ['D']]);
+
+  const { rounds, winners } = tallyPoll(poll);
+
+  // Everyone is tied; all four are still in the running
+  assert.equal(rounds.length, 1);
+  assert.deepEqual(winners, ['A', 'B', 'C', 'D']);
+
+  castBallot(poll, 'Voter 4', 'session-4', ['B']);
+  const runoff = tallyPoll(poll);
+  assert.deepEqual(runoff.rounds[0].eliminated, ['A', 'C', 'D']);
+  assert.equal(runoff.rounds[1].exhausted, 3);
+  assert.deepEqual(runoff.winners, ['B']);
+});
+
+test('nicknames that name object members are ordinary nicknames', async () => {
+  const { token, password, items } = await openSpaceWithItems(['Tacos', 'Sushi']);
+  await request('POST', '/api/poll', { token, body: { method: 'approval' } });
+
+  const nicknames = ['constructor', 'toString', '__proto__'];
+  let response;
+  for (const nickname of nicknames) {
+    const voter = await openSpace(password);
+    response = await request('POST', '/api/poll/ballots', {
+      token: voter.token,
+      body: { nickname, choices: [items[0].id] }
+    });
+    assert.equal(response.status, 200, nickname);
+  }
+
+  assert.deepEqual(response.body.poll.voters, nicknames);
+  assert.equal(response.body.poll.results.rounds[0].counts[items[0].id], 3);
+});
+
+test('POST /api/poll opens an approval poll with live results', async () => {
+  const { token, items } = await openSpaceWithItems(['Tacos', 'Sushi', 'Pho']);
+
+  let response = await request('GET', '/api/poll', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.poll, null);
+
+  response = await request('POST', '/api/poll', { token, body: { method: 'approval' } });
+  assert.equal(response.status, 201);
+  const { poll } = response.body;
+  assert.equal(poll.status, 'open');
+  assert.equal(poll.method, 'approval');
+  assert.deepEqual(poll.options, items.map(({ id, name }) => ({ id, name })));
+  assert.deepEqual(poll.voters, []);
+  assert.deepEqual(poll.results.winners, []);
+  assert.equal(poll.myBallot, null);
+
+  response = await request('POST', '/api/poll/ballots', { token, body: { nickname: 'Sam', choices: [items[0].id, items[1].id] } });
+  assert.equal(response.status, 200);
+  response = await request('POST', '/api/poll/ballots', { token, body: { nickname: 'Sam', choices: [items[1].id] } });
+
+  const updated = response.body.poll;
+  assert.deepEqual(updated.voters, ['Sam']);
+  assert.deepEqual(updated.myBallot, { nickname: 'Sam', choices: [items[1].id] });
+  assert.deepEqual(updated.results.rounds[0].counts, { [items[0].id]: 0, [items[1].id]: 1, [items[2].id]: 0 });
+  assert.deepEqual(updated.results.winners, [items[1].id]);
+
+  // One poll at a time
+  response = await request('POST', '/api/poll', { token, body: { method: 'ranked' } });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'A poll is already open on this list');
+});
+
+test('closing a ranked poll makes its winner the pick', async () => {
+  const admin = await openSpaceWithItems(['Tacos', 'Sushi', 'Pho']);
+  const memberPassword = uniquePassword();
+  await request('PUT', '/api/space/member-password', { token: admin.token, body: { memberPassword } });
+  const member = await openSpace(memberPassword);
+  const [tacos, sushi, pho] = admin.items;
+
+  await request('POST', '/api/poll', { token: member.token, body: { method: 'ranked' } });
+  await request('POST', '/api/poll/ballots', { token: admin.token, body: { nickname: 'Ana', choices: [pho.id, sushi.id] } });
+  await request('POST', '/api/poll/ballots', { token: member.token, body: { nickname: 'Ben', choices: [sushi.id, tacos.id] } });
+  const other = await openSpace(memberPassword);
+  await request('POST', '/api/poll/ballots', { token: other.token, body: { nickname: 'Cy', choices: [sushi.id] } });
+
+  // A nickname belongs to whoever voted under it first
+  let response = await request('POST', '/api/poll/ballots', { token: member.token, body: { nickname: 'ana', choices: [tacos.id] } });
+  assert.equal(response.status, 409);
+
+  response = await request('POST', '/api/poll/close', { token: admin.token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.poll.status, 'closed');
+  assert.ok(response.body.poll.closed);
+  assert.deepEqual(response.body.poll.results.winners, [sushi.id]);
+  assert.equal(response.body.lastPicked.itemId, sushi.id);
+  assert.equal(response.body.lastPicked.draw.method, 'ranked');
+
+  response = await request('GET', '/api/picks', { token: admin.token });
+  assert.equal(response.body.picks[0].item, 'Sushi');
+
+  response = await request('POST', '/api/poll/ballots', { token: admin.token, body: { nickname: 'Ana', choices: [tacos.id] } });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'This poll is closed');
+
+  response = await request('DELETE', '/api/poll', { token: member.token });
+  assert.equal(response.status, 403);
+  response = await request('DELETE', '/api/poll', { token: admin.token });
+  assert.equal(response.status, 200);
+  assert.equal((await request('GET', '/api/poll', { token: member.token })).body.poll, null);
+});
+
+test('a poll without a single winner closes without a pick', async () => {
+  const { token, items } = await openSpaceWithItems(['Tacos', 'Sushi']);
+  await request('POST', '/api/poll', { token, body: { method: 'approval' } });
+  await request('POST', '/api/poll/ballots', { token, body: { nickname: 'Sam', choices: items.map(item => item.id) } });
+
+  const response = await request('POST', '/api/poll/close', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.poll.results.winners.length, 2);
+  assert.equal(response.body.lastPicked, null);
+  assert.equal((await request('GET', '/api/picks', { token })).body.total, 0);
+
+  // A closed poll can be replaced by a new one
+  assert.equal((await request('POST', '/api/poll', { token, body: { method: 'ranked' } })).status, 201);
+});
+
+test('polls and ballots are validated', async () => {
+  const { token, items } = await openSpaceWithItems(['Tacos', 'Sushi']);
+
+  const pollCases = [
+    [{}, 400, 'method must be one of: approval, ranked'],
+    [{ method: 'approval', itemIds: [items[0].id] }, 400, 'A poll needs at least 2 items'],
+    [{ method: 'approval', itemIds: [items[0].id, 'missing'] }, 404, 'Item not found']
+  ];
+  for (const [body, status, error] of pollCases) {
+    const response = await request('POST', '/api/poll', { token, body });
+    assert.equal(response.status, status);
+    assert.equal(response.body.error, error);
+  }
+
+  let response = await request('POST', '/api/poll/ballots', { token, body: { nickname: 'Sam', choices: [items[0].id] } });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'No poll on this list');
+
+  await request('POST', '/api/poll', { token, body: { method: 'ranked' } });
+  const ballotCases = [
+    [{ choices: [items[0].id] }, 'nickname is required'],
+    [{ nickname: 'x'.repeat(51), choices: [items[0].id] }, 'nickname cannot exceed 50 characters'],
+    [{ nickname: 'Sam', choices: [] }, 'choices must be a non-empty array of item IDs'],
+    [{ nickname: 'Sam', choices: [items[0].id, items[0].id] }, 'choices cannot name an item twice'],
+    [{ nickname: 'Sam', choices: ['missing'] }, 'choices must be options of the poll']
+  ];
+  for (const [body, error] of ballotCases) {
+    response = await request('POST', '/api/poll/ballots', { token, body });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, error);
+  }
+});
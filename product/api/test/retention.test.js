@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems } from './helpers.js';
+import { runRetention } from '../retention.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A policy with everything off, to override per test
+const OFF = { maxAgeDays: 0, action: 'archive', maxPicks: 0, dryRun: false };
+
+// Open a space last changed before the returned cutoff, then one changed
+// after it. Running with maxAgeDays: 30 and `now` 30 days past the cutoff
+// makes only the first stale.
+async function openStaleAndFreshSpaces() {
+  const stale = await openSpace();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const cutoff = new Date();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const fresh = await openSpace();
+  return { stale, fresh, now: new Date(cutoff.getTime() + 30 * DAY_MS) };
+}
+
+test('spaces unchanged for longer than the maximum age are archived', async () => {
+  const { stale, fresh, now } = await openStaleAndFreshSpaces();
+
+  const report = await runRetention({ ...OFF, maxAgeDays: 30 }, now);
+  const removed = report.spaces.map(space => space.spaceId);
+
+  assert.equal(report.dryRun, false);
+  assert.ok(removed.includes(stale.spaceId));
+  assert.ok(!removed.includes(fresh.spaceId));
+
+  // The archived space is gone for its sessions and its password is free again
+  const response = await request('GET', '/api/items', { token: stale.token });
+  assert.equal(response.status, 404);
+  assert.equal((await request('POST', '/api/session', { body: { password: stale.password } })).status, 404);
+  assert.equal((await request('POST', '/api/spaces', { body: { password: stale.password } })).status, 201);
+
+  assert.equal((await request('GET', '/api/items', { token: fresh.token })).status, 200);
+});
+
+test('spaces can be deleted instead of archived', async () => {
+  const { stale, fresh, now } = await openStaleAndFreshSpaces();
+
+  const report = await runRetention({ ...OFF, maxAgeDays: 30, action: 'delete' }, now);
+  const removed = report.spaces.map(space => space.spaceId);
+
+  assert.equal(report.action, 'delete');
+  assert.ok(removed.includes(stale.spaceId));
+  assert.ok(!removed.includes(fresh.spaceId));
+  assert.equal((await request('GET', '/api/space', { token: stale.token })).status, 404);
+});
+
+test('a dry run reports what it would remove without removing it', async () => {
+  const { stale, fresh, now } = await openStaleAndFreshSpaces();
+  await addItems(fresh.token, ['Tacos']);
+  for (let i = 0; i < 3; i++) {
+    await request('POST', '/api/pick', { token: fresh.token });
+  }
+
+  const report = await runRetention({ ...OFF, maxAgeDays: 30, maxPicks: 1, dryRun: true }, now);
+
+  assert.equal(report.dryRun, true);
+  assert.ok(report.spaces.some(space => space.spaceId === stale.spaceId));
+  assert.deepEqual(report.picks.filter(entry => entry.spaceId === fresh.spaceId), [{ spaceId: fresh.spaceId, removed: 2 }]);
+
+  assert.equal((await request('GET', '/api/items', { token: stale.token })).status, 200);
+  assert.equal((await request('GET', '/api/picks', { token: fresh.token })).body.total, 3);
+});
+
+test('pick histories are trimmed to the newest picks', async () => {
+  const { token, spaceId } = await openSpace();
+  await addItems(token, ['Tacos', 'Sushi']);
+  for (let i = 0; i < 5; i++) {
+    await request('POST', '/api/pick', { token, body: { pickedBy: `Picker ${i}` } });
+  }
+  const other = await openSpace();
+  await addItems(other.token, ['Pho']);
+  await request('POST', '/api/pick', { token: other.token });
+
+  const report = await runRetention({ ...OFF, maxPicks: 2 });
+
+  assert.deepEqual(report.picks.filter(entry => entry.spaceId === spaceId), [{ spaceId, removed: 3 }]);
+  assert.ok(!report.picks.some(entry => entry.spaceId === other.spaceId));
+
+  const response = await request('GET', '/api/picks', { token });
+  assert.equal(response.body.total, 2);
+  assert.deepEqual(response.body.picks.map(pick => pick.pickedBy), ['Picker 4', 'Picker 3']);
+  assert.equal((await request('GET', '/api/picks', { token: other.token })).body.total, 1);
+});
+
+test('nothing is removed when the policy is off', async () => {
+  const { token } = await openSpace();
+
+  const report = await runRetention(OFF, new Date(Date.now() + 3650 * DAY_MS));
+
+  assert.deepEqual(report.spaces, []);
+  assert.deepEqual(report.picks, []);
+  assert.equal((await request('GET', '/api/items', { token })).status, 200);
+});
@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, createLegacySpace, addItems, uniquePassword } from './helpers.js';
+
+// Open a space and give it a member password. Resolves to the admin
+// session plus a member session on the same space.
+async function openSpaceWithMember() {
+  const admin = await openSpace();
+  const memberPassword = uniquePassword();
+
+  const response = await request('PUT', '/api/space/member-password', {
+    token: admin.token,
+    body: { memberPassword }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.hasMemberPassword, true);
+
+  const member = await openSpace(memberPassword);
+  return { admin, member };
+}
+
+test('the member password opens the same space with the member role', async () => {
+  const { admin, member } = await openSpaceWithMember();
+
+  assert.equal(admin.role, 'admin');
+  assert.equal(member.role, 'member');
+  assert.equal(member.spaceId, admin.spaceId);
+
+  let response = await request('GET', '/api/space', { token: member.token });
+  assert.equal(response.body.role, 'member');
+  assert.equal(response.body.hasMemberPassword, true);
+
+  response = await request('GET', '/api/space', { token: admin.token });
+  assert.equal(response.body.role, 'admin');
+});
+
+test('members can add items and pick but not remove items or change settings', async () => {
+  const { admin, member } = await openSpaceWithMember();
+  const token = member.token;
+
+  const items = await addItems(token, ['Tacos', 'Sushi']);
+  let response = await request('POST', '/api/items/bulk', { token, body: { content: 'Pho' } });
+  assert.equal(response.status, 200);
+  response = await request('POST', '/api/pick', { token });
+  assert.equal(response.status, 200);
+  response = await request('GET', '/api/picks', { token });
+  assert.equal(response.body.total, 1);
+
+  const itemId = items[0].id;
+  const forbidden = [
+    ['DELETE', `/api/items/${itemId}`],
+    ['PATCH', `/api/items/${itemId}`, { weight: 5 }],
+    ['PUT', '/api/items/order', { order: items.map(item => item.id).reverse() }],
+    ['PUT', '/api/pool', { noRepeat: true }],
+    ['POST', '/api/pool/reset'],
+    ['POST', '/api/bracket/advance'],
+    ['POST', '/api/poll/close'],
+    ['POST', '/api/veto/finalize'],
+    ['POST', '/api/lists', { name: 'Other' }],
+    ['PATCH', '/api/lists/default', { name: 'Renamed' }],
+    ['PATCH', '/api/space', { name: 'Renamed' }],
+    ['POST', '/api/space/clear'],
+    ['PUT', '/api/space/password', { currentPassword: member.password, newPassword: uniquePassword() }],
+    ['PUT', '/api/space/member-password', { memberPassword: uniquePassword() }],
+    ['DELETE', '/api/space', { password: member.password }],
+    ['GET', '/api/shares'],
+    ['POST', '/api/shares', {}]
+  ];
+
+  for (const [method, path, body] of forbidden) {
+    response = await request(method, path, { token, body });
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.equal(response.body.error, 'Only admins can do that');
+  }
+
+  // Nothing changed
+  response = await request('GET', '/api/items', { token: admin.token });
+  assert.deepEqual(response.body.map(item => item.name), ['Tacos', 'Sushi', 'Pho']);
+});
+
+test('changing or removing the member password ends member sessions', async () => {
+  const { admin, member } = await openSpaceWithMember();
+
+  const newMemberPassword = uniquePassword();
+  let response = await request('PUT', '/api/space/member-password', {
+    token: admin.token,
+    body: { memberPassword: newMemberPassword }
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await request('GET', '/api/items', { token: member.token })).status, 401);
+
+  // The old member password is free again, so it opens a new space of its own
+  const stale = await openSpace(member.password);
+  assert.notEqual(stale.spaceId, admin.spaceId);
+  assert.equal(stale.role, 'admin');
+
+  const rejoined = await openSpace(newMemberPassword);
+  assert.equal(rejoined.spaceId, admin.spaceId);
+  assert.equal(rejoined.role, 'member');
+
+  response = await request('PUT', '/api/space/member-password', { token: admin.token, body: { memberPassword: '' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.hasMemberPassword, false);
+  assert.equal((await request('GET', '/api/items', { token: rejoined.token })).status, 401);
+  assert.equal((await request('GET', '/api/space', { token: admin.token })).body.hasMemberPassword, false);
+});
+
+test('PUT /api/space/member-password refuses passwords already in use', async () => {
+  const admin = await openSpace();
+  const other = await openSpace();
+
+  for (const memberPassword of [admin.password, other.password]) {
+    const response = await request('PUT', '/api/space/member-password', {
+      token: admin.token,
+      body: { memberPassword }
+    });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'That password is already in use');
+  }
+
+  const response = await request('PUT', '/api/space/member-password', { token: admin.token, body: {} });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Member password must be a string');
+});
+
+test('PUT /api/space/member-password refuses the password of an unclaimed legacy space', async () => {
+  const admin = await openSpace();
+  const legacyPassword = uniquePassword();
+  await createLegacySpace(legacyPassword);
+
+  const response = await request('PUT', '/api/space/member-password', {
+    token: admin.token,
+    body: { memberPassword: legacyPassword }
+  });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'That password is already in use');
+  assert.equal((await request('GET', '/api/space', { token: admin.token })).body.hasMemberPassword, false);
+
+  // The legacy space can still be claimed with its password
+  const legacy = await openSpace(legacyPassword);
+  assert.equal(legacy.role, 'admin');
+  assert.notEqual(legacy.spaceId, admin.spaceId);
+});
+
+test('PUT /api/space/member-password accepts the space\'s current member password again', async () => {
+  const { admin, member } = await openSpaceWithMember();
+
+  const response = await request('PUT', '/api/space/member-password', {
+    token: admin.token,
+    body: { memberPassword: member.password }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.hasMemberPassword, true);
+
+  // It still opens the space as a member, and nobody else's space can take it
+  assert.equal((await openSpace(member.password)).role, 'member');
+  const other = await openSpace();
+  const taken = await request('PUT', '/api/space/member-password', {
+    token: other.token,
+    body: { memberPassword: member.password }
+  });
+  assert.equal(taken.status, 409);
+});
+
+test('the member password survives an admin password change but not as the new admin password', async () => {
+  const { admin, member } = await openSpaceWithMember();
+
+  let response = await request('PUT', '/api/space/password', {
+    token: admin.token,
+    body: { currentPassword: admin.password, newPassword: member.password }
+  });
+  assert.equal(response.status, 409);
+
+  const newPassword = uniquePassword();
+  response = await request('PUT', '/api/space/password', {
+    token: admin.token,
+    body: { currentPassword: admin.password, newPassword }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.role, 'admin');
+
+  // Old member sessions named the old space ID; the member password still works
+  assert.equal((await request('GET', '/api/items', { token: member.token })).status, 404);
+  const rejoined = await openSpace(member.password);
+  assert.equal(rejoined.spaceId, response.body.spaceId);
+  assert.equal(rejoined.role, 'member');
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, uniquePassword } from './helpers.js';
+
+test('health checks need no session', async () => {
+  for (const path of ['/health', '/healthz']) {
+    const response = await request('GET', path);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+    assert.equal(response.body.storage, 'memory');
+  }
+});
+
+test('POST /api/session requires a password', async () => {
+  for (const body of [undefined, {}, { password: '' }, { password: 42 }]) {
+    const response = await request('POST', '/api/session', { body });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Password required');
+  }
+});
+
+test('POST /api/session returns a token for the password\'s space', async () => {
+  const password = uniquePassword();
+  const created = await request('POST', '/api/spaces', { body: { password } });
+  assert.equal(created.status, 201);
+
+  const response = await request('POST', '/api/session', { body: { password } });
+
+  assert.equal(response.status, 201);
+  assert.match(response.body.token, /^[\w-]+\.[\w-]+$/);
+  assert.match(response.body.spaceId, /^[0-9a-f]{16}$/);
+  assert.ok(new Date(response.body.expiresAt) > new Date());
+
+  // The same password always opens the same space
+  assert.equal(response.body.spaceId, created.body.spaceId);
+  const again = await openSpace(password);
+  assert.equal(again.spaceId, response.body.spaceId);
+  assert.notEqual(again.token, response.body.token);
+});
+
+test('different passwords open different spaces', async () => {
+  const first = await openSpace();
+  const second = await openSpace();
+  assert.notEqual(first.spaceId, second.spaceId);
+
+  await request('POST', '/api/items', { token: first.token, body: { item: 'Only here' } });
+  const response = await request('GET', '/api/items', { token: second.token });
+  assert.deepEqual(response.body, []);
+});
+
+test('protected routes require a session token', async () => {
+  const routes = [
+    ['GET', '/api/items'],
+    ['POST', '/api/items'],
+    ['DELETE', '/api/items/0'],
+    ['PATCH', '/api/items/0'],
+    ['PUT', '/api/items/order'],
+    ['POST', '/api/items/bulk'],
+    ['GET', '/api/export'],
+    ['GET', '/api/shares'],
+    ['POST', '/api/shares'],
+    ['DELETE', '/api/shares/0'],
+    ['POST', '/api/pick'],
+    ['GET', '/api/picked'],
+    ['GET', '/api/picks'],
+    ['GET', '/api/pool'],
+    ['PUT', '/api/pool'],
+    ['POST', '/api/pool/reset'],
+    ['GET', '/api/space'],
+    ['PATCH', '/api/space'],
+    ['POST', '/api/space/clear'],
+    ['PUT', '/api/space/password'],
+    ['PUT', '/api/space/member-password'],
+    ['DELETE', '/api/space'],
+    ['GET', '/api/events'],
+    ['GET', '/api/lists'],
+    ['POST', '/api/lists'],
+    ['PATCH', '/api/lists/default'],
+    ['DELETE', '/api/lists/default'],
+    ['GET', '/api/lists/default/items'],
+    ['DELETE', '/api/session']
+  ];
+
+  for (const [method, path] of routes) {
+    const response = await request(method, path);
+    assert.equal(response.status, 401, `${method} ${path}`);
+    assert.equal(response.body.error, 'Session required');
+  }
+});
+
+test('invalid and tampered tokens are rejected', async () => {
+  const { token } = await openSpace();
+  const [payload, signature] = token.split('.');
+
+  // Claims re-encoded for another space keep the old signature
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, sid: 'ffffffffffffffff' })).toString('base64url');
+
+  for (const badToken of ['not-a-token', `${payload}.`, `${forged}.${signature}`, `${payload}.${signature}x`]) {
+    const response = await request('GET', '/api/items', { token: badToken });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, 'Invalid or expired session');
+  }
+});
+
+test('DELETE /api/session revokes the token', async () => {
+  const { token, password } = await openSpace();
+
+  const response = await request('DELETE', '/api/session', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.success, true);
+
+  const after = await request('GET', '/api/items', { token });
+  assert.equal(after.status, 401);
+
+  // Other sessions on the same space are unaffected
+  const other = await openSpace(password);
+  const stillValid = await request('GET', '/api/items', { token: other.token });
+  assert.equal(stillValid.status, 200);
+});
+
+test('GET /api/space returns the public ID and timestamps', async () => {
+  const { token, spaceId } = await openSpace();
+
+  const response = await request('GET', '/api/space', { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.id, spaceId);
+  assert.ok(response.body.created);
+  assert.ok(response.body.lastModified);
+});
+
+test('unknown endpoints return 404', async () => {
+  const response = await request('GET', '/api/nothing-here');
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Endpoint not found');
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems } from './helpers.js';
+
+// Create a share link. Resolves to { share, token }.
+async function createShare(token, label) {
+  const response = await request('POST', '/api/shares', { token, body: label === undefined ? {} : { label } });
+  assert.equal(response.status, 201);
+  return response.body;
+}
+
+test('share links are created, listed and revoked', async () => {
+  const { token } = await openSpace();
+
+  const { share, token: shareToken } = await createShare(token, '  Kitchen display  ');
+  assert.equal(share.label, 'Kitchen display');
+  assert.match(shareToken, /^[A-Za-z0-9_-]{32}$/);
+
+  const unlabelled = await createShare(token);
+  assert.equal(unlabelled.share.label, null);
+
+  // The token is only shown when the link is created
+  let response = await request('GET', '/api/shares', { token });
+  assert.deepEqual(response.body.map(link => link.id), [share.id, unlabelled.share.id]);
+  assert.ok(response.body.every(link => !('token' in link)));
+
+  response = await request('DELETE', `/api/shares/${share.id}`, { token });
+  assert.equal(response.status, 200);
+
+  response = await request('GET', `/api/shared/${shareToken}`);
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Share link not found');
+
+  response = await request('DELETE', `/api/shares/${share.id}`, { token });
+  assert.equal(response.status, 404);
+});
+
+test('GET /api/shared/:token shows the space read-only without a session', async () => {
+  const { token } = await openSpace();
+  await request('PATCH', '/api/space', { token, body: { name: 'Lunch' } });
+  const items = await addItems(token, ['Pizza', 'Tacos']);
+  await request('PUT', '/api/pool', { token, body: { noRepeat: true } });
+  const pick = await request('POST', '/api/pick', { token, body: { pickedBy: 'Sam' } });
+  await request('POST', '/api/lists', { token, body: { name: 'Other' } });
+  const { token: shareToken } = await createShare(token);
+
+  const response = await request('GET', `/api/shared/${shareToken}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.space, { name: 'Lunch' });
+  assert.deepEqual(response.body.lists.map(list => list.name), ['Default', 'Other']);
+  assert.deepEqual(response.body.lists[0].items, items);
+  assert.equal(response.body.lists[0].pool.noRepeat, true);
+  assert.deepEqual(response.body.lastPicked, pick.body.lastPicked);
+  assert.equal(response.body.picks.length, 1);
+  assert.equal(response.body.picks[0].pickedBy, 'Sam');
+});
+
+test('share tokens cannot change anything', async () => {
+  const { token } = await openSpace();
+  await addItems(token, ['Pizza']);
+  const { token: shareToken } = await createShare(token);
+
+  // Nothing is mounted for changes under /api/shared
+  for (const [method, path] of [
+    ['POST', `/api/shared/${shareToken}/items`],
+    ['POST', `/api/shared/${shareToken}/pick`],
+    ['DELETE', `/api/shared/${shareToken}`]
+  ]) {
+    const response = await request(method, path, { body: { item: 'Sneaky' } });
+    assert.equal(response.status, 404, `${method} ${path}`);
+  }
+
+  // Nor is a share token a session
+  const response = await request('POST', '/api/items', { token: shareToken, body: { item: 'Sneaky' } });
+  assert.equal(response.status, 401);
+
+  const items = await request('GET', '/api/items', { token });
+  assert.deepEqual(items.body.map(item => item.name), ['Pizza']);
+});
+
+test('share links survive a password change and go with a deleted space', async () => {
+  const { token, password } = await openSpace();
+  await addItems(token, ['Kept']);
+  const { token: shareToken } = await createShare(token);
+
+  const changed = await request('PUT', '/api/space/password', {
+    token,
+    body: { currentPassword: password, newPassword: `${password}-new` }
+  });
+  let response = await request('GET', `/api/shared/${shareToken}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.lists[0].items.map(item => item.name), ['Kept']);
+
+  await request('DELETE', '/api/space', { token: changed.body.token, body: { password: `${password}-new` } });
+  response = await request('GET', `/api/shared/${shareToken}`);
+  assert.equal(response.status, 404);
+});
+
+test('POST /api/shares validates the label and limits links per space', async () => {
+  const { token } = await openSpace();
+
+  for (const [label, error] of [
+    [42, 'Label must be a string'],
+    ['x'.repeat(101), 'Label cannot exceed 100 characters'],
+    ['<script>', 'Invalid characters in label']
+  ]) {
+    const response = await request('POST', '/api/shares', { token, body: { label } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, error);
+  }
+
+  for (let i = 0; i < 20; i++) {
+    await createShare(token, `Link ${i}`);
+  }
+  const response = await request('POST', '/api/shares', { token, body: {} });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Maximum number of share links (20) reached');
+});
+
+test('share links only open their own space', async () => {
+  const first = await openSpace();
+  const second = await openSpace();
+  const { share } = await createShare(first.token);
+
+  // Another space can't revoke the link
+  const response = await request('DELETE', `/api/shares/${share.id}`, { token: second.token });
+  assert.equal(response.status, 404);
+  assert.equal((await request('GET', '/api/shares', { token: first.token })).body.length, 1);
+
+  const unknown = await request('GET', '/api/shared/not-a-real-token');
+  assert.equal(unknown.status, 404);
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, createLegacySpace, uniquePassword, addItems, namesAndWeights } from './helpers.js';
+
+test('PATCH /api/space names and unnames the space', async () => {
+  const { token, spaceId } = await openSpace();
+
+  let response = await request('GET', '/api/space', { token });
+  assert.equal(response.body.id, spaceId);
+  assert.equal(response.body.name, null);
+
+  response = await request('PATCH', '/api/space', { token, body: { name: '  Team lunch  ' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.space.name, 'Team lunch');
+
+  response = await request('GET', '/api/space', { token });
+  assert.equal(response.body.name, 'Team lunch');
+
+  response = await request('PATCH', '/api/space', { token, body: { name: '' } });
+  assert.equal(response.body.space.name, null);
+});
+
+test('PATCH /api/space validates the name', async () => {
+  const { token } = await openSpace();
+
+  const cases = [
+    [{}, 'Space name must be a string'],
+    [{ name: 42 }, 'Space name must be a string'],
+    [{ name: 'x'.repeat(101) }, 'Space name cannot exceed 100 characters'],
+    [{ name: '<script>' }, 'Invalid characters in space name']
+  ];
+
+  for (const [body, error] of cases) {
+    const response = await request('PATCH', '/api/space', { token, body });
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.equal(response.body.error, error);
+  }
+});
+
+test('POST /api/space/clear empties every list but keeps lists and history', async () => {
+  const { token } = await openSpace();
+  const items = await addItems(token, ['A', 'B', 'Gone']);
+  await request('DELETE', `/api/items/${items[2].id}`, { token });
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Other' } });
+  const otherPath = `/api/lists/${created.body.list.id}`;
+  await addItems(token, ['X'], otherPath);
+  await request('PUT', `${otherPath}/pool`, { token, body: { noRepeat: true } });
+  await request('POST', '/api/pick', { token });
+  await request('POST', '/api/bracket', { token });
+  await request('POST', '/api/poll', { token, body: { method: 'approval' } });
+  await request('POST', '/api/veto', { token });
+  await request('POST', '/api/draw', { token, body: { mode: 'shuffle' } });
+
+  const response = await request('POST', '/api/space/clear', { token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.lists.map(list => [list.name, list.itemCount]), [['Default', 0], ['Other', 0]]);
+
+  assert.deepEqual((await request('GET', '/api/items', { token })).body, []);
+  assert.deepEqual((await request('GET', `${otherPath}/pool`, { token })).body, { noRepeat: true, remaining: [] });
+  assert.equal((await request('GET', '/api/picked', { token })).body, null);
+  assert.equal((await request('GET', '/api/picks', { token })).body.total, 1);
+  assert.equal((await request('GET', '/api/bracket', { token })).body.bracket, null);
+  assert.equal((await request('GET', '/api/poll', { token })).body.poll, null);
+  assert.equal((await request('GET', '/api/veto', { token })).body.veto, null);
+  assert.deepEqual((await request('GET', '/api/items/removed', { token })).body.removed, []);
+  assert.equal((await request('GET', '/api/draw', { token })).body.lastDraw, null);
+});
+
+test('PUT /api/space/password moves the space to the new password', async () => {
+  const { token, spaceId, password } = await openSpace();
+  const other = await openSpace(password);
+  await addItems(token, ['Kept']);
+  await request('POST', '/api/pick', { token });
+
+  const newPassword = `${password}-rotated`;
+  const response = await request('PUT', '/api/space/password', {
+    token,
+    body: { currentPassword: password, newPassword }
+  });
+  assert.equal(response.status, 200);
+  assert.notEqual(response.body.spaceId, spaceId);
+  assert.ok(response.body.expiresAt);
+
+  // The caller carries on with the new token; every old session has ended
+  const items = await request('GET', '/api/items', { token: response.body.token });
+  assert.deepEqual(namesAndWeights(items.body), [{ name: 'Kept', weight: 1 }]);
+  for (const oldToken of [token, other.token]) {
+    const rejected = await request('GET', '/api/items', { token: oldToken });
+    assert.equal(rejected.status, 404);
+    assert.equal(rejected.body.error, 'Space not found');
+  }
+
+  // The new password opens the space and its history; the old one opens nothing
+  const reopened = await openSpace(newPassword);
+  assert.equal(reopened.spaceId, response.body.spaceId);
+  assert.equal((await request('GET', '/api/picks', { token: reopened.token })).body.total, 1);
+
+  assert.equal((await request('POST', '/api/session', { body: { password } })).status, 404);
+  const fresh = await openSpace(password);
+  assert.notEqual(fresh.spaceId, response.body.spaceId);
+  assert.deepEqual((await request('GET', '/api/items', { token: fresh.token })).body, []);
+});
+
+test('PUT /api/space/password checks both passwords', async () => {
+  const { token, password } = await openSpace();
+  const taken = await openSpace();
+
+  const cases = [
+    [{ currentPassword: password }, 400, 'New password required'],
+    [{ currentPassword: password, newPassword: password }, 400, 'New password must be different from the current one'],
+    [{ currentPassword: 'wrong', newPassword: 'whatever-else' }, 403, 'Current password is incorrect'],
+    [{ newPassword: 'whatever-else' }, 403, 'Current password is incorrect'],
+    [{ currentPassword: taken.password, newPassword: 'whatever-else' }, 403, 'Current password is incorrect'],
+    [{ currentPassword: password, newPassword: taken.password }, 409, 'That password is already used by another space']
+  ];
+
+  for (const [body, status, error] of cases) {
+    const response = await request('PUT', '/api/space/password', { token, body });
+    assert.equal(response.status, status, JSON.stringify(body));
+    assert.equal(response.body.error, error);
+  }
+
+  // Nothing changed
+  assert.equal((await request('GET', '/api/items', { token })).status, 200);
+});
+
+test('PUT /api/space/password refuses the password of an unclaimed legacy space', async () => {
+  const { token, spaceId, password } = await openSpace();
+  const legacyPassword = uniquePassword();
+  await createLegacySpace(legacyPassword);
+
+  const response = await request('PUT', '/api/space/password', {
+    token,
+    body: { currentPassword: password, newPassword: legacyPassword }
+  });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'That password is already used by another space');
+
+  // The legacy space can still be claimed with its password
+  const legacy = await openSpace(legacyPassword);
+  assert.notEqual(legacy.spaceId, spaceId);
+});
+
+test('DELETE /api/space deletes the space after checking the password', async () => {
+  const { token, spaceId, password } = await openSpace();
+  await addItems(token, ['Gone']);
+  await request('POST', '/api/pick', { token });
+
+  let response = await request('DELETE', '/api/space', { token, body: { password: 'wrong' } });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'Password is incorrect');
+
+  response = await request('DELETE', '/api/space', { token });
+  assert.equal(response.status, 403);
+
+  response = await request('DELETE', '/api/space', { token, body: { password } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.success, true);
+
+  response = await request('GET', '/api/items', { token });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Space not found');
+
+  // The password is free to create a brand-new, empty space
+  assert.equal((await request('POST', '/api/session', { body: { password } })).status, 404);
+  const fresh = await openSpace(password);
+  assert.notEqual(fresh.spaceId, spaceId);
+  assert.deepEqual((await request('GET', '/api/items', { token: fresh.token })).body, []);
+  assert.equal((await request('GET', '/api/picks', { token: fresh.token })).body.total, 0);
+});
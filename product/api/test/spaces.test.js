@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { datastore, request, openSpace, uniquePassword } from './helpers.js';
+
+test('POST /api/spaces creates a space and opens an admin session on it', async () => {
+  const password = uniquePassword();
+  const response = await request('POST', '/api/spaces', { body: { password } });
+
+  assert.equal(response.status, 201);
+  assert.match(response.body.token, /^[\w-]+\.[\w-]+$/);
+  assert.match(response.body.spaceId, /^[0-9a-f]{16}$/);
+  assert.equal(response.body.role, 'admin');
+
+  const space = await request('GET', '/api/space', { token: response.body.token });
+  assert.equal(space.status, 200);
+  assert.equal(space.body.id, response.body.spaceId);
+  assert.equal(space.body.name, null);
+  assert.deepEqual((await request('GET', '/api/items', { token: response.body.token })).body, []);
+});
+
+test('POST /api/spaces names the space when given a name', async () => {
+  const response = await request('POST', '/api/spaces', {
+    body: { password: uniquePassword(), name: '  Team lunch  ' }
+  });
+  assert.equal(response.status, 201);
+
+  const space = await request('GET', '/api/space', { token: response.body.token });
+  assert.equal(space.body.name, 'Team lunch');
+});
+
+test('POST /api/spaces validates its input', async () => {
+  for (const body of [undefined, {}, { password: '' }, { password: 42 }]) {
+    const response = await request('POST', '/api/spaces', { body });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Password required');
+  }
+
+  for (const name of [42, 'x'.repeat(101)]) {
+    const response = await request('POST', '/api/spaces', { body: { password: uniquePassword(), name } });
+    assert.equal(response.status, 400);
+  }
+});
+
+test('POST /api/spaces refuses passwords another space already uses', async () => {
+  const { admin, memberPassword } = await openSpaceWithMember();
+
+  for (const password of [admin.password, memberPassword]) {
+    const response = await request('POST', '/api/spaces', { body: { password } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'That password is already used by another space');
+  }
+});
+
+test('POST /api/session does not create a space for an unknown password', async () => {
+  const before = (await datastore.getAllSpaces()).length;
+
+  const response = await request('POST', '/api/session', { body: { password: uniquePassword() } });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Space not found');
+  assert.match(response.body.message, /POST \/api\/spaces/);
+  assert.equal((await datastore.getAllSpaces()).length, before);
+});
+
+test('sessions on a deleted space get 404', async () => {
+  const { token, password } = await openSpace();
+
+  let response = await request('DELETE', '/api/space', { token, body: { password } });
+  assert.equal(response.status, 200);
+
+  for (const path of ['/api/items', '/api/space', '/api/lists', '/api/picks']) {
+    response = await request('GET', path, { token });
+    assert.equal(response.status, 404, path);
+    assert.equal(response.body.error, 'Space not found');
+  }
+});
+
+// Open a space and give it a member password
+async function openSpaceWithMember() {
+  const admin = await openSpace();
+  const memberPassword = uniquePassword();
+  const response = await request('PUT', '/api/space/member-password', {
+    token: admin.token,
+    body: { memberPassword }
+  });
+  assert.equal(response.status, 200);
+  return { admin, memberPassword };
+}
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { datastore, url, request, openSpace, addItems } from './helpers.js';
+
+// Call the API with extra headers. Resolves to { status, etag, body }.
+async function requestWithHeaders(method, path, { token, body, headers = {} }) {
+  const response = await fetch(url(path), {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  return {
+    status: response.status,
+    etag: response.headers.get('etag'),
+    body: text ? JSON.parse(text) : null
+  };
+}
+
+test('GET /api/items sends the space version as its ETag', async () => {
+  const { token } = await openSpace();
+
+  let response = await requestWithHeaders('GET', '/api/items', { token });
+  assert.equal(response.status, 200);
+  assert.match(response.etag, /^"\d+"$/);
+  const before = response.etag;
+
+  // Every change moves the version on, and the change's response carries it
+  const added = await requestWithHeaders('POST', '/api/items', { token, body: { item: 'A' } });
+  assert.notEqual(added.etag, before);
+
+  response = await requestWithHeaders('GET', '/api/items', { token });
+  assert.equal(response.etag, added.etag);
+});
+
+test('If-Match lets a change through only at the current version', async () => {
+  const { token } = await openSpace();
+  const [item] = await addItems(token, ['A']);
+  const { etag } = await requestWithHeaders('GET', '/api/items', { token });
+
+  // Someone else changes the space in the meantime
+  const other = await requestWithHeaders('POST', '/api/items', {
+    token,
+    body: { item: 'B' },
+    headers: { 'If-Match': etag }
+  });
+  assert.equal(other.status, 200);
+
+  const stale = await requestWithHeaders('PATCH', `/api/items/${item.id}`, {
+    token,
+    body: { weight: 5 },
+    headers: { 'If-Match': etag }
+  });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.error, 'Space has changed');
+  assert.equal(stale.etag, other.etag);
+  assert.equal(`"${stale.body.version}"`, other.etag);
+
+  const items = await request('GET', '/api/items', { token });
+  assert.equal(items.body[0].weight, 1);
+
+  // Retrying with the current version succeeds
+  const retried = await requestWithHeaders('PATCH', `/api/items/${item.id}`, {
+    token,
+    body: { weight: 5 },
+    headers: { 'If-Match': stale.etag }
+  });
+  assert.equal(retried.status, 200);
+});
+
+test('If-Match accepts a list of ETags and *', async () => {
+  const { token } = await openSpace();
+  const { etag } = await requestWithHeaders('GET', '/api/items', { token });
+
+  let response = await requestWithHeaders('POST', '/api/items', {
+    token,
+    body: { item: 'A' },
+    headers: { 'If-Match': `"999999", ${etag}` }
+  });
+  assert.equal(response.status, 200);
+
+  response = await requestWithHeaders('POST', '/api/items', {
+    token,
+    body: { item: 'B' },
+    headers: { 'If-Match': '*' }
+  });
+  assert.equal(response.status, 200);
+
+  for (const header of ['nonsense', 'W/"1"', '"999999"']) {
+    response = await requestWithHeaders('POST', '/api/items', {
+      token,
+      body: { item: 'C' },
+      headers: { 'If-Match': header }
+    });
+    assert.equal(response.status, 412, header);
+  }
+});
+
+test('If-Match guards every kind of change', async () => {
+  const { token } = await openSpace();
+  const [item] = await addItems(token, ['A']);
+  const created = await request('POST', '/api/lists', { token, body: { name: 'Other' } });
+  const listId = created.body.list.id;
+  const headers = { 'If-Match': '"1"' };
+
+  const routes = [
+    ['POST', '/api/items', { item: 'B' }],
+    ['POST', '/api/items/bulk', { content: 'B' }],
+    ['DELETE', `/api/items/${item.id}`],
+    ['PATCH', `/api/items/${item.id}`, { name: 'B' }],
+    ['PUT', '/api/items/order', { order: [item.id] }],
+    ['POST', '/api/pick'],
+    ['PUT', '/api/pool', { noRepeat: true }],
+    ['POST', '/api/pool/reset'],
+    ['POST', '/api/lists', { name: 'New' }],
+    ['PATCH', `/api/lists/${listId}`, { name: 'Renamed' }],
+    ['DELETE', `/api/lists/${listId}`],
+    ['PATCH', '/api/space', { name: 'Renamed' }],
+    ['POST', '/api/space/clear']
+  ];
+
+  for (const [method, path, body] of routes) {
+    const response = await requestWithHeaders(method, path, { token, body, headers });
+    assert.equal(response.status, 412, `${method} ${path}`);
+  }
+
+  const lists = await request('GET', '/api/lists', { token });
+  assert.deepEqual(lists.body.map(list => list.name), ['Default', 'Other']);
+});
+
+test('a stale expected version is refused when the change is saved', async () => {
+  const { spaceId } = await openSpace();
+  const { version } = await datastore.getSpace(spaceId);
+
+  await datastore.addItem(spaceId, 'A', 1, 'default', { expectedVersion: version });
+  await assert.rejects(
+    datastore.addItem(spaceId, 'B', 1, 'default', { expectedVersion: version }),
+    { message: 'Space has changed' }
+  );
+  await assert.rejects(
+    datastore.updateSpace(spaceId, { items: [] }, { expectedVersion: version }),
+    { message: 'Space has changed' }
+  );
+
+  const space = await datastore.getSpace(spaceId);
+  assert.deepEqual(space.items.map(item => item.name), ['A']);
+  assert.equal(space.version, version + 1);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, openSpace, addItems, uniquePassword } from './helpers.js';
+
+// Open a space with the given items in its default list, plus a second
+// session on it through a member password
+async function openSpaceWithMember(names) {
+  const admin = await openSpace();
+  const items = await addItems(admin.token, names);
+  const memberPassword = uniquePassword();
+  await request('PUT', '/api/space/member-password', { token: admin.token, body: { memberPassword } });
+  const member = await openSpace(memberPassword);
+  return { admin, member, items };
+}
+
+test('POST /api/veto starts a round and everyone strikes their own share', async () => {
+  const { admin, member, items } = await openSpaceWithMember(['Tacos', 'Sushi', 'Pho', 'Pizza']);
+
+  let response = await request('GET', '/api/veto', { token: admin.token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.veto, null);
+
+  response = await request('POST', '/api/veto', { token: member.token, body: { maxVetoes: 1 } });
+  assert.equal(response.status, 201);
+  assert.equal(response.body.veto.status, 'open');
+  assert.equal(response.body.veto.myVetoesLeft, 1);
+  assert.deepEqual(response.body.veto.survivors, items.map(item => item.id));
+
+  response = await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: items[0].id, vetoedBy: 'Ana' } });
+  assert.equal(response.status, 200);
+  const { veto } = response.body;
+  assert.equal(veto.myVetoesLeft, 0);
+  assert.equal(veto.strikes.length, 1);
+  assert.equal(veto.strikes[0].itemId, items[0].id);
+  assert.equal(veto.strikes[0].vetoedBy, 'Ana');
+  assert.equal(veto.strikes[0].mine, true);
+
+  response = await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: items[1].id } });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'You have used all your vetoes');
+
+  response = await request('POST', '/api/veto/strikes', { token: member.token, body: { itemId: items[0].id } });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Someone has already vetoed that item');
+
+  response = await request('POST', '/api/veto/strikes', { token: member.token, body: { itemId: items[1].id } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.veto.strikes.map(strike => strike.mine), [false, true]);
+  assert.deepEqual(response.body.veto.survivors, [items[2].id, items[3].id]);
+
+  // Only one round at a time
+  response = await request('POST', '/api/veto', { token: admin.token });
+  assert.equal(response.status, 409);
+});
+
+test('strikes can be taken back only by whoever made them', async () => {
+  const { admin, member, items } = await openSpaceWithMember(['Tacos', 'Sushi', 'Pho']);
+  await request('POST', '/api/veto', { token: admin.token });
+  await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: items[0].id } });
+
+  let response = await request('DELETE', `/api/veto/strikes/${items[0].id}`, { token: member.token });
+  assert.equal(response.status, 403);
+
+  response = await request('DELETE', `/api/veto/strikes/${items[0].id}`, { token: admin.token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.veto.strikes, []);
+  assert.equal(response.body.veto.myVetoesLeft, 1);
+
+  response = await request('DELETE', `/api/veto/strikes/${items[0].id}`, { token: admin.token });
+  assert.equal(response.status, 404);
+});
+
+test('finalizing picks from the items nobody struck', async () => {
+  const { admin, member, items } = await openSpaceWithMember(['Tacos', 'Sushi', 'Pho']);
+  await request('POST', '/api/veto', { token: admin.token, body: { maxVetoes: 2 } });
+  await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: items[0].id } });
+  await request('POST', '/api/veto/strikes', { token: member.token, body: { itemId: items[2].id } });
+
+  // The last item standing can't be struck
+  let response = await request('POST', '/api/veto/strikes', { token: member.token, body: { itemId: items[1].id } });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'The last item left cannot be vetoed');
+
+  response = await request('POST', '/api/veto/finalize', { token: admin.token, body: { pickedBy: 'Ben' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.veto.status, 'finished');
+  assert.equal(response.body.lastPicked.itemId, items[1].id);
+  assert.equal(response.body.lastPicked.pickedBy, 'Ben');
+  assert.equal(response.body.lastPicked.draw.vetoed, 2);
+
+  response = await request('GET', '/api/picks', { token: admin.token });
+  assert.equal(response.body.picks[0].item, 'Sushi');
+
+  response = await request('POST', '/api/veto/finalize', { token: admin.token });
+  assert.equal(response.status, 409);
+  response = await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: items[1].id } });
+  assert.equal(response.status, 409);
+
+  // A finished round can be replaced by a new one
+  assert.equal((await request('POST', '/api/veto', { token: admin.token })).status, 201);
+});
+
+test('veto rounds are validated and only admins remove them', async () => {
+  const { admin, member, items } = await openSpaceWithMember(['Tacos', 'Sushi']);
+
+  let response = await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: items[0].id } });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'No veto round on this list');
+
+  for (const maxVetoes of [0, 11, 1.5, '2']) {
+    response = await request('POST', '/api/veto', { token: admin.token, body: { maxVetoes } });
+    assert.equal(response.status, 400);
+  }
+
+  await request('POST', '/api/veto', { token: admin.token });
+  response = await request('POST', '/api/veto/strikes', { token: admin.token, body: {} });
+  assert.equal(response.status, 400);
+  response = await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: 'missing' } });
+  assert.equal(response.status, 404);
+  response = await request('POST', '/api/veto/strikes', { token: admin.token, body: { itemId: items[0].id, vetoedBy: 'x'.repeat(51) } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'vetoedBy cannot exceed 50 characters');
+
+  response = await request('DELETE', '/api/veto', { token: member.token });
+  assert.equal(response.status, 403);
+  response = await request('DELETE', '/api/veto', { token: admin.token });
+  assert.equal(response.status, 200);
+  assert.equal((await request('GET', '/api/veto', { token: member.token })).body.veto, null);
+});
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+
+/**
+ * Veto rounds: striking items before a pick
+ *
+ * While a veto round is open, each participant (session) may strike up to
+ * `maxVetoes` of a list's items. Finishing the round draws the pick from the
+ * items nobody struck, so the last item standing can never be struck.
+ *
+ * Strikes refer to the list's live items; a strike on an item that has since
+ * been removed no longer counts against anyone.
+ *
+ * Veto round shape:
+ *   { id, maxVetoes, strikes: { [itemId]: strike }, created, finished }
+ *   strike: { voterId, vetoedBy, at }
+ * `voterId` is the session that struck the item, and `vetoedBy` the name
+ * they gave, if any. Only that session can take the strike back.
+ */
+
+const DEFAULT_VETOES = 1;
+const MAX_VETOES = 10;
+
+// Start a veto round allowing `maxVetoes` strikes per participant
+function createVeto(maxVetoes = DEFAULT_VETOES) {
+  return {
+    id: crypto.randomUUID(),
+    maxVetoes,
+    strikes: {},
+    created: new Date().toISOString(),
+    finished: null
+  };
+}
+
+// Strikes on items still in the list, as [itemId, strike] pairs
+function currentStrikes(veto, items) {
+  return items.filter(item => veto.strikes[item.id]).map(item => [item.id, veto.strikes[item.id]]);
+}
+
+// Items nobody has struck
+function survivors(veto, items) {
+  return items.filter(item => !veto.strikes[item.id]);
+}
+
+// How many more items `voterId` may strike
+function vetoesLeft(veto, items, voterId) {
+  const used = currentStrikes(veto, items).filter(([, strike]) => strike.voterId === voterId).length;
+  return Math.max(0, veto.maxVetoes - used);
+}
+
+// Strike an item from `items` on behalf of `voterId`
+function strikeItem(veto, items, itemId, voterId, vetoedBy) {
+  if (veto.finished) {
+    throw new Error('Veto round is finished');
+  }
+  if (veto.strikes[itemId]) {
+    throw new Error('Item already vetoed');
+  }
+  if (vetoesLeft(veto, items, voterId) === 0) {
+    throw new Error('No vetoes left');
+  }
+  if (survivors(veto, items).length <= 1) {
+    throw new Error('Last item cannot be vetoed');
+  }
+
+  veto.strikes[itemId] = { voterId, vetoedBy, at: new Date().toISOString() };
+}
+
+// Take back `voterId`'s strike on an item
+function unstrikeItem(veto, itemId, voterId) {
+  if (veto.finished) {
+    throw new Error('Veto round is finished');
+  }
+
+  const strike = veto.strikes[itemId];
+  if (!strike) {
+    throw new Error('Veto not found');
+  }
+  if (strike.voterId !== voterId) {
+    throw new Error('Not your veto');
+  }
+
+  delete veto.strikes[itemId];
+}
+
+// Close the round and return the items left to draw from
+function finishVeto(veto, items) {
+  if (veto.finished) {
+    throw new Error('Veto round is finished');
+  }
+
+  const remaining = survivors(veto, items);
+  if (remaining.length === 0) {
+    throw new Error('No items left');
+  }
+
+  veto.finished = new Date().toISOString();
+  return remaining;
+}
+
+export {
+  DEFAULT_VETOES,
+  MAX_VETOES,
+  createVeto,
+  currentStrikes,
+  survivors,
+  vetoesLeft,
+  strikeItem,
+  unstrikeItem,
+  finishVeto
+};
@@ -1,5 +1,107 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import config from './config'
+import { apiFetch, onUnauthorized } from './api'
+import PickHistory from './PickHistory'
+import Bracket from './Bracket'
+import Poll from './Poll'
+import VetoRound from './VetoRound'
+import MultiPick from './MultiPick'
+import Presence from './Presence'
+import ImportExport from './ImportExport'
+import ListSwitcher, { DEFAULT_LIST_ID } from './ListSwitcher'
+import SpaceSettings from './SpaceSettings'
+import SharedView from './SharedView'
+import { subscribeToEvents } from './events'
+
+// Describe how a list's items changed between two copies of it, for when
+// someone else's edit got in first
+function describeChanges(before, after) {
+  const beforeById = new Map(before.map(item => [item.id, item]))
+  const afterIds = new Set(after.map(item => item.id))
+  const changes = []
+
+  const added = after.filter(item => !beforeById.has(item.id)).map(item => item.name)
+  const removed = before.filter(item => !afterIds.has(item.id)).map(item => item.name)
+  const renamed = []
+  const reweighted = []
+  for (const item of after) {
+    const old = beforeById.get(item.id)
+    if (!old) continue
+    if (old.name !== item.name) renamed.push(`${old.name} to ${item.name}`)
+    if (old.weight !== item.weight) reweighted.push(item.name)
+  }
+  const keptBefore = before.filter(item => afterIds.has(item.id)).map(item => item.id)
+  const keptAfter = after.filter(item => beforeById.has(item.id)).map(item => item.id)
+
+  if (added.length > 0) changes.push(`added ${added.join(', ')}`)
+  if (removed.length > 0) changes.push(`removed ${removed.join(', ')}`)
+  if (renamed.length > 0) changes.push(`renamed ${renamed.join(', ')}`)
+  if (reweighted.length > 0) changes.push(`changed the weight of ${reweighted.join(', ')}`)
+  if (keptBefore.join() !== keptAfter.join()) changes.push('reordered the items')
+
+  if (changes.length === 0) {
+    return 'Someone else changed this space while you were editing. Please try again.'
+  }
+  return `Someone else changed this list while you were editing: they ${changes.join('; ')}. Please check and try again.`
+}
+
+// What to tell the user when joining or creating a space failed
+function describeLoginError(err, isCreating) {
+  if (err.status === 404) {
+    return 'No space uses that password. Check it, or create a new space.'
+  }
+  if (err.status === 409) {
+    return 'That password is already used by another space. Join it instead, or choose another password.'
+  }
+  if (err.status === 400 || err.status === 429) {
+    return err.message
+  }
+  return isCreating
+    ? 'Failed to create the space. Make sure the server is running.'
+    : 'Failed to open the space. Make sure the server is running.'
+}
+
+// Bracket events leave out everyone's own votes, so carry ours over from
+// the copy we had
+function keepMyVotes(previous, next) {
+  if (!previous || !next || previous.id !== next.id) return next
+
+  const myVotes = new Map(previous.rounds.flat().map(match => [match.id, match.myVote]))
+  return {
+    ...next,
+    rounds: next.rounds.map(round => round.map(match => ({ ...match, myVote: myVotes.get(match.id) ?? null })))
+  }
+}
+
+// Poll events leave out everyone's own ballot, so carry ours over from the
+// copy we had
+function keepMyBallot(previous, next) {
+  if (!previous || !next || previous.id !== next.id) return next
+  return { ...next, myBallot: previous.myBallot ?? null }
+}
+
+// Veto events leave out which strikes are ours, so carry that over from the
+// copy we had; a round we haven't seen yet has none of ours
+function keepMyStrikes(previous, next) {
+  if (!next) return next
+
+  const mine = new Set(previous?.id === next.id
+    ? previous.strikes.filter(strike => strike.mine).map(strike => strike.itemId)
+    : [])
+  const strikes = next.strikes.map(strike => ({ ...strike, mine: mine.has(strike.itemId) }))
+  const used = strikes.filter(strike => strike.mine).length
+  return { ...next, strikes, myVetoesLeft: Math.max(0, next.maxVetoes - used) }
+}
+
+// Why the space closed an open session, by the `closed` event's reason
+const CLOSED_MESSAGES = {
+  'deleted': 'This space has been deleted.',
+  'password-changed': 'The password for this space has been changed. Please enter the new password.',
+  'member-password-changed': 'The member password for this space has been changed. Please enter the new password.'
+}
+
+// Token of the read-only share link the page was opened with (`?share=...`)
+const SHARE_TOKEN = new URLSearchParams(window.location.search).get('share')
 
 function App() {
   const [items, setItems] = useState([])
@@ -8,38 +110,218 @@ function App() {
   const [isAnimating, setIsAnimating] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [password, setPassword] = useState('')
+  const [token, setToken] = useState('')
   const [isAuthenticated, setIsAuthenticated] = useState(false)
   const [passwordInput, setPasswordInput] = useState('')
+  const [loginMode, setLoginMode] = useState('join') // 'join' or 'create'
+  const [newSpaceName, setNewSpaceName] = useState('')
+  const [loginError, setLoginError] = useState(null)
+  const [pickerName, setPickerName] = useState(() => localStorage.getItem('youpick-name') || '')
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0)
+  const [pool, setPool] = useState({ noRepeat: false, remaining: [] })
+  const [bracket, setBracket] = useState(null)
+  const [poll, setPoll] = useState(null)
+  const [veto, setVeto] = useState(null)
+  const [lastDraw, setLastDraw] = useState(null)
+  const [removedItems, setRemovedItems] = useState([])
+  const [participants, setParticipants] = useState([])
+  const [presenceId, setPresenceId] = useState(null) // our own ID among the participants
+  const [currentListId, setCurrentListId] = useState(DEFAULT_LIST_ID)
+  const [listsRefreshKey, setListsRefreshKey] = useState(0)
+  const [spaceId, setSpaceId] = useState(null)
+  const [spaceName, setSpaceName] = useState(null)
+  const [role, setRole] = useState(null) // 'admin' or 'member'
+  const [hasMemberPassword, setHasMemberPassword] = useState(false)
+  const [editingItemId, setEditingItemId] = useState(null)
+  const [editValue, setEditValue] = useState('')
+  const [draggedItemId, setDraggedItemId] = useState(null)
+
+  // Live event handlers run outside React's render cycle, so they read these
+  // refs instead of possibly stale state
+  const currentListIdRef = useRef(currentListId)
+  const isAnimatingRef = useRef(isAnimating)
+  const shownPickRef = useRef(null) // timestamp of the pick currently shown
+  const dragStartOrderRef = useRef(null) // item IDs before the current drag
+  const versionRef = useRef(null) // ETag of the space version our copy reflects
+
+  useEffect(() => {
+    currentListIdRef.current = currentListId
+  }, [currentListId])
 
-  // Check for stored password on component mount
   useEffect(() => {
-    const storedPassword = sessionStorage.getItem('youpick-password')
-    if (storedPassword) {
-      setPassword(storedPassword)
+    isAnimatingRef.current = isAnimating
+  }, [isAnimating])
+
+  // Resume a stored session on component mount. Only the session token is
+  // kept; the password never leaves the login form.
+  useEffect(() => {
+    const storedToken = sessionStorage.getItem('youpick-token')
+    if (storedToken && !SHARE_TOKEN) {
+      setToken(storedToken)
       setIsAuthenticated(true)
-      fetchItems(storedPassword)
+      fetchSpace(storedToken)
+      fetchItems(storedToken)
+      fetchPool(storedToken)
+      fetchBracket(storedToken)
+      fetchPoll(storedToken)
+      fetchVeto(storedToken)
+      fetchLastDraw(storedToken)
+      fetchRemovedItems(storedToken)
     } else {
       setIsLoading(false)
     }
   }, [])
 
-  const fetchItems = async (userPassword = password) => {
-    if (!userPassword) return
+  // Send the user back to the login screen once the token stops working
+  useEffect(() => {
+    onUnauthorized((reason) => {
+      clearSession()
+      setLoginError(reason === 'space-not-found'
+        ? CLOSED_MESSAGES['deleted']
+        : 'Your session has expired. Please enter the password again.')
+    })
+    return () => onUnauthorized(null)
+  }, [])
+
+  // Apply changes made by everyone else in the space as they happen
+  useEffect(() => {
+    if (!isAuthenticated || !token) return
+
+    const handleEvent = (type, payload) => {
+      // Every event is applied, so our copy is now at the event's version
+      if (payload.version) {
+        versionRef.current = `"${payload.version}"`
+      }
+
+      if (type === 'closed') {
+        // The space was deleted or a password changed by someone else
+        clearSession()
+        setLoginError(CLOSED_MESSAGES[payload.reason] || CLOSED_MESSAGES['password-changed'])
+        return
+      }
+
+      if (type === 'space') {
+        setSpaceName(payload.name)
+        return
+      }
+
+      if (type === 'presence') {
+        setParticipants(payload.participants)
+        return
+      }
+
+      if (type === 'lists') {
+        setListsRefreshKey(key => key + 1)
+        // Fall back to the default list if ours was deleted
+        if (!payload.lists.some(list => list.id === currentListIdRef.current)) {
+          handleSelectList(DEFAULT_LIST_ID)
+        }
+        return
+      }
+
+      if (payload.listId !== currentListIdRef.current) return
+
+      if (type === 'items') {
+        setItems(payload.items)
+        setPool(payload.pool)
+        if (payload.removed) setRemovedItems(payload.removed)
+      } else if (type === 'pool') {
+        setPool(payload.pool)
+      } else if (type === 'bracket') {
+        setBracket(previous => keepMyVotes(previous, payload.bracket))
+      } else if (type === 'poll') {
+        setPoll(previous => keepMyBallot(previous, payload.poll))
+      } else if (type === 'veto') {
+        setVeto(previous => keepMyStrikes(previous, payload.veto))
+      } else if (type === 'draw') {
+        setLastDraw(payload.lastDraw)
+      } else if (type === 'pick') {
+        setPool(payload.pool)
+        setHistoryRefreshKey(key => key + 1)
+        // Our own picks are shown from the POST response instead
+        if (isAnimatingRef.current || shownPickRef.current === payload.lastPicked.timestamp) return
+        showPick(payload.lastPicked, 500)
+      }
+    }
+
+    return subscribeToEvents(token, handleEvent)
+  }, [isAuthenticated, token])
+
+  // Go by our nickname in the space, so others see who is here and who added,
+  // removed or picked what. Waits for typing to pause before sending.
+  useEffect(() => {
+    if (!isAuthenticated || !token) return
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch(token, '/session/nickname', {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ nickname: pickerName.trim() })
+        })
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}))
+          throw new Error(errorData.error || 'Failed to set nickname')
+        }
+        const data = await response.json()
+        setPresenceId(data.id)
+      } catch (err) {
+        console.error('Error setting nickname:', err)
+      }
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [isAuthenticated, token, pickerName])
+
+  // Reveal a pick after the picking animation has run for `delay` ms
+  const showPick = (lastPicked, delay) => {
+    shownPickRef.current = lastPicked.timestamp
+    setIsAnimating(true)
+    setPickedItem(null)
+    setTimeout(() => {
+      setPickedItem({
+        name: lastPicked.item,
+        id: lastPicked.itemId
+      })
+      setIsAnimating(false)
+    }, delay)
+  }
+
+  // Load the space's public ID, shown in place of the password
+  const fetchSpace = async (userToken = token) => {
+    try {
+      const response = await apiFetch(userToken, '/space')
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to fetch space')
+      }
+      const data = await response.json()
+      setSpaceId(data.id)
+      setSpaceName(data.name)
+      setRole(data.role)
+      setHasMemberPassword(data.hasMemberPassword)
+    } catch (err) {
+      console.error('Error fetching space:', err)
+    }
+  }
+
+  // Path of the item, pick and pool routes of a list
+  const listPath = (listId = currentListId) => `/lists/${listId}`
+
+  const fetchItems = async (userToken = token, listId = currentListId) => {
+    if (!userToken) return
 
     try {
       setIsLoading(true)
       setError(null)
-      const response = await fetch(`${config.API_SERVER_URL}/items`, {
-        headers: {
-          'X-Password': userPassword
-        }
-      })
+      const response = await apiFetch(userToken, `${listPath(listId)}/items`)
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
         throw new Error(errorData.message || 'Failed to fetch items')
       }
       const data = await response.json()
+      versionRef.current = response.headers.get('ETag')
       setItems(data)
     } catch (err) {
       setError('Failed to load items. Make sure the server is running.')
@@ -49,26 +331,185 @@ function App() {
     }
   }
 
+  const fetchPool = async (userToken = token, listId = currentListId) => {
+    if (!userToken) return
+
+    try {
+      const response = await apiFetch(userToken, `${listPath(listId)}/pool`)
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to fetch pool')
+      }
+      setPool(await response.json())
+    } catch (err) {
+      console.error('Error fetching pool:', err)
+    }
+  }
+
+  const fetchBracket = async (userToken = token, listId = currentListId) => {
+    if (!userToken) return
+
+    try {
+      const response = await apiFetch(userToken, `${listPath(listId)}/bracket`)
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to fetch bracket')
+      }
+      const data = await response.json()
+      setBracket(data.bracket)
+    } catch (err) {
+      console.error('Error fetching bracket:', err)
+    }
+  }
+
+  const fetchPoll = async (userToken = token, listId = currentListId) => {
+    if (!userToken) return
+
+    try {
+      const response = await apiFetch(userToken, `${listPath(listId)}/poll`)
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to fetch poll')
+      }
+      const data = await response.json()
+      setPoll(data.poll)
+    } catch (err) {
+      console.error('Error fetching poll:', err)
+    }
+  }
+
+  const fetchVeto = async (userToken = token, listId = currentListId) => {
+    if (!userToken) return
+
+    try {
+      const response = await apiFetch(userToken, `${listPath(listId)}/veto`)
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to fetch veto round')
+      }
+      const data = await response.json()
+      setVeto(data.veto)
+    } catch (err) {
+      console.error('Error fetching veto round:', err)
+    }
+  }
+
+  // Load a list's latest multi-item draw
+  const fetchLastDraw = async (userToken = token, listId = currentListId) => {
+    if (!userToken) return
+
+    try {
+      const response = await apiFetch(userToken, `${listPath(listId)}/draw`)
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to fetch draw')
+      }
+      const data = await response.json()
+      setLastDraw(data.lastDraw)
+    } catch (err) {
+      console.error('Error fetching draw:', err)
+    }
+  }
+
+  // Load the items most recently removed from a list, and who removed them
+  const fetchRemovedItems = async (userToken = token, listId = currentListId) => {
+    if (!userToken) return
+
+    try {
+      const response = await apiFetch(userToken, `${listPath(listId)}/items/removed`)
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to fetch removed items')
+      }
+      const data = await response.json()
+      setRemovedItems(data.removed)
+    } catch (err) {
+      console.error('Error fetching removed items:', err)
+    }
+  }
+
+  // Strike an item in the open veto round, or take our strike back
+  const handleToggleVeto = async (itemId, isMine) => {
+    try {
+      setError(null)
+      const response = await apiFetch(token, `${listPath()}/veto/strikes${isMine ? `/${itemId}` : ''}`, {
+        method: isMine ? 'DELETE' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        ...(isMine ? {} : { body: JSON.stringify({ itemId, vetoedBy: pickerName.trim() }) })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update veto')
+      }
+      setVeto(data.veto)
+    } catch (err) {
+      setError(err.message)
+      console.error('Error updating veto:', err)
+    }
+  }
+
+  // Show the winner of a bracket or poll, or a veto round's draw, as the
+  // pick it became
+  const handleDecided = (lastPicked) => {
+    shownPickRef.current = lastPicked.timestamp
+    setPickedItem({
+      name: lastPicked.item,
+      id: lastPicked.itemId
+    })
+    setHistoryRefreshKey(key => key + 1)
+  }
+
+  // Headers for a change that should only apply to the version we have.
+  // The server answers 412 if someone else changed the space first.
+  const versionHeaders = () => ({
+    'Content-Type': 'application/json',
+    ...(versionRef.current ? { 'If-Match': versionRef.current } : {})
+  })
+
+  // Load the list as it is now after a 412 and show what changed, so the
+  // user can decide whether to redo their change
+  const handleConflict = async (before = items) => {
+    try {
+      const response = await apiFetch(token, `${listPath()}/items`)
+      if (!response.ok) {
+        throw new Error('Failed to fetch items')
+      }
+      const after = await response.json()
+      versionRef.current = response.headers.get('ETag')
+      setItems(after)
+      setError(describeChanges(before, after))
+      fetchPool()
+    } catch (err) {
+      setError('Someone else changed this list. Please reload the page.')
+      console.error('Error reloading items after a conflict:', err)
+    }
+  }
+
   const handleAddItem = async (e) => {
     e.preventDefault()
     if (inputValue.trim()) {
       try {
         setError(null)
-        const response = await fetch(`${config.API_SERVER_URL}/items`, {
+        const response = await apiFetch(token, `${listPath()}/items`, {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Password': password
-          },
+          headers: versionHeaders(),
           body: JSON.stringify({ item: inputValue.trim() })
         })
+        if (response.status === 412) {
+          await handleConflict()
+          return
+        }
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({}))
           throw new Error(errorData.error || 'Failed to add item')
         }
         const data = await response.json()
+        versionRef.current = response.headers.get('ETag')
         setItems(data.items)
         setInputValue('')
+        fetchPool()
       } catch (err) {
         setError('Failed to add item. Please try again.')
         console.error('Error adding item:', err)
@@ -76,81 +517,419 @@ function App() {
     }
   }
 
-  const handleRemoveItem = async (indexToRemove) => {
+  const handleImported = (importedItems) => {
+    setItems(importedItems)
+    fetchPool()
+  }
+
+  const handleRemoveItem = async (itemId) => {
     try {
       setError(null)
-      const response = await fetch(`${config.API_SERVER_URL}/items/${indexToRemove}`, {
+      const response = await apiFetch(token, `${listPath()}/items/${itemId}`, {
         method: 'DELETE',
-        headers: {
-          'X-Password': password
-        }
+        headers: versionHeaders()
       })
+      if (response.status === 412) {
+        await handleConflict()
+        return
+      }
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
         throw new Error(errorData.error || 'Failed to remove item')
       }
       const data = await response.json()
+      versionRef.current = response.headers.get('ETag')
       setItems(data.items)
-      if (pickedItem && pickedItem.index === indexToRemove) {
+      if (pickedItem && pickedItem.id === itemId) {
         setPickedItem(null)
       }
+      fetchPool()
     } catch (err) {
       setError('Failed to remove item. Please try again.')
       console.error('Error removing item:', err)
     }
   }
 
+  const handleUpdateWeight = async (itemId, weight) => {
+    const item = items.find(item => item.id === itemId)
+    if (!item || !Number.isInteger(weight) || weight === item.weight) return
+
+    try {
+      setError(null)
+      const response = await apiFetch(token, `${listPath()}/items/${itemId}`, {
+        method: 'PATCH',
+        headers: versionHeaders(),
+        body: JSON.stringify({ weight })
+      })
+      if (response.status === 412) {
+        await handleConflict()
+        return
+      }
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to update weight')
+      }
+      const data = await response.json()
+      versionRef.current = response.headers.get('ETag')
+      setItems(data.items)
+    } catch (err) {
+      setError('Failed to update weight. Weights must be whole numbers from 1 to 100.')
+      console.error('Error updating weight:', err)
+    }
+  }
+
+  const startEditing = (item) => {
+    setEditingItemId(item.id)
+    setEditValue(item.name)
+  }
+
+  const handleRenameItem = async (e) => {
+    e.preventDefault()
+    const item = items.find(item => item.id === editingItemId)
+    const name = editValue.trim()
+    if (!item || !name || name === item.name) {
+      setEditingItemId(null)
+      return
+    }
+
+    try {
+      setError(null)
+      const response = await apiFetch(token, `${listPath()}/items/${item.id}`, {
+        method: 'PATCH',
+        headers: versionHeaders(),
+        body: JSON.stringify({ name })
+      })
+      if (response.status === 412) {
+        setEditingItemId(null)
+        await handleConflict()
+        return
+      }
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to rename item')
+      }
+      const data = await response.json()
+      versionRef.current = response.headers.get('ETag')
+      setItems(data.items)
+      setEditingItemId(null)
+    } catch (err) {
+      setError(err.message === 'Item already exists'
+        ? 'Another item already has that name.'
+        : 'Failed to rename item. Please try again.')
+      console.error('Error renaming item:', err)
+    }
+  }
+
+  const handleDragStart = (e, itemId) => {
+    dragStartOrderRef.current = items.map(item => item.id)
+    setDraggedItemId(itemId)
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', itemId) // Firefox won't start a drag without data
+    // Drag the whole row rather than just its handle
+    e.dataTransfer.setDragImage(e.currentTarget.parentElement, 0, 0)
+  }
+
+  // Move the dragged item into the hovered item's place while dragging
+  const handleDragOver = (e, overItemId) => {
+    if (!draggedItemId) return
+    e.preventDefault()
+    if (overItemId === draggedItemId) return
+
+    setItems(current => {
+      const from = current.findIndex(item => item.id === draggedItemId)
+      const to = current.findIndex(item => item.id === overItemId)
+      if (from === -1 || to === -1) return current
+      const reordered = [...current]
+      reordered.splice(to, 0, ...reordered.splice(from, 1))
+      return reordered
+    })
+  }
+
+  // Save the new order once the item is dropped
+  const handleDragEnd = async () => {
+    const startOrder = dragStartOrderRef.current
+    dragStartOrderRef.current = null
+    setDraggedItemId(null)
+
+    const order = items.map(item => item.id)
+    if (!startOrder || order.join() === startOrder.join()) return
+
+    try {
+      setError(null)
+      const response = await apiFetch(token, `${listPath()}/items/order`, {
+        method: 'PUT',
+        headers: versionHeaders(),
+        body: JSON.stringify({ order })
+      })
+      if (response.status === 412) {
+        // Compare against the order before our drag, not our local reordering
+        const byId = new Map(items.map(item => [item.id, item]))
+        await handleConflict(startOrder.map(id => byId.get(id)))
+        return
+      }
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to reorder items')
+      }
+      const data = await response.json()
+      versionRef.current = response.headers.get('ETag')
+      setItems(data.items)
+    } catch (err) {
+      // Someone else may have changed the list meanwhile; show its current order
+      setError('Failed to reorder items. Please try again.')
+      console.error('Error reordering items:', err)
+      fetchItems()
+    }
+  }
+
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0)
+
+  // In no-repeat mode, items already drawn this round are out of the bag
+  const isDrawn = (item) => pool.noRepeat && !pool.remaining.includes(item.id)
+
+  // Tooltip for an item: who added it and when, and how to rename it
+  const describeItem = (item) => {
+    const parts = []
+    if (item.addedAt) {
+      parts.push(`Added${item.addedBy ? ` by ${item.addedBy}` : ''} ${new Date(item.addedAt).toLocaleString()}`)
+    }
+    if (canManage) parts.push('Double-click to rename')
+    return parts.join(' · ') || undefined
+  }
+
+  // While a veto round is open, the strike on an item, if any
+  const isVetoOpen = veto?.status === 'open'
+  const strikeOf = (item) => (isVetoOpen ? veto.strikes.find(strike => strike.itemId === item.id) : null)
+  const survivorCount = items.filter(item => !strikeOf(item)).length
+
+  // Who struck an item, or a button to strike it or take our strike back
+  const renderVeto = (item) => {
+    const strike = strikeOf(item)
+    if (strike && !strike.mine) {
+      return <span className="mr-4 text-xs text-gray-400">vetoed by {strike.vetoedBy || 'someone'}</span>
+    }
+    if (!strike && (veto.myVetoesLeft === 0 || survivorCount <= 1)) {
+      return null
+    }
+    return (
+      <button
+        onClick={() => handleToggleVeto(item.id, Boolean(strike))}
+        className="mr-4 text-xs font-semibold text-orange-600 hover:text-orange-800"
+      >
+        {strike ? 'Undo veto' : 'Veto'}
+      </button>
+    )
+  }
+
   const handleRandomPick = async () => {
     if (items.length === 0) return
 
     setIsAnimating(true)
     setPickedItem(null)
 
-    // Simulate animation
-    setTimeout(async () => {
-      const randomIndex = Math.floor(Math.random() * items.length)
-      const picked = {
-        name: items[randomIndex],
-        index: randomIndex
+    try {
+      setError(null)
+      // The server performs the draw; keep the animation running for at least 500ms
+      const [response] = await Promise.all([
+        apiFetch(token, `${listPath()}/pick`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ pickedBy: pickerName.trim() })
+        }),
+        new Promise(resolve => setTimeout(resolve, 500))
+      ])
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to pick item')
       }
-      setPickedItem(picked)
+      const data = await response.json()
+      shownPickRef.current = data.lastPicked.timestamp
+      setPickedItem({
+        name: data.lastPicked.item,
+        id: data.lastPicked.itemId
+      })
+      setPool(data.pool)
+      setHistoryRefreshKey(key => key + 1)
+    } catch (err) {
+      setError('Failed to pick an item. Please try again.')
+      console.error('Error picking item:', err)
+    } finally {
       setIsAnimating(false)
+    }
+  }
+
+  const handleToggleNoRepeat = async () => {
+    try {
+      setError(null)
+      const response = await apiFetch(token, `${listPath()}/pool`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ noRepeat: !pool.noRepeat })
+      })
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to update no-repeat mode')
+      }
+      const data = await response.json()
+      setPool(data.pool)
+    } catch (err) {
+      setError('Failed to update no-repeat mode. Please try again.')
+      console.error('Error toggling no-repeat mode:', err)
+    }
+  }
+
+  const handleResetPool = async () => {
+    try {
+      setError(null)
+      const response = await apiFetch(token, `${listPath()}/pool/reset`, {
+        method: 'POST'
+      })
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to reset pool')
+      }
+      const data = await response.json()
+      setPool(data.pool)
+    } catch (err) {
+      setError('Failed to refill the bag. Please try again.')
+      console.error('Error resetting pool:', err)
+    }
+  }
+
+  const handleSelectList = (listId) => {
+    setCurrentListId(listId)
+    setPickedItem(null)
+    setEditingItemId(null)
+    fetchItems(token, listId)
+    fetchPool(token, listId)
+    fetchBracket(token, listId)
+    fetchPoll(token, listId)
+    fetchVeto(token, listId)
+    fetchLastDraw(token, listId)
+    fetchRemovedItems(token, listId)
+  }
+
+  const handlePickerNameChange = (e) => {
+    setPickerName(e.target.value)
+    localStorage.setItem('youpick-name', e.target.value)
+  }
 
-      // Optionally save the picked item to server
+  // Exchange the password for a session token, creating the space first
+  // when the user asked for a new one
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+    if (passwordInput.trim()) {
+      const isCreating = loginMode === 'create'
       try {
-        await fetch(`${config.API_SERVER_URL}/picked`, {
+        setLoginError(null)
+        const body = { password: passwordInput.trim() }
+        if (isCreating && newSpaceName.trim()) {
+          body.name = newSpaceName.trim()
+        }
+        const response = await fetch(`${config.API_SERVER_URL}/${isCreating ? 'spaces' : 'session'}`, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json',
-            'X-Password': password
+            'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ item: picked.name, index: picked.index })
+          body: JSON.stringify(body)
         })
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}))
+          const error = new Error(errorData.error || 'Failed to open space')
+          error.status = response.status
+          throw error
+        }
+        const data = await response.json()
+        sessionStorage.setItem('youpick-token', data.token)
+        setToken(data.token)
+        setSpaceId(data.spaceId)
+        setRole(data.role)
+        fetchSpace(data.token)
+        setPasswordInput('')
+        setNewSpaceName('')
+        setIsAuthenticated(true)
+        setCurrentListId(DEFAULT_LIST_ID)
+        fetchItems(data.token, DEFAULT_LIST_ID)
+        fetchPool(data.token, DEFAULT_LIST_ID)
+        fetchBracket(data.token, DEFAULT_LIST_ID)
+        fetchPoll(data.token, DEFAULT_LIST_ID)
+        fetchVeto(data.token, DEFAULT_LIST_ID)
+        fetchLastDraw(data.token, DEFAULT_LIST_ID)
+        fetchRemovedItems(data.token, DEFAULT_LIST_ID)
       } catch (err) {
-        // Don't show error for this optional feature
-        console.log('Could not save picked item:', err)
+        setLoginError(describeLoginError(err, isCreating))
+        console.error(isCreating ? 'Error creating space:' : 'Error opening session:', err)
       }
-    }, 500)
+    }
   }
 
-  const handlePasswordSubmit = async (e) => {
-    e.preventDefault()
-    if (passwordInput.trim()) {
-      const trimmedPassword = passwordInput.trim()
-      setPassword(trimmedPassword)
-      sessionStorage.setItem('youpick-password', trimmedPassword)
-      setIsAuthenticated(true)
-      fetchItems(trimmedPassword)
-    }
+  // Switch the login form between joining and creating a space
+  const switchLoginMode = (mode) => {
+    setLoginMode(mode)
+    setLoginError(null)
   }
 
-  const handleLogout = () => {
-    sessionStorage.removeItem('youpick-password')
-    setPassword('')
+  // Forget the session locally and return to the login screen
+  const clearSession = () => {
+    sessionStorage.removeItem('youpick-token')
+    setToken('')
     setIsAuthenticated(false)
     setItems([])
     setPickedItem(null)
+    setPool({ noRepeat: false, remaining: [] })
+    setBracket(null)
+    setPoll(null)
+    setVeto(null)
+    setLastDraw(null)
+    setRemovedItems([])
+    setParticipants([])
+    setPresenceId(null)
+    setCurrentListId(DEFAULT_LIST_ID)
+    setSpaceId(null)
+    setSpaceName(null)
+    setRole(null)
+    setHasMemberPassword(false)
     setPasswordInput('')
+    setError(null)
+  }
+
+  // Revoke the token on the server, then leave the space
+  const handleLogout = async () => {
+    try {
+      await apiFetch(token, '/session', { method: 'DELETE' })
+    } catch (err) {
+      console.error('Error ending session:', err)
+    }
+    clearSession()
+  }
+
+  // Everything was cleared from the settings dialog
+  const handleSpaceCleared = () => {
+    setItems([])
+    setPickedItem(null)
+    fetchPool()
+    setListsRefreshKey(key => key + 1)
+  }
+
+  // Changing the password moved the space to a new ID; carry on with the
+  // session issued for it
+  const handlePasswordChanged = (session) => {
+    sessionStorage.setItem('youpick-token', session.token)
+    setToken(session.token)
+    setSpaceId(session.spaceId)
+    setRole(session.role)
+  }
+
+  // Members can add items and pick; removing items and settings are for admins
+  const canManage = role === 'admin'
+
+  // Share links open a read-only viewer with no add, remove or pick controls
+  if (SHARE_TOKEN) {
+    return <SharedView shareToken={SHARE_TOKEN} />
   }
 
   // Show password login if not authenticated
@@ -162,11 +941,46 @@ function App() {
             <h1 className="text-4xl font-bold text-center mb-2 bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">
               You Pick
             </h1>
-            <p className="text-gray-600 text-center mb-8">
-              Enter a password to access your shared space
+            <p className="text-gray-600 text-center mb-6">
+              {loginMode === 'create'
+                ? 'Choose a password for your new shared space'
+                : 'Enter a password to access your shared space'}
             </p>
 
+            <div className="flex mb-6 p-1 bg-gray-100 rounded-lg">
+              {[['join', 'Join existing space'], ['create', 'Create new space']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => switchLoginMode(mode)}
+                  className={`flex-1 py-2 text-sm font-medium rounded-md transition-colors ${
+                    loginMode === mode
+                      ? 'bg-white text-purple-700 shadow'
+                      : 'text-gray-600 hover:text-gray-800'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             <form onSubmit={handlePasswordSubmit}>
+              {loginMode === 'create' && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Name <span className="font-normal text-gray-500">(optional)</span>
+                  </label>
+                  <input
+                    type="text"
+                    value={newSpaceName}
+                    onChange={(e) => setNewSpaceName(e.target.value)}
+                    placeholder="e.g. Team lunch"
+                    maxLength={100}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                </div>
+              )}
+
               <div className="mb-6">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Password
@@ -184,6 +998,12 @@ function App() {
                 </p>
               </div>
 
+              {loginError && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+                  {loginError}
+                </div>
+              )}
+
               <button
                 type="submit"
                 disabled={!passwordInput.trim()}
@@ -193,14 +1013,14 @@ function App() {
                     : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                 }`}
               >
-                Enter Space
+                {loginMode === 'create' ? 'Create Space' : 'Enter Space'}
               </button>
             </form>
 
             <div className="mt-8 p-4 bg-blue-50 rounded-lg">
               <p className="text-sm text-blue-800">
-                <span className="font-semibold">How it works:</span> Your password creates a private space.
-                Everyone using the same password shares the same list of items.
+                <span className="font-semibold">How it works:</span> Create a space with a password of your choice.
+                Everyone who joins with the same password shares the same list of items.
                 No account needed!
               </p>
             </div>
@@ -221,16 +1041,32 @@ function App() {
                 You Pick
               </h1>
               <p className="text-center text-sm text-gray-600 mt-2">
-                Space: <span className="font-semibold">{password}</span>
+                {spaceName && <span className="font-semibold">{spaceName} · </span>}
+                Space: <span className="font-semibold font-mono">{spaceId || '…'}</span>
+                {role === 'member' && <span className="ml-2 text-gray-500">(member)</span>}
               </p>
             </div>
-            <button
-              onClick={handleLogout}
-              className="ml-4 px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
-              title="Switch to a different space"
-            >
-              Switch Space
-            </button>
+            <div className="ml-4 flex flex-col gap-2">
+              <button
+                onClick={handleLogout}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+                title="Switch to a different space"
+              >
+                Switch Space
+              </button>
+              {canManage && (
+                <SpaceSettings
+                  token={token}
+                  spaceName={spaceName}
+                  hasMemberPassword={hasMemberPassword}
+                  onRenamed={setSpaceName}
+                  onCleared={handleSpaceCleared}
+                  onPasswordChanged={handlePasswordChanged}
+                  onMemberPasswordChanged={setHasMemberPassword}
+                  onDeleted={clearSession}
+                />
+              )}
+            </div>
           </div>
 
           {/* Error Message */}
@@ -240,6 +1076,18 @@ function App() {
             </div>
           )}
 
+          {/* Presence */}
+          <Presence participants={participants} youId={presenceId} />
+
+          {/* List Switcher */}
+          <ListSwitcher
+            token={token}
+            currentListId={currentListId}
+            refreshKey={listsRefreshKey}
+            canManage={canManage}
+            onSelect={handleSelectList}
+          />
+
           {/* Loading State */}
           {isLoading ? (
             <div className="text-center py-12">
@@ -267,6 +1115,9 @@ function App() {
             </div>
           </form>
 
+          {/* Bulk Import and Export */}
+          <ImportExport token={token} listId={currentListId} onImported={handleImported} />
+
           {/* Items List */}
           {items.length > 0 && (
             <div className="mb-8">
@@ -274,28 +1125,187 @@ function App() {
                 Items ({items.length})
               </h2>
               <div className="space-y-2">
-                {items.map((item, index) => (
+                {items.map((item) => (
                   <div
-                    key={index}
+                    key={item.id}
+                    onDragOver={(e) => handleDragOver(e, item.id)}
+                    onDrop={(e) => e.preventDefault()}
                     className={`flex items-center justify-between px-4 py-3 rounded-lg transition-all ${
-                      pickedItem?.index === index
+                      pickedItem?.id === item.id
                         ? 'bg-gradient-to-r from-purple-100 to-blue-100 border-2 border-purple-400'
                         : 'bg-gray-50 hover:bg-gray-100'
-                    }`}
+                    } ${draggedItemId === item.id ? 'opacity-50' : ''}`}
                   >
-                    <span className="text-gray-800">{item}</span>
-                    <button
-                      onClick={() => handleRemoveItem(index)}
-                      className="text-red-500 hover:text-red-700 font-semibold text-sm"
-                    >
-                      Remove
-                    </button>
+                    {canManage && (
+                      <span
+                        draggable={editingItemId === null}
+                        onDragStart={(e) => handleDragStart(e, item.id)}
+                        onDragEnd={handleDragEnd}
+                        className="mr-3 text-gray-400 cursor-grab select-none"
+                        title="Drag to reorder"
+                      >
+                        ⋮⋮
+                      </span>
+                    )}
+                    {editingItemId === item.id ? (
+                      <form onSubmit={handleRenameItem} className="flex flex-1 gap-2 mr-4">
+                        <input
+                          type="text"
+                          value={editValue}
+                          onChange={(e) => setEditValue(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Escape' && setEditingItemId(null)}
+                          maxLength={500}
+                          className="flex-1 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          autoFocus
+                        />
+                        <button
+                          type="submit"
+                          className="px-3 py-1 bg-purple-600 text-white text-sm font-semibold rounded hover:bg-purple-700 transition-colors"
+                        >
+                          Save
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEditingItemId(null)}
+                          className="px-3 py-1 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </form>
+                    ) : (
+                      <span
+                        onDoubleClick={() => canManage && startEditing(item)}
+                        className={`flex-1 ${isDrawn(item) || strikeOf(item) ? 'text-gray-400 line-through' : 'text-gray-800'}`}
+                        title={strikeOf(item)
+                          ? `Vetoed by ${strikeOf(item).vetoedBy || 'someone'}`
+                          : isDrawn(item) ? 'Already picked this round' : describeItem(item)}
+                      >
+                        {item.name}
+                      </span>
+                    )}
+                    {isVetoOpen && renderVeto(item)}
+                    {canManage ? (
+                      <>
+                        <label
+                          className="flex items-center gap-1 mr-4 text-sm text-gray-500"
+                          title={`${Math.round((item.weight / totalWeight) * 100)}% chance`}
+                        >
+                          Weight
+                          <input
+                            key={`${item.id}-${item.weight}`}
+                            type="number"
+                            min="1"
+                            max="100"
+                            step="1"
+                            defaultValue={item.weight}
+                            onBlur={(e) => handleUpdateWeight(item.id, Number(e.target.value))}
+                            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                            className="w-16 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                        </label>
+                        <button
+                          onClick={() => startEditing(item)}
+                          className="text-gray-500 hover:text-gray-700 font-semibold text-sm mr-3"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleRemoveItem(item.id)}
+                          className="text-red-500 hover:text-red-700 font-semibold text-sm"
+                        >
+                          Remove
+                        </button>
+                      </>
+                    ) : (
+                      <span
+                        className="text-sm text-gray-500"
+                        title={`${Math.round((item.weight / totalWeight) * 100)}% chance`}
+                      >
+                        Weight {item.weight}
+                      </span>
+                    )}
                   </div>
                 ))}
               </div>
             </div>
           )}
 
+          {/* Recently Removed */}
+          {removedItems.length > 0 && (
+            <p className="mb-6 text-xs text-gray-400">
+              Recently removed:{' '}
+              {removedItems.slice(0, 5).map((removed, index) => (
+                <span
+                  key={`${removed.id}-${removed.removedAt}`}
+                  title={`Removed${removed.removedBy ? ` by ${removed.removedBy}` : ''} ${new Date(removed.removedAt).toLocaleString()}`}
+                >
+                  {index > 0 && ', '}
+                  {removed.name}
+                </span>
+              ))}
+            </p>
+          )}
+
+          {/* Veto Round */}
+          {items.length > 0 && (
+            <VetoRound
+              token={token}
+              listPath={listPath()}
+              veto={veto}
+              itemCount={items.length}
+              survivorCount={survivorCount}
+              canManage={canManage}
+              pickerName={pickerName}
+              versionHeaders={versionHeaders}
+              onChange={setVeto}
+              onPicked={handleDecided}
+            />
+          )}
+
+          {/* No-Repeat Mode */}
+          <div className="flex items-center justify-between mb-4 px-4 py-3 bg-gray-50 rounded-lg text-sm">
+            <label className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={pool.noRepeat}
+                onChange={handleToggleNoRepeat}
+                disabled={!canManage}
+                className="accent-purple-600"
+              />
+              No repeats until everything has been picked
+            </label>
+            {pool.noRepeat && (
+              <div className="flex items-center gap-3 text-gray-500">
+                <span>
+                  {pool.remaining.length > 0
+                    ? `${pool.remaining.length} of ${items.length} left`
+                    : 'Round complete, next pick refills the bag'}
+                </span>
+                {canManage && (
+                  <button
+                    onClick={handleResetPool}
+                    className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+                  >
+                    Refill
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Nickname */}
+          <label className="flex items-center gap-2 mb-3 text-sm text-gray-600">
+            Your nickname
+            <input
+              type="text"
+              value={pickerName}
+              onChange={handlePickerNameChange}
+              maxLength={50}
+              placeholder="Shown to others in the space (optional)"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </label>
+
           {/* Pick Button */}
           <button
             onClick={handleRandomPick}
@@ -320,6 +1330,47 @@ function App() {
               </p>
             </div>
           )}
+
+          {/* Multi-pick */}
+          {items.length > 0 && (
+            <MultiPick
+              token={token}
+              listPath={listPath()}
+              lastDraw={lastDraw}
+              itemCount={items.length}
+              pickerName={pickerName}
+              onChange={setLastDraw}
+            />
+          )}
+
+          {/* Bracket */}
+          <Bracket
+            token={token}
+            listPath={listPath()}
+            bracket={bracket}
+            itemCount={items.length}
+            canManage={canManage}
+            versionHeaders={versionHeaders}
+            onChange={setBracket}
+            onWinner={handleDecided}
+          />
+
+          {/* Poll */}
+          <Poll
+            token={token}
+            listPath={listPath()}
+            poll={poll}
+            itemCount={items.length}
+            canManage={canManage}
+            nickname={pickerName}
+            onNicknameChange={handlePickerNameChange}
+            versionHeaders={versionHeaders}
+            onChange={setPoll}
+            onWinner={handleDecided}
+          />
+
+          {/* Pick History */}
+          <PickHistory token={token} listId={currentListId} refreshKey={historyRefreshKey} />
             </>
           )}
         </div>
@@ -0,0 +1,177 @@
+import { useState } from 'react'
+import { apiFetch } from './api'
+
+const MIN_ENTRANTS = 2
+
+// Name of the round `round` of `totalRounds`, counting from the final back
+function roundName(round, totalRounds) {
+  const fromEnd = totalRounds - round
+  if (fromEnd === 0) return 'Final'
+  if (fromEnd === 1) return 'Semi-finals'
+  if (fromEnd === 2) return 'Quarter-finals'
+  return `Round ${round}`
+}
+
+// One side of a match: a vote button while the round is open, its result after
+function Side({ entrant, side, match, isOpen, isBusy, onVote }) {
+  const isMine = match.myVote === side
+  const isWinner = match.winner === entrant.id
+
+  if (!isOpen) {
+    return (
+      <div className={`flex-1 flex items-center justify-between px-3 py-2 rounded-lg ${
+        isWinner ? 'bg-purple-100 text-purple-800 font-semibold' : 'bg-gray-50 text-gray-400 line-through'
+      }`}>
+        <span>{entrant.name}</span>
+        <span className="text-xs">{match.votes[side]}</span>
+      </div>
+    )
+  }
+
+  return (
+    <button
+      onClick={() => onVote(match.id, side)}
+      disabled={isBusy}
+      className={`flex-1 flex items-center justify-between px-3 py-2 rounded-lg border transition-colors disabled:opacity-50 ${
+        isMine
+          ? 'border-purple-500 bg-purple-50 text-purple-800 font-semibold'
+          : 'border-gray-200 hover:border-purple-300 text-gray-700'
+      }`}
+    >
+      <span>{entrant.name}</span>
+      <span className="text-xs text-gray-500">{match.votes[side]}</span>
+    </button>
+  )
+}
+
+function Bracket({ token, listPath, bracket, itemCount, canManage, versionHeaders, onChange, onWinner }) {
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Send a bracket change and hand the updated bracket back to the app.
+  // Votes and closing a round go through whatever else changed meanwhile;
+  // starting and removing a bracket only apply to the version we have.
+  const send = async (method, path, body, failure, headers = { 'Content-Type': 'application/json' }) => {
+    try {
+      setIsBusy(true)
+      setError(null)
+      const response = await apiFetch(token, `${listPath}/bracket${path}`, {
+        method,
+        headers,
+        ...(body ? { body: JSON.stringify(body) } : {})
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || failure)
+      }
+      onChange(data.bracket ?? null)
+      if (data.lastPicked) {
+        onWinner(data.lastPicked)
+      }
+    } catch (err) {
+      setError(err.message)
+      console.error(`Error in bracket ${method} ${path || '/'}:`, err)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleStart = () => send('POST', '', null, 'Failed to start a bracket', versionHeaders())
+  const handleVote = (matchId, choice) => send('POST', '/votes', { matchId, choice }, 'Failed to vote')
+  const handleAdvance = () => send('POST', '/advance', null, 'Failed to close the round')
+  const handleRemove = () => send('DELETE', '', null, 'Failed to remove the bracket', versionHeaders())
+
+  const isOpen = bracket?.status === 'voting'
+
+  return (
+    <div className="mt-8 pt-8 border-t border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-700">Bracket</h2>
+        {(!bracket || !isOpen) && (
+          <button
+            onClick={handleStart}
+            disabled={isBusy || itemCount < MIN_ENTRANTS}
+            className="px-3 py-1 rounded-lg bg-purple-600 text-white text-sm hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {bracket ? 'New bracket' : 'Start a bracket'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {!bracket ? (
+        <p className="text-sm text-gray-500">
+          Pit the items against each other two at a time. Everyone votes, and the winner of each round moves on.
+        </p>
+      ) : (
+        <>
+          {bracket.winner && (
+            <p className="mb-4 text-center text-gray-600">
+              Winner: <span className="font-bold text-purple-700">{bracket.winner.name}</span>
+            </p>
+          )}
+
+          <div className="space-y-4">
+            {bracket.rounds.map((round, index) => {
+              const roundIsOpen = isOpen && index === bracket.round - 1
+              return (
+                <div key={index}>
+                  <h3 className="text-sm font-medium text-gray-500 mb-2">
+                    {roundName(index + 1, bracket.totalRounds)}
+                    {roundIsOpen && ' · voting'}
+                  </h3>
+                  <ul className="space-y-2">
+                    {round.map((match) => (
+                      <li key={match.id} className="flex items-center gap-2 text-sm">
+                        <Side entrant={match.a} side="a" match={match} isOpen={roundIsOpen && match.b !== null} isBusy={isBusy} onVote={handleVote} />
+                        {match.b ? (
+                          <>
+                            <span className="text-xs text-gray-400">vs</span>
+                            <Side entrant={match.b} side="b" match={match} isOpen={roundIsOpen} isBusy={isBusy} onVote={handleVote} />
+                          </>
+                        ) : (
+                          <span className="flex-1 text-xs text-gray-400">bye</span>
+                        )}
+                        {match.tiebreak && (
+                          <span className="text-xs text-gray-400" title="Tied votes, decided at random">tie</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )
+            })}
+          </div>
+
+          <div className="flex justify-end gap-2 mt-4 text-sm">
+            {canManage && (
+              <button
+                onClick={handleRemove}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            )}
+            {isOpen && canManage && (
+              <button
+                onClick={handleAdvance}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+              >
+                {bracket.round === bracket.totalRounds ? 'Close the final' : 'Close round'}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Bracket
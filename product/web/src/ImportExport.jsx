@@ -0,0 +1,204 @@
+import { useState } from 'react'
+import { apiFetch } from './api'
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'txt', label: 'Text' }
+]
+
+// Guess the import format from an uploaded file's name
+function formatOfFile(fileName) {
+  if (/\.csv$/i.test(fileName)) return 'csv'
+  if (/\.json$/i.test(fileName)) return 'json'
+  return 'text'
+}
+
+// Bulk import into the current list, and downloads of the whole space
+function ImportExport({ token, listId, onImported }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [format, setFormat] = useState('text')
+  const [content, setContent] = useState('')
+  const [result, setResult] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const openDialog = () => {
+    setIsOpen(true)
+    setContent('')
+    setResult(null)
+    setError(null)
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    setFormat(formatOfFile(file.name))
+    setContent(await file.text())
+    setResult(null)
+  }
+
+  const handleImport = async (e) => {
+    e.preventDefault()
+    if (!content.trim()) return
+
+    try {
+      setIsImporting(true)
+      setError(null)
+      const response = await apiFetch(token, `/lists/${listId}/items/bulk`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ format, content })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to import items')
+      }
+      setResult(data)
+      onImported(data.items)
+      // Leave the content in place when some lines need fixing
+      if (data.rejected.length === 0) {
+        setContent('')
+      }
+    } catch (err) {
+      setError(err.message)
+      console.error('Error importing items:', err)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  // The export needs the session token, so it is fetched and saved from a
+  // blob rather than linked to directly
+  const handleExport = async (exportFormat) => {
+    try {
+      setError(null)
+      const response = await apiFetch(token, `/export?format=${exportFormat}`)
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to export')
+      }
+      const disposition = response.headers.get('Content-Disposition') || ''
+      const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `youpick.${exportFormat}`
+
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError('Failed to export. Please try again.')
+      console.error('Error exporting space:', err)
+    }
+  }
+
+  return (
+    <div className="mb-8">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={openDialog}
+          className="px-3 py-2 font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+        >
+          Import Items
+        </button>
+        <span className="ml-auto text-gray-500">Export:</span>
+        {EXPORT_FORMATS.map(({ format: exportFormat, label }) => (
+          <button
+            key={exportFormat}
+            onClick={() => handleExport(exportFormat)}
+            className="px-3 py-2 font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {error && !isOpen && (
+        <p className="mt-2 text-sm text-red-600">{error}</p>
+      )}
+
+      {isOpen && (
+        <div className="fixed inset-0 z-10 flex items-center justify-center bg-black/40 px-4">
+          <form onSubmit={handleImport} className="w-full max-w-lg bg-white rounded-2xl shadow-xl p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-1">Import Items</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Paste one item per line, CSV with <code>name,weight</code> columns, or a JSON array. Items already in the list are skipped.
+            </p>
+
+            <div className="flex items-center gap-2 mb-3 text-sm">
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                <option value="text">One per line</option>
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+              </select>
+              <input
+                type="file"
+                accept=".txt,.csv,.json,text/plain,text/csv,application/json"
+                onChange={handleFileChange}
+                className="flex-1 text-gray-600"
+              />
+            </div>
+
+            <textarea
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              rows={10}
+              placeholder={'Pizza\nTacos\nSushi'}
+              className="w-full px-3 py-2 mb-3 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              autoFocus
+            />
+
+            {error && (
+              <p className="mb-3 text-sm text-red-600">{error}</p>
+            )}
+
+            {result && (
+              <div className="mb-3 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+                <p>
+                  Added {result.added.length} item{result.added.length === 1 ? '' : 's'}
+                  {result.duplicates.length > 0 && `, skipped ${result.duplicates.length} already in the list`}
+                  {result.rejected.length > 0 && `, rejected ${result.rejected.length}`}.
+                </p>
+                {result.rejected.length > 0 && (
+                  <ul className="mt-2 max-h-32 overflow-y-auto text-red-600">
+                    {result.rejected.map(entry => (
+                      <li key={entry.line}>
+                        Line {entry.line}: {entry.error}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setIsOpen(false)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+              >
+                Close
+              </button>
+              <button
+                type="submit"
+                disabled={isImporting || !content.trim()}
+                className="px-4 py-2 bg-purple-600 text-white text-sm font-semibold rounded-lg hover:bg-purple-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                {isImporting ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportExport
@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+// The built-in list every space starts with; it can be renamed but not deleted
+export const DEFAULT_LIST_ID = 'default'
+
+// Select the current list. With `canManage`, lists can also be created,
+// renamed and deleted.
+function ListSwitcher({ token, currentListId, refreshKey, canManage, onSelect }) {
+  const [lists, setLists] = useState([])
+  const [formMode, setFormMode] = useState(null) // 'create' | 'rename' | null
+  const [nameInput, setNameInput] = useState('')
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchLists = async () => {
+      try {
+        const response = await apiFetch(token, '/lists')
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}))
+          throw new Error(errorData.error || 'Failed to fetch lists')
+        }
+        setLists(await response.json())
+      } catch (err) {
+        setError('Failed to load lists.')
+        console.error('Error fetching lists:', err)
+      }
+    }
+
+    fetchLists()
+  }, [token, refreshKey])
+
+  const currentList = lists.find(list => list.id === currentListId)
+
+  const openForm = (mode) => {
+    setFormMode(mode)
+    setNameInput(mode === 'rename' && currentList ? currentList.name : '')
+    setError(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!nameInput.trim()) return
+
+    const isCreate = formMode === 'create'
+    try {
+      setError(null)
+      const response = await apiFetch(
+        token,
+        isCreate ? '/lists' : `/lists/${currentListId}`,
+        {
+          method: isCreate ? 'POST' : 'PATCH',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ name: nameInput.trim() })
+        }
+      )
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to save list')
+      }
+      const data = await response.json()
+      if (isCreate) {
+        setLists([...lists, data.list])
+        onSelect(data.list.id)
+      } else {
+        setLists(lists.map(list => (list.id === data.list.id ? data.list : list)))
+      }
+      setFormMode(null)
+    } catch (err) {
+      setError(err.message)
+      console.error('Error saving list:', err)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!currentList || !window.confirm(`Delete "${currentList.name}" and all of its items?`)) return
+
+    try {
+      setError(null)
+      const response = await apiFetch(token, `/lists/${currentListId}`, {
+        method: 'DELETE'
+      })
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to delete list')
+      }
+      const data = await response.json()
+      setLists(data.lists)
+      onSelect(DEFAULT_LIST_ID)
+    } catch (err) {
+      setError('Failed to delete list. Please try again.')
+      console.error('Error deleting list:', err)
+    }
+  }
+
+  return (
+    <div className="mb-6">
+      <div className="flex gap-2 items-center">
+        <select
+          value={currentListId}
+          onChange={(e) => onSelect(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          {lists.map(list => (
+            <option key={list.id} value={list.id}>{list.name}</option>
+          ))}
+        </select>
+        {canManage && (
+          <>
+            <button
+              onClick={() => openForm('create')}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+            >
+              New List
+            </button>
+            <button
+              onClick={() => openForm('rename')}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+            >
+              Rename
+            </button>
+            {currentListId !== DEFAULT_LIST_ID && (
+              <button
+                onClick={handleDelete}
+                className="px-3 py-2 text-sm font-medium text-red-600 bg-gray-100 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                Delete
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {canManage && formMode && (
+        <form onSubmit={handleSubmit} className="flex gap-2 mt-2">
+          <input
+            type="text"
+            value={nameInput}
+            onChange={(e) => setNameInput(e.target.value)}
+            maxLength={100}
+            placeholder={formMode === 'create' ? 'New list name...' : 'List name...'}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            autoFocus
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-purple-600 text-white text-sm font-semibold rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            {formMode === 'create' ? 'Create' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setFormMode(null)}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <p className="mt-2 text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default ListSwitcher
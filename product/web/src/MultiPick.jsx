@@ -0,0 +1,125 @@
+import { useState } from 'react'
+import { apiFetch } from './api'
+
+const MODES = [
+  { value: 'pick', label: 'Pick several' },
+  { value: 'shuffle', label: 'Shuffle all' },
+  { value: 'teams', label: 'Split into teams' }
+]
+
+// Draw several items at once: some of them, all of them in a random order,
+// or all of them split into teams. Shows the list's latest draw, whoever
+// made it.
+function MultiPick({ token, listPath, lastDraw, itemCount, pickerName, onChange }) {
+  const [mode, setMode] = useState('pick')
+  const [count, setCount] = useState(2)
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Picking needs at least one item and teams at least two per draw
+  const least = mode === 'teams' ? 2 : 1
+  const countChoices = Array.from({ length: Math.max(0, itemCount - least + 1) }, (_, index) => index + least)
+  const chosenCount = Math.min(Math.max(count, least), itemCount)
+
+  const handleDraw = async () => {
+    try {
+      setIsBusy(true)
+      setError(null)
+      const response = await apiFetch(token, `${listPath}/draw`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          mode,
+          ...(mode === 'shuffle' ? {} : { count: chosenCount }),
+          pickedBy: pickerName.trim()
+        })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to draw items')
+      }
+      onChange(data.lastDraw)
+    } catch (err) {
+      setError(err.message)
+      console.error('Error drawing items:', err)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  return (
+    <div className="mt-6 px-4 py-3 bg-gray-50 rounded-lg text-sm">
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-3">
+        <span className="text-gray-700">Draw more than one</span>
+        <div className="flex items-center gap-2">
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {MODES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {mode !== 'shuffle' && (
+            <select
+              value={chosenCount}
+              onChange={(e) => setCount(Number(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {countChoices.map((choice) => (
+                <option key={choice} value={choice}>
+                  {choice} {mode === 'teams' ? 'teams' : choice === 1 ? 'item' : 'items'}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={handleDraw}
+            disabled={isBusy || itemCount < least}
+            className="px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Draw
+          </button>
+        </div>
+      </div>
+
+      {lastDraw && (
+        <div className="mt-3">
+          <p className="mb-2 text-xs text-gray-400">
+            {MODES.find(({ value }) => value === lastDraw.mode)?.label}
+            {lastDraw.pickedBy && ` · drawn by ${lastDraw.pickedBy}`} · {new Date(lastDraw.timestamp).toLocaleString()}
+          </p>
+          {lastDraw.mode === 'teams' ? (
+            <div className="grid grid-cols-2 gap-2">
+              {lastDraw.groups.map((team, index) => (
+                <div key={index} className="p-2 bg-white rounded-lg border border-gray-200">
+                  <p className="mb-1 font-semibold text-gray-700">Team {index + 1}</p>
+                  <ul className="text-gray-600">
+                    {team.map((entry) => (
+                      <li key={entry.itemId}>{entry.item}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <ol className="list-decimal list-inside text-gray-700">
+              {lastDraw.groups[0].map((entry) => (
+                <li key={entry.itemId}>{entry.item}</li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MultiPick
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+const PAGE_SIZE = 10
+
+// Convert a yyyy-mm-dd date input value to an ISO timestamp at the start or end of that local day
+function toIsoBound(dateValue, endOfDay) {
+  if (!dateValue) return null
+  const time = endOfDay ? 'T23:59:59.999' : 'T00:00:00'
+  return new Date(`${dateValue}${time}`).toISOString()
+}
+
+function PickHistory({ token, listId, refreshKey }) {
+  const [picks, setPicks] = useState([])
+  const [total, setTotal] = useState(0)
+  const [offset, setOffset] = useState(0)
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchPicks = async () => {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset, listId })
+      const from = toIsoBound(fromDate, false)
+      const to = toIsoBound(toDate, true)
+      if (from) params.set('from', from)
+      if (to) params.set('to', to)
+
+      try {
+        setIsLoading(true)
+        setError(null)
+        const response = await apiFetch(token, `/picks?${params}`)
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}))
+          throw new Error(errorData.error || 'Failed to fetch pick history')
+        }
+        const data = await response.json()
+        setPicks(data.picks)
+        setTotal(data.total)
+      } catch (err) {
+        setError('Failed to load pick history.')
+        console.error('Error fetching picks:', err)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchPicks()
+  }, [token, listId, refreshKey, offset, fromDate, toDate])
+
+  // Start from the newest picks when switching lists
+  useEffect(() => {
+    setOffset(0)
+  }, [listId])
+
+  const handleFromChange = (e) => {
+    setFromDate(e.target.value)
+    setOffset(0)
+  }
+
+  const handleToChange = (e) => {
+    setToDate(e.target.value)
+    setOffset(0)
+  }
+
+  return (
+    <div className="mt-8 pt-8 border-t border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 mb-3">
+        Pick History ({total})
+      </h2>
+
+      <div className="flex gap-2 mb-4 text-sm">
+        <label className="flex items-center gap-2 text-gray-600">
+          From
+          <input
+            type="date"
+            value={fromDate}
+            onChange={handleFromChange}
+            className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-gray-600">
+          To
+          <input
+            type="date"
+            value={toDate}
+            onChange={handleToChange}
+            className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {picks.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {isLoading ? 'Loading history...' : 'No picks yet.'}
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {picks.map((pick, index) => (
+            <li
+              key={`${pick.timestamp}-${index}`}
+              className="flex items-center justify-between px-4 py-2 bg-gray-50 rounded-lg text-sm"
+            >
+              <span className="font-medium text-gray-800">{pick.item}</span>
+              <span className="text-gray-500">
+                {pick.pickedBy || 'Someone'} · {new Date(pick.timestamp).toLocaleString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="flex justify-between items-center mt-4 text-sm">
+          <button
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            disabled={offset === 0 || isLoading}
+            className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Newer
+          </button>
+          <span className="text-gray-500">
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <button
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={offset + PAGE_SIZE >= total || isLoading}
+            className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PickHistory
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+const MIN_OPTIONS = 2
+
+const METHOD_LABELS = {
+  approval: 'Approval: tick everything you\'d be happy with',
+  ranked: 'Ranked choice: put the options in order'
+}
+
+function Poll({ token, listPath, poll, itemCount, canManage, nickname, onNicknameChange, versionHeaders, onChange, onWinner }) {
+  const [method, setMethod] = useState('approval')
+  const [choices, setChoices] = useState([])
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Start each poll from the ballot we cast in it, if any
+  useEffect(() => {
+    setChoices(poll?.myBallot?.choices || [])
+  }, [poll?.id, poll?.myBallot])
+
+  // Send a poll change and hand the updated poll back to the app. Ballots
+  // and closing go through whatever else changed meanwhile; opening and
+  // removing a poll only apply to the version we have.
+  const send = async (method, path, body, failure, headers = { 'Content-Type': 'application/json' }) => {
+    try {
+      setIsBusy(true)
+      setError(null)
+      const response = await apiFetch(token, `${listPath}/poll${path}`, {
+        method,
+        headers,
+        ...(body ? { body: JSON.stringify(body) } : {})
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || failure)
+      }
+      onChange(data.poll ?? null)
+      if (data.lastPicked) {
+        onWinner(data.lastPicked)
+      }
+    } catch (err) {
+      setError(err.message)
+      console.error(`Error in poll ${method} ${path || '/'}:`, err)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleOpen = () => send('POST', '', { method }, 'Failed to open a poll', versionHeaders())
+  const handleVote = () => send('POST', '/ballots', { nickname: nickname.trim(), choices }, 'Failed to cast your ballot')
+  const handleClose = () => send('POST', '/close', null, 'Failed to close the poll')
+  const handleRemove = () => send('DELETE', '', null, 'Failed to remove the poll', versionHeaders())
+
+  // Approval ballots toggle an option; ranked ballots add it at the end of
+  // the ranking, or take it out again
+  const toggleChoice = (optionId) => {
+    setChoices(current => current.includes(optionId)
+      ? current.filter(id => id !== optionId)
+      : [...current, optionId])
+  }
+
+  const isOpen = poll?.status === 'open'
+  const optionName = (id) => poll.options.find(option => option.id === id)?.name
+  const finalRound = poll?.results.rounds[poll.results.rounds.length - 1]
+  const finalTotal = finalRound ? Object.values(finalRound.counts).reduce((sum, count) => sum + count, 0) : 0
+
+  return (
+    <div className="mt-8 pt-8 border-t border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-700">Poll</h2>
+        {!isOpen && (
+          <div className="flex items-center gap-2 text-sm">
+            <select
+              value={method}
+              onChange={(e) => setMethod(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="approval">Approval</option>
+              <option value="ranked">Ranked choice</option>
+            </select>
+            <button
+              onClick={handleOpen}
+              disabled={isBusy || itemCount < MIN_OPTIONS}
+              className="px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {poll ? 'New poll' : 'Open a poll'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {!poll ? (
+        <p className="text-sm text-gray-500">
+          Rather vote than roll the dice? Open a poll over the items and let everyone weigh in.
+        </p>
+      ) : (
+        <>
+          <p className="mb-3 text-sm text-gray-500">
+            {METHOD_LABELS[poll.method]} · {poll.voters.length} {poll.voters.length === 1 ? 'ballot' : 'ballots'}
+            {poll.voters.length > 0 && ` (${poll.voters.join(', ')})`}
+          </p>
+
+          {isOpen && (
+            <div className="mb-4 space-y-2 text-sm">
+              {poll.options.map((option) => {
+                const rank = choices.indexOf(option.id)
+                return (
+                  <button
+                    key={option.id}
+                    onClick={() => toggleChoice(option.id)}
+                    disabled={isBusy}
+                    className={`w-full flex items-center gap-3 px-4 py-2 rounded-lg border text-left transition-colors ${
+                      rank !== -1
+                        ? 'border-purple-500 bg-purple-50 text-purple-800'
+                        : 'border-gray-200 hover:border-purple-300 text-gray-700'
+                    }`}
+                  >
+                    <span className="w-6 text-center font-semibold">
+                      {rank === -1 ? '' : poll.method === 'ranked' ? rank + 1 : '✓'}
+                    </span>
+                    {option.name}
+                  </button>
+                )
+              })}
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={nickname}
+                  onChange={onNicknameChange}
+                  maxLength={50}
+                  placeholder="Your nickname"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+                <button
+                  onClick={handleVote}
+                  disabled={isBusy || choices.length === 0 || !nickname.trim()}
+                  className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {poll.myBallot ? 'Change ballot' : 'Vote'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Results */}
+          {finalRound && (
+            <div className="space-y-1 text-sm">
+              {poll.options
+                .filter(option => option.id in finalRound.counts)
+                .map((option) => {
+                  const count = finalRound.counts[option.id]
+                  const isWinner = poll.results.winners.includes(option.id)
+                  return (
+                    <div key={option.id} className="flex items-center gap-3">
+                      <span className={`w-32 truncate ${isWinner ? 'font-semibold text-purple-700' : 'text-gray-700'}`}>
+                        {option.name}
+                      </span>
+                      <div className="flex-1 h-2 bg-gray-100 rounded">
+                        <div
+                          className="h-2 bg-purple-500 rounded"
+                          style={{ width: `${finalTotal ? (count / finalTotal) * 100 : 0}%` }}
+                        />
+                      </div>
+                      <span className="w-8 text-right text-gray-500">{count}</span>
+                    </div>
+                  )
+                })}
+              {poll.results.rounds.length > 1 && (
+                <ol className="mt-2 text-xs text-gray-500 list-decimal list-inside">
+                  {poll.results.rounds
+                    .filter(round => round.eliminated.length > 0)
+                    .map((round, index) => (
+                      <li key={index}>Out: {round.eliminated.map(optionName).join(', ')}</li>
+                    ))}
+                </ol>
+              )}
+            </div>
+          )}
+
+          {poll.results.winners.length > 0 && (
+            <p className="mt-4 text-center text-gray-600">
+              {isOpen ? 'Leading' : 'Winner'}: <span className="font-bold text-purple-700">
+                {poll.results.winners.map(optionName).join(' and ')}
+              </span>
+              {poll.results.winners.length > 1 && ' (tied)'}
+            </p>
+          )}
+
+          <div className="flex justify-end gap-2 mt-4 text-sm">
+            {canManage && (
+              <button
+                onClick={handleRemove}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            )}
+            {isOpen && canManage && (
+              <button
+                onClick={handleClose}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+              >
+                Close poll
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Poll
@@ -0,0 +1,24 @@
+// Who else is in the space right now, from the server's presence events
+function Presence({ participants, youId }) {
+  if (participants.length === 0) return null
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+      <span className="text-gray-500">Here now:</span>
+      {participants.map((participant) => (
+        <span
+          key={participant.id}
+          className={`px-2 py-1 rounded-full ${
+            participant.id === youId ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-700'
+          }`}
+          title={`${participant.role === 'admin' ? 'Admin' : 'Member'} · here since ${new Date(participant.since).toLocaleTimeString()}`}
+        >
+          {participant.nickname || 'Anonymous'}
+          {participant.id === youId && ' (you)'}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+export default Presence
@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+// Address of the read-only view for a share token
+function shareUrl(shareToken) {
+  return `${window.location.origin}${window.location.pathname}?share=${shareToken}`
+}
+
+// Create, list and revoke the space's read-only share links. A link's full
+// address is only known right after it is created, so it is shown then.
+function ShareLinks({ token }) {
+  const [links, setLinks] = useState([])
+  const [labelInput, setLabelInput] = useState('')
+  const [newLink, setNewLink] = useState(null) // { id, url } of the link just created
+  const [isCopied, setIsCopied] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchLinks = async () => {
+      try {
+        const response = await apiFetch(token, '/shares')
+        if (!response.ok) {
+          throw new Error('Failed to fetch share links')
+        }
+        setLinks(await response.json())
+      } catch (err) {
+        setError('Failed to load share links.')
+        console.error('Error fetching share links:', err)
+      }
+    }
+
+    fetchLinks()
+  }, [token])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    try {
+      setError(null)
+      const response = await apiFetch(token, '/shares', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ label: labelInput.trim() })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create share link')
+      }
+      setLinks([...links, data.share])
+      setNewLink({ id: data.share.id, url: shareUrl(data.token) })
+      setIsCopied(false)
+      setLabelInput('')
+    } catch (err) {
+      setError(err.message)
+      console.error('Error creating share link:', err)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newLink.url)
+      setIsCopied(true)
+    } catch (err) {
+      console.error('Error copying share link:', err)
+    }
+  }
+
+  const handleRevoke = async (shareId) => {
+    try {
+      setError(null)
+      const response = await apiFetch(token, `/shares/${shareId}`, { method: 'DELETE' })
+      if (!response.ok && response.status !== 404) {
+        throw new Error('Failed to revoke share link')
+      }
+      setLinks(links.filter(link => link.id !== shareId))
+      if (newLink?.id === shareId) setNewLink(null)
+    } catch (err) {
+      setError('Failed to revoke the share link. Please try again.')
+      console.error('Error revoking share link:', err)
+    }
+  }
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-gray-700 mb-2">Read-only links</label>
+      <p className="text-sm text-gray-500 mb-2">
+        Anyone with a link can see the lists and picks, but can't change anything.
+      </p>
+
+      {error && (
+        <p className="mb-2 text-sm text-red-600">{error}</p>
+      )}
+
+      <form onSubmit={handleCreate} className="flex gap-2 mb-2">
+        <input
+          type="text"
+          value={labelInput}
+          onChange={(e) => setLabelInput(e.target.value)}
+          placeholder="Label (optional), e.g. Kitchen display"
+          maxLength={100}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 text-sm font-medium whitespace-nowrap text-white bg-purple-600 hover:bg-purple-700 rounded-lg transition-colors"
+        >
+          Create Link
+        </button>
+      </form>
+
+      {newLink && (
+        <div className="mb-2 p-3 bg-green-50 rounded-lg text-sm">
+          <p className="text-green-800 mb-2">Copy this link now; it won't be shown again.</p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newLink.url}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-2 py-1 border border-gray-300 rounded font-mono text-xs"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1 text-sm font-medium text-gray-700 bg-white hover:bg-gray-100 border border-gray-300 rounded transition-colors"
+            >
+              {isCopied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {links.length > 0 && (
+        <ul className="space-y-1">
+          {links.map(link => (
+            <li key={link.id} className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-lg text-sm">
+              <span className="text-gray-800">
+                {link.label || 'Untitled link'}
+                <span className="ml-2 text-gray-500">{new Date(link.created).toLocaleDateString()}</span>
+              </span>
+              <button
+                onClick={() => handleRevoke(link.id)}
+                className="text-red-500 hover:text-red-700 font-semibold"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ShareLinks
@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+import { subscribeToEvents } from './events'
+import { DEFAULT_LIST_ID } from './ListSwitcher'
+
+// Read-only view of a space opened through a share link, e.g. on a wall
+// display. Shows every list's items, the last pick and recent history, and
+// follows changes live; nothing here can change the space.
+function SharedView({ shareToken }) {
+  const [snapshot, setSnapshot] = useState(null)
+  const [currentListId, setCurrentListId] = useState(DEFAULT_LIST_ID)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const path = `/shared/${encodeURIComponent(shareToken)}`
+
+    const fetchSnapshot = async () => {
+      try {
+        const response = await apiFetch(null, path)
+        if (response.status === 404) {
+          setSnapshot(null)
+          setError('This share link is no longer valid.')
+          return
+        }
+        if (!response.ok) {
+          throw new Error('Failed to load shared space')
+        }
+        setSnapshot(await response.json())
+        setError(null)
+      } catch (err) {
+        setError('Failed to load the shared space. Make sure the server is running.')
+        console.error('Error fetching shared space:', err)
+      }
+    }
+
+    // Any change may touch items, picks or lists, so reload the whole view
+    const handleEvent = (type, payload) => {
+      if (type === 'ready') return
+      if (type === 'closed' && payload.reason === 'deleted') {
+        setSnapshot(null)
+        setError('This space has been deleted.')
+        return
+      }
+      fetchSnapshot()
+    }
+
+    fetchSnapshot()
+    return subscribeToEvents(null, handleEvent, `${path}/events`)
+  }, [shareToken])
+
+  const lists = snapshot?.lists || []
+  const currentList = lists.find(list => list.id === currentListId) || lists[0]
+  const lastPicked = snapshot?.lastPicked?.listId === currentList?.id ? snapshot.lastPicked : null
+  const listNames = new Map(lists.map(list => [list.id, list.name]))
+
+  // In no-repeat mode, items already drawn this round are out of the bag
+  const isDrawn = (item) => currentList.pool.noRepeat && !currentList.pool.remaining.includes(item.id)
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <h1 className="text-4xl font-bold text-center bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">
+            You Pick
+          </h1>
+          <p className="text-center text-sm text-gray-600 mt-2 mb-8">
+            {snapshot?.space.name && <span className="font-semibold">{snapshot.space.name} · </span>}
+            Read-only view
+          </p>
+
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+              {error}
+            </div>
+          )}
+
+          {!snapshot && !error && (
+            <div className="text-center py-12">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+              <p className="mt-4 text-gray-600">Loading items...</p>
+            </div>
+          )}
+
+          {currentList && (
+            <>
+              {lists.length > 1 && (
+                <div className="flex flex-wrap gap-2 mb-6">
+                  {lists.map(list => (
+                    <button
+                      key={list.id}
+                      onClick={() => setCurrentListId(list.id)}
+                      className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                        list.id === currentList.id
+                          ? 'bg-purple-600 text-white'
+                          : 'text-gray-700 bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      {list.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {lastPicked && (
+                <div className="mb-8 text-center animate-fadeIn">
+                  <p className="text-gray-600 mb-2">
+                    Last pick{lastPicked.pickedBy ? ` by ${lastPicked.pickedBy}` : ''}:
+                  </p>
+                  <p className="text-5xl font-bold bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">
+                    {lastPicked.item}
+                  </p>
+                </div>
+              )}
+
+              <h2 className="text-lg font-semibold text-gray-700 mb-3">
+                Items ({currentList.items.length})
+              </h2>
+              {currentList.items.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-8">No items in this list yet.</p>
+              ) : (
+                <div className="space-y-2 mb-8">
+                  {currentList.items.map(item => (
+                    <div
+                      key={item.id}
+                      className={`flex items-center justify-between px-4 py-3 rounded-lg ${
+                        lastPicked?.itemId === item.id
+                          ? 'bg-gradient-to-r from-purple-100 to-blue-100 border-2 border-purple-400'
+                          : 'bg-gray-50'
+                      }`}
+                    >
+                      <span className={isDrawn(item) ? 'text-gray-400 line-through' : 'text-gray-800'}>
+                        {item.name}
+                      </span>
+                      {item.weight !== 1 && (
+                        <span className="text-sm text-gray-500">Weight {item.weight}</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="pt-8 border-t border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-700 mb-3">Recent Picks</h2>
+                {snapshot.picks.length === 0 ? (
+                  <p className="text-sm text-gray-500">No picks yet.</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {snapshot.picks.map((pick, index) => (
+                      <li
+                        key={`${pick.timestamp}-${index}`}
+                        className="flex items-center justify-between px-4 py-2 bg-gray-50 rounded-lg text-sm"
+                      >
+                        <span className="font-medium text-gray-800">
+                          {pick.item}
+                          {lists.length > 1 && (
+                            <span className="ml-2 font-normal text-gray-500">{listNames.get(pick.listId)}</span>
+                          )}
+                        </span>
+                        <span className="text-gray-500">
+                          {pick.pickedBy || 'Someone'} · {new Date(pick.timestamp).toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SharedView
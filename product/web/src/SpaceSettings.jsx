@@ -0,0 +1,343 @@
+import { useState } from 'react'
+import { apiFetch } from './api'
+import ShareLinks from './ShareLinks'
+
+// Space-wide administration: the space's name, read-only share links, the
+// member password, clearing every list, changing the password and deleting
+// the space. The destructive actions ask for confirmation first.
+function SpaceSettings({
+  token,
+  spaceName,
+  hasMemberPassword,
+  onRenamed,
+  onCleared,
+  onPasswordChanged,
+  onMemberPasswordChanged,
+  onDeleted
+}) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [nameInput, setNameInput] = useState('')
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [memberPassword, setMemberPassword] = useState('')
+  const [deletePassword, setDeletePassword] = useState('')
+  const [confirming, setConfirming] = useState(null) // 'clear' or 'delete'
+  const [isBusy, setIsBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState(null)
+
+  const openDialog = () => {
+    setIsOpen(true)
+    setNameInput(spaceName || '')
+    setCurrentPassword('')
+    setNewPassword('')
+    setConfirmPassword('')
+    setMemberPassword('')
+    setDeletePassword('')
+    setConfirming(null)
+    setMessage(null)
+    setError(null)
+  }
+
+  // Run one of the settings requests, showing its error if it fails
+  const run = async (action, failure) => {
+    try {
+      setIsBusy(true)
+      setMessage(null)
+      setError(null)
+      await action()
+    } catch (err) {
+      setError(err.message || failure)
+      console.error(`${failure}:`, err)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  // Send a settings request. Resolves to the JSON body, or throws with the
+  // server's error message.
+  const send = async (path, method, body, failure) => {
+    const response = await apiFetch(token, path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.error || failure)
+    }
+    return data
+  }
+
+  const handleRename = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const data = await send('/space', 'PATCH', { name: nameInput.trim() }, 'Failed to rename space')
+      onRenamed(data.space.name)
+      setMessage(data.space.name ? 'Space renamed.' : 'Space name removed.')
+    }, 'Failed to rename space')
+  }
+
+  const handleClear = () => {
+    run(async () => {
+      await send('/space/clear', 'POST', undefined, 'Failed to clear space')
+      setConfirming(null)
+      onCleared()
+      setMessage('Every list is now empty.')
+    }, 'Failed to clear space')
+  }
+
+  const handleChangePassword = (e) => {
+    e.preventDefault()
+    if (newPassword !== confirmPassword) {
+      setError('The new passwords do not match.')
+      return
+    }
+    run(async () => {
+      const data = await send('/space/password', 'PUT', { currentPassword, newPassword }, 'Failed to change password')
+      setCurrentPassword('')
+      setNewPassword('')
+      setConfirmPassword('')
+      onPasswordChanged(data)
+      setMessage('Password changed. Everyone else has to enter the new password.')
+    }, 'Failed to change password')
+  }
+
+  // An empty member password removes it
+  const saveMemberPassword = (password) => {
+    run(async () => {
+      const data = await send('/space/member-password', 'PUT', { memberPassword: password }, 'Failed to set member password')
+      setMemberPassword('')
+      onMemberPasswordChanged(data.hasMemberPassword)
+      setMessage(data.hasMemberPassword
+        ? 'Member password set. Members who used the previous one have to enter the new one.'
+        : 'Member password removed.')
+    }, 'Failed to set member password')
+  }
+
+  const handleSetMemberPassword = (e) => {
+    e.preventDefault()
+    saveMemberPassword(memberPassword)
+  }
+
+  const handleDelete = (e) => {
+    e.preventDefault()
+    run(async () => {
+      await send('/space', 'DELETE', { password: deletePassword }, 'Failed to delete space')
+      setIsOpen(false)
+      onDeleted()
+    }, 'Failed to delete space')
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent'
+  const buttonClass = 'px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed'
+
+  return (
+    <>
+      <button
+        onClick={openDialog}
+        className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+        title="Rename, share, clear or delete this space, or change its passwords"
+      >
+        Settings
+      </button>
+
+      {isOpen && (
+        <div className="fixed inset-0 z-10 flex items-center justify-center bg-black/40 px-4">
+          <div className="w-full max-w-lg max-h-full overflow-y-auto bg-white rounded-2xl shadow-xl p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Space Settings</h2>
+
+            {message && (
+              <p className="mb-4 p-3 text-sm text-green-700 bg-green-50 rounded-lg">{message}</p>
+            )}
+            {error && (
+              <p className="mb-4 p-3 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>
+            )}
+
+            <form onSubmit={handleRename} className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={nameInput}
+                  onChange={(e) => setNameInput(e.target.value)}
+                  placeholder="e.g. Team lunch"
+                  maxLength={100}
+                  className={inputClass}
+                />
+                <button
+                  type="submit"
+                  disabled={isBusy}
+                  className={`${buttonClass} bg-purple-600 text-white hover:bg-purple-700`}
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+
+            <ShareLinks token={token} />
+
+            <form onSubmit={handleSetMemberPassword} className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Member password</label>
+              <p className="text-sm text-gray-500 mb-2">
+                {hasMemberPassword
+                  ? 'This space has a member password. '
+                  : 'This space has no member password yet. '}
+                Members can add items and pick, but can't remove items or change settings.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="password"
+                  value={memberPassword}
+                  onChange={(e) => setMemberPassword(e.target.value)}
+                  placeholder={hasMemberPassword ? 'New member password' : 'Member password'}
+                  className={inputClass}
+                />
+                <button
+                  type="submit"
+                  disabled={isBusy || !memberPassword}
+                  className={`${buttonClass} whitespace-nowrap bg-purple-600 text-white hover:bg-purple-700`}
+                >
+                  {hasMemberPassword ? 'Change' : 'Set'}
+                </button>
+                {hasMemberPassword && (
+                  <button
+                    type="button"
+                    onClick={() => saveMemberPassword('')}
+                    disabled={isBusy}
+                    className={`${buttonClass} text-red-700 bg-red-50 hover:bg-red-100`}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </form>
+
+            <form onSubmit={handleChangePassword} className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Change admin password</label>
+              <p className="text-sm text-gray-500 mb-2">
+                Everyone else is signed out and needs the new password to get back in.
+              </p>
+              <div className="space-y-2">
+                <input
+                  type="password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  placeholder="Current password"
+                  className={inputClass}
+                />
+                <input
+                  type="password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  placeholder="New password"
+                  className={inputClass}
+                />
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="New password again"
+                  className={inputClass}
+                />
+                <button
+                  type="submit"
+                  disabled={isBusy || !currentPassword || !newPassword || !confirmPassword}
+                  className={`${buttonClass} bg-purple-600 text-white hover:bg-purple-700`}
+                >
+                  Change Password
+                </button>
+              </div>
+            </form>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Clear all items</label>
+              {confirming === 'clear' ? (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm text-gray-700">Remove every item from every list?</span>
+                  <button
+                    onClick={handleClear}
+                    disabled={isBusy}
+                    className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}
+                  >
+                    Yes, Clear Everything
+                  </button>
+                  <button
+                    onClick={() => setConfirming(null)}
+                    className={`${buttonClass} text-gray-700 bg-gray-100 hover:bg-gray-200`}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setConfirming('clear')}
+                  className={`${buttonClass} text-red-700 bg-red-50 hover:bg-red-100`}
+                >
+                  Clear Items…
+                </button>
+              )}
+              <p className="mt-2 text-sm text-gray-500">Lists and pick history are kept.</p>
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Delete space</label>
+              {confirming === 'delete' ? (
+                <form onSubmit={handleDelete} className="space-y-2">
+                  <p className="text-sm text-gray-700">
+                    This deletes every list and the whole pick history for everyone. Enter the password to confirm.
+                  </p>
+                  <input
+                    type="password"
+                    value={deletePassword}
+                    onChange={(e) => setDeletePassword(e.target.value)}
+                    placeholder="Password"
+                    className={inputClass}
+                    autoFocus
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={isBusy || !deletePassword}
+                      className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}
+                    >
+                      Delete Space Forever
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setConfirming(null)}
+                      className={`${buttonClass} text-gray-700 bg-gray-100 hover:bg-gray-200`}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <button
+                  onClick={() => setConfirming('delete')}
+                  className={`${buttonClass} text-red-700 bg-red-50 hover:bg-red-100`}
+                >
+                  Delete Space…
+                </button>
+              )}
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                onClick={() => setIsOpen(false)}
+                className={`${buttonClass} text-gray-700 bg-gray-100 hover:bg-gray-200`}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default SpaceSettings
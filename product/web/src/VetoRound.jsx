@@ -0,0 +1,111 @@
+import { useState } from 'react'
+import { apiFetch } from './api'
+
+const VETO_CHOICES = [1, 2, 3, 4, 5]
+
+// Controls for a list's veto round. The strikes themselves are made from
+// the item list, which shows what has been struck and by whom.
+function VetoRound({ token, listPath, veto, itemCount, survivorCount, canManage, pickerName, versionHeaders, onChange, onPicked }) {
+  const [maxVetoes, setMaxVetoes] = useState(1)
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Send a veto round change and hand the updated round back to the app.
+  // Finishing goes through whatever else changed meanwhile; starting and
+  // removing a round only apply to the version we have.
+  const send = async (method, path, body, failure, headers = { 'Content-Type': 'application/json' }) => {
+    try {
+      setIsBusy(true)
+      setError(null)
+      const response = await apiFetch(token, `${listPath}/veto${path}`, {
+        method,
+        headers,
+        ...(body ? { body: JSON.stringify(body) } : {})
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || failure)
+      }
+      onChange(data.veto ?? null)
+      if (data.lastPicked) {
+        onPicked(data.lastPicked)
+      }
+    } catch (err) {
+      setError(err.message)
+      console.error(`Error in veto ${method} ${path || '/'}:`, err)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleStart = () => send('POST', '', { maxVetoes }, 'Failed to start a veto round', versionHeaders())
+  const handleFinalize = () => send('POST', '/finalize', { pickedBy: pickerName.trim() }, 'Failed to pick from what\'s left')
+  const handleRemove = () => send('DELETE', '', null, 'Failed to remove the veto round', versionHeaders())
+
+  const isOpen = veto?.status === 'open'
+
+  return (
+    <div className="mb-4 px-4 py-3 bg-gray-50 rounded-lg text-sm">
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {isOpen ? (
+        <div className="flex items-center justify-between gap-3">
+          <span className="text-gray-700">
+            Veto round: {veto.myVetoesLeft} of {veto.maxVetoes} {veto.maxVetoes === 1 ? 'veto' : 'vetoes'} left for you ·{' '}
+            {survivorCount} of {itemCount} items still in
+          </span>
+          <div className="flex gap-2">
+            {canManage && (
+              <button
+                onClick={handleRemove}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+            )}
+            {canManage && (
+              <button
+                onClick={handleFinalize}
+                disabled={isBusy}
+                className="px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+              >
+                Pick from what's left
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center justify-between gap-3">
+          <span className="text-gray-700">Let everyone strike items before the pick</span>
+          <div className="flex items-center gap-2">
+            <select
+              value={maxVetoes}
+              onChange={(e) => setMaxVetoes(Number(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {VETO_CHOICES.map((count) => (
+                <option key={count} value={count}>
+                  {count} {count === 1 ? 'veto' : 'vetoes'} each
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleStart}
+              disabled={isBusy || itemCount < 2}
+              className="px-3 py-1 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Start veto round
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VetoRound
@@ -0,0 +1,33 @@
+import config from './config'
+
+let unauthorizedHandler = null
+
+// Register the function to call when the server rejects the session token,
+// e.g. because it expired or was revoked. It gets 'space-not-found' instead
+// when the token's space no longer exists.
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler
+}
+
+// Fetch an API path with the session token (none for share link routes).
+// Resolves with the response like fetch does; a 401, or a 404 for the
+// session's space, also triggers the unauthorized handler so the app can
+// send the user back to the login screen.
+export async function apiFetch(token, path, options = {}) {
+  const response = await fetch(`${config.API_SERVER_URL}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    }
+  })
+  if (response.status === 401 && unauthorizedHandler) {
+    unauthorizedHandler()
+  } else if (response.status === 404 && token && unauthorizedHandler) {
+    const data = await response.clone().json().catch(() => ({}))
+    if (data.error === 'Space not found') {
+      unauthorizedHandler('space-not-found')
+    }
+  }
+  return response
+}
@@ -0,0 +1,73 @@
+import { apiFetch } from './api'
+
+const RECONNECT_DELAY_MS = 3000
+
+// Parse one SSE message block ("event: x\ndata: {...}") into { type, payload }
+function parseMessage(block) {
+  let type = 'message'
+  const data = []
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) type = line.slice(6).trim()
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+  }
+  if (data.length === 0) return null
+  return { type, payload: JSON.parse(data.join('\n')) }
+}
+
+// Subscribe to live changes in the space.
+// EventSource can't send the Authorization header, so the stream is read
+// through fetch instead. Reconnects after a short delay if the connection
+// drops, and stops for good once the session or share link is no longer
+// accepted. Share link streams pass their own `path` and no token.
+// Returns a function that closes the subscription.
+export function subscribeToEvents(token, onEvent, path = '/events') {
+  const controller = new AbortController()
+  let closed = false
+
+  const connect = async () => {
+    try {
+      const response = await apiFetch(token, path, {
+        signal: controller.signal
+      })
+      if (response.status === 401 || response.status === 404) {
+        closed = true
+        return
+      }
+      if (!response.ok) {
+        throw new Error(`Event stream failed with status ${response.status}`)
+      }
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+
+      while (true) {
+        const { value, done } = await reader.read()
+        if (done) break
+
+        buffer += decoder.decode(value, { stream: true })
+        const blocks = buffer.split('\n\n')
+        buffer = blocks.pop()
+
+        for (const block of blocks) {
+          const message = parseMessage(block)
+          if (message) onEvent(message.type, message.payload)
+        }
+      }
+    } catch (err) {
+      if (closed) return
+      console.error('Event stream error:', err)
+    }
+
+    if (!closed) {
+      setTimeout(connect, RECONNECT_DELAY_MS)
+    }
+  }
+
+  connect()
+
+  return () => {
+    closed = true
+    controller.abort()
+  }
+}